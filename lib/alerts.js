@@ -0,0 +1,451 @@
+// lib/alerts.js - SLA alert rules evaluated against stored results
+//
+// Rules persist, together with their current state, to config/alerts.json
+// (or ALERTS_FILE). Each rule:
+//   id, name
+//   metric      success_rate, accuracy_rate (%), avg_latency, p95_latency,
+//               p99_latency (ms), deviation (average |deviation|, %) or
+//               consecutive_errors (latest results in a row that failed with
+//               errorType, or with any error when errorType is unset)
+//   operator    '<', '<=', '>' or '>=' (consecutive_errors: '>=' by default)
+//   threshold   number the metric is compared with
+//   window      range preset the metric is computed over (1h, 6h, 24h, ...)
+//   filters     { provider, test_type, token }, as on the read routes
+//   minRequests windows with fewer results are not evaluated (default 1)
+//   channels    [{ type: 'webhook' | 'slack' | 'discord', url }]
+//   status      'active' or 'paused'
+//
+// Every rule is evaluated per provider, after each finished job and every
+// ALERT_INTERVAL_MS (0 disables the timer). A provider whose metric breaches
+// the threshold goes from 'ok' to 'firing' and one notification goes out; it
+// stays quiet until the metric recovers, which sends a single 'resolved'.
+// Providers without enough results in the window keep their current state.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getProviderNames } = require('../providers');
+const { parseReadOptions } = require('./read-options');
+const { timedRequest } = require('./http-timing');
+const { validationError } = require('./validation');
+
+const ALERTS_FILE = path.resolve(process.env.ALERTS_FILE || path.join(__dirname, '..', 'config', 'alerts.json'));
+const INTERVAL_MS = parseInt(process.env.ALERT_INTERVAL_MS || '60000', 10);
+const DELIVERY_TIMEOUT_MS = 10000;
+const MAX_EVENTS = 200;
+
+// Metric -> { unit, value(summary row) }; consecutive_errors reads the latest outcomes instead
+const METRICS = {
+    success_rate: { unit: '%', value: row => ((Number(row.requests) - Number(row.failed)) / Number(row.requests)) * 100 },
+    accuracy_rate: { unit: '%', value: row => Number(row.with_accuracy) > 0 ? (Number(row.accurate) / Number(row.with_accuracy)) * 100 : null },
+    avg_latency: { unit: 'ms', value: row => row.avg_latency },
+    p95_latency: { unit: 'ms', value: row => row.p95_latency },
+    p99_latency: { unit: 'ms', value: row => row.p99_latency },
+    deviation: { unit: '%', value: row => Number(row.with_accuracy) > 0 ? row.avg_deviation : null },
+    consecutive_errors: { unit: '' }
+};
+
+const OPERATORS = {
+    '<': (value, threshold) => value < threshold,
+    '<=': (value, threshold) => value <= threshold,
+    '>': (value, threshold) => value > threshold,
+    '>=': (value, threshold) => value >= threshold
+};
+
+const CHANNEL_TYPES = ['webhook', 'slack', 'discord'];
+
+const rules = new Map();
+const events = [];
+let storage = null;
+let timer = null;
+let evaluation = null;
+let evaluateAgain = false;
+
+function loadRules() {
+    rules.clear();
+
+    if (!fs.existsSync(ALERTS_FILE)) {
+        return;
+    }
+
+    JSON.parse(fs.readFileSync(ALERTS_FILE, 'utf8')).forEach(rule => {
+        rules.set(rule.id, rule);
+    });
+}
+
+function saveRules() {
+    fs.mkdirSync(path.dirname(ALERTS_FILE), { recursive: true });
+    fs.writeFileSync(ALERTS_FILE, JSON.stringify(Array.from(rules.values()), null, 4) + '\n');
+}
+
+// Validated rule fields; throws listing every problem
+function normalizeRule(input) {
+    if (!input || typeof input !== 'object') {
+        throw new Error('Alert rule must be an object');
+    }
+
+    const problems = [];
+    const metric = input.metric;
+    if (!Object.keys(METRICS).includes(metric)) {
+        problems.push(`metric must be one of: ${Object.keys(METRICS).join(', ')}`);
+    }
+
+    const operator = input.operator === undefined && metric === 'consecutive_errors' ? '>=' : input.operator;
+    if (!Object.keys(OPERATORS).includes(operator)) {
+        problems.push(`operator must be one of: ${Object.keys(OPERATORS).join(', ')}`);
+    }
+
+    const threshold = Number(input.threshold);
+    if (input.threshold === undefined || input.threshold === null || !Number.isFinite(threshold)) {
+        problems.push('threshold must be a number');
+    } else if (metric === 'consecutive_errors' && (!Number.isInteger(threshold) || threshold < 1)) {
+        problems.push('threshold must be a positive integer for consecutive_errors');
+    }
+
+    const window = input.window === undefined ? '1h' : input.window;
+    const filters = input.filters === undefined ? {} : input.filters;
+    if (!filters || typeof filters !== 'object' || Array.isArray(filters)) {
+        problems.push('filters must be an object');
+    } else {
+        try {
+            parseReadOptions({ range: window, test_type: filters.test_type, token: filters.token, provider: filters.provider });
+        } catch (error) {
+            problems.push(error.message.replace(/^range /, 'window '));
+        }
+    }
+
+    const minRequests = input.minRequests === undefined ? 1 : Number(input.minRequests);
+    if (!Number.isInteger(minRequests) || minRequests < 1) {
+        problems.push('minRequests must be a positive integer');
+    }
+
+    const errorType = input.errorType === undefined ? null : input.errorType;
+    if (errorType !== null && (typeof errorType !== 'string' || !errorType.trim())) {
+        problems.push('errorType must be a non-empty string');
+    }
+
+    if (!Array.isArray(input.channels) || input.channels.length === 0) {
+        problems.push('channels must be a non-empty array');
+    } else {
+        input.channels.forEach((channel, i) => {
+            if (!channel || !CHANNEL_TYPES.includes(channel.type)) {
+                problems.push(`channels[${i}].type must be one of: ${CHANNEL_TYPES.join(', ')}`);
+            }
+            if (!channel || !/^https?:\/\//.test(channel.url || '')) {
+                problems.push(`channels[${i}].url must be an http(s) URL`);
+            }
+        });
+    }
+
+    if (problems.length > 0) {
+        throw validationError(problems);
+    }
+
+    return {
+        name: typeof input.name === 'string' && input.name.trim() ? input.name.trim() : `${metric} ${operator} ${threshold}`,
+        metric,
+        operator,
+        threshold,
+        window,
+        filters: {
+            provider: filters.provider,
+            test_type: filters.test_type,
+            token: filters.token
+        },
+        minRequests,
+        errorType: metric === 'consecutive_errors' ? errorType : null,
+        channels: input.channels.map(channel => ({ type: channel.type, url: channel.url }))
+    };
+}
+
+// ====================================
+// Evaluation
+// ====================================
+
+// Leading failures (with errorType, when set) in each provider's outcomes, newest first
+function consecutiveErrors(outcomes, errorType) {
+    const counts = new Map();
+    const broken = new Set();
+
+    for (const row of outcomes) {
+        if (broken.has(row.provider)) continue;
+
+        const failed = !row.success && (errorType === null || row.error_type === errorType);
+        if (failed) {
+            counts.set(row.provider, (counts.get(row.provider) || 0) + 1);
+        } else {
+            counts.set(row.provider, counts.get(row.provider) || 0);
+            broken.add(row.provider);
+        }
+    }
+
+    return counts;
+}
+
+// provider -> metric value over the rule's window; providers without enough data are left out
+async function measure(rule) {
+    const { since, until, filters } = parseReadOptions({
+        range: rule.window,
+        test_type: rule.filters.test_type,
+        token: rule.filters.token,
+        provider: rule.filters.provider
+    });
+    const values = new Map();
+
+    if (rule.metric === 'consecutive_errors') {
+        // Enough outcomes to settle both the threshold and minRequests; a longer
+        // streak is reported as this many, which compares with the threshold the same
+        const limit = Math.max(rule.threshold + 1, rule.minRequests);
+        const outcomes = await storage.recentOutcomes({ since, until, limit, filters });
+        const requests = new Map();
+        outcomes.forEach(row => requests.set(row.provider, (requests.get(row.provider) || 0) + 1));
+
+        consecutiveErrors(outcomes, rule.errorType).forEach((count, provider) => {
+            if (requests.get(provider) >= rule.minRequests) values.set(provider, count);
+        });
+    } else {
+        const stats = await storage.summarize({ since, until, filters });
+        stats
+            .filter(row => Number(row.requests) >= rule.minRequests)
+            .forEach(row => {
+                const value = METRICS[rule.metric].value(row);
+                if (value !== null && value !== undefined) values.set(row.provider, Number(value));
+            });
+    }
+
+    const registered = getProviderNames();
+    Array.from(values.keys()).filter(provider => !registered.includes(provider)).forEach(provider => values.delete(provider));
+    return values;
+}
+
+function formatValue(metric, value) {
+    const { unit } = METRICS[metric];
+    if (unit === '%') return `${value.toFixed(2)}%`;
+    if (unit === 'ms') return `${value.toFixed(0)}ms`;
+    return String(value);
+}
+
+function describeRule(rule) {
+    const subject = rule.metric === 'consecutive_errors' && rule.errorType ? `consecutive ${rule.errorType}` : rule.metric;
+    return `${subject} ${rule.operator} ${formatValue(rule.metric, rule.threshold)}`;
+}
+
+function eventMessage(event, rule) {
+    const icon = { firing: '🔥', resolved: '✅', test: '🧪' }[event.event];
+    return `${icon} [${event.event.toUpperCase()}] ${rule.name}: ${event.provider} ${rule.metric} is ${formatValue(rule.metric, event.value)} (rule: ${describeRule(rule)} over ${rule.window})`;
+}
+
+// Request body per channel type
+function channelPayload(type, event, rule) {
+    const message = eventMessage(event, rule);
+    if (type === 'slack') return { text: message };
+    if (type === 'discord') return { content: message };
+
+    return {
+        event: event.event,
+        message,
+        rule: {
+            id: rule.id,
+            name: rule.name,
+            metric: rule.metric,
+            operator: rule.operator,
+            threshold: rule.threshold,
+            window: rule.window,
+            errorType: rule.errorType,
+            filters: rule.filters
+        },
+        provider: event.provider,
+        value: event.value,
+        firingSince: event.firingSince,
+        at: event.at
+    };
+}
+
+async function deliver(channel, event, rule) {
+    try {
+        const response = await timedRequest(channel.url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(channelPayload(channel.type, event, rule)),
+            timeoutMs: DELIVERY_TIMEOUT_MS,
+            fixtures: false
+        });
+        if (!response.ok) {
+            console.error(`Alert delivery to ${channel.type} failed: HTTP ${response.status}`);
+        }
+        return { type: channel.type, url: channel.url, ok: response.ok, status: response.status };
+    } catch (error) {
+        console.error(`Alert delivery to ${channel.type} failed:`, error.message);
+        return { type: channel.type, url: channel.url, ok: false, error: error.message };
+    }
+}
+
+async function notify(rule, provider, kind, value, firingSince) {
+    const event = {
+        id: crypto.randomUUID(),
+        ruleId: rule.id,
+        ruleName: rule.name,
+        event: kind,
+        provider,
+        value,
+        firingSince,
+        at: new Date().toISOString(),
+        deliveries: []
+    };
+
+    console.log(eventMessage(event, rule));
+    event.deliveries = await Promise.all(rule.channels.map(channel => deliver(channel, event, rule)));
+
+    events.unshift(event);
+    events.splice(MAX_EVENTS);
+    return event;
+}
+
+async function evaluateRule(rule) {
+    const values = await measure(rule);
+    const now = new Date().toISOString();
+
+    for (const [provider, value] of values) {
+        const previous = rule.state[provider] || { status: 'ok', since: null };
+        const breached = OPERATORS[rule.operator](value, rule.threshold);
+
+        if (breached && previous.status !== 'firing') {
+            rule.state[provider] = { status: 'firing', since: now, value, evaluatedAt: now };
+            await notify(rule, provider, 'firing', value, now);
+        } else if (!breached && previous.status === 'firing') {
+            rule.state[provider] = { status: 'ok', since: now, value, evaluatedAt: now };
+            await notify(rule, provider, 'resolved', value, previous.since);
+        } else {
+            rule.state[provider] = { ...previous, value, evaluatedAt: now };
+        }
+    }
+
+    rule.lastEvaluatedAt = now;
+    rule.lastError = null;
+}
+
+async function runEvaluation() {
+    for (const rule of rules.values()) {
+        if (rule.status !== 'active') continue;
+
+        try {
+            await evaluateRule(rule);
+        } catch (error) {
+            console.error(`Alert rule "${rule.name}" could not be evaluated:`, error.message);
+            rule.lastError = error.message;
+        }
+    }
+
+    try {
+        saveRules();
+    } catch (error) {
+        console.error('Error saving alert rules:', error.message);
+    }
+}
+
+function logEvaluationError(error) {
+    console.error('Alert evaluation failed:', error.message);
+}
+
+// Evaluate every active rule. Calls made while an evaluation is running are
+// folded into one more pass after it, so results aren't read twice at once.
+function evaluateAlerts() {
+    if (!storage) return Promise.resolve();
+
+    if (evaluation) {
+        evaluateAgain = true;
+        return evaluation;
+    }
+
+    evaluation = runEvaluation().finally(() => {
+        evaluation = null;
+        if (evaluateAgain) {
+            evaluateAgain = false;
+            evaluateAlerts().catch(logEvaluationError);
+        }
+    });
+    return evaluation;
+}
+
+// ====================================
+// Rule management
+// ====================================
+
+function listAlertRules() {
+    return Array.from(rules.values());
+}
+
+function getAlertRule(id) {
+    return rules.get(id) || null;
+}
+
+function createAlertRule(input) {
+    const rule = {
+        id: crypto.randomUUID(),
+        ...normalizeRule(input),
+        status: input.status === 'paused' ? 'paused' : 'active',
+        createdAt: new Date().toISOString(),
+        state: {},
+        lastEvaluatedAt: null,
+        lastError: null
+    };
+
+    rules.set(rule.id, rule);
+    saveRules();
+    return rule;
+}
+
+function setAlertRuleStatus(id, status) {
+    const rule = rules.get(id);
+    if (!rule) return null;
+
+    rule.status = status;
+    saveRules();
+    return rule;
+}
+
+function deleteAlertRule(id) {
+    if (!rules.has(id)) return false;
+
+    rules.delete(id);
+    saveRules();
+    return true;
+}
+
+// Send one 'test' notification to the rule's channels, without touching its state
+async function testAlertRule(id) {
+    const rule = rules.get(id);
+    if (!rule) return null;
+
+    const providers = [].concat(rule.filters.provider || 'all providers').join(', ');
+    return notify(rule, providers, 'test', rule.threshold, null);
+}
+
+function listAlertEvents(ruleId) {
+    return ruleId ? events.filter(event => event.ruleId === ruleId) : events.slice();
+}
+
+function startAlerts(resultStorage) {
+    storage = resultStorage;
+    loadRules();
+
+    if (INTERVAL_MS > 0) {
+        timer = setInterval(() => evaluateAlerts().catch(logEvaluationError), INTERVAL_MS);
+        timer.unref();
+    }
+
+    const active = listAlertRules().filter(rule => rule.status === 'active').length;
+    console.log(`🔔 Alerts: ${active} active / ${rules.size} total rules${INTERVAL_MS > 0 ? `, evaluated every ${INTERVAL_MS / 1000}s` : ''}`);
+}
+
+module.exports = {
+    METRICS,
+    startAlerts,
+    evaluateAlerts,
+    listAlertRules,
+    getAlertRule,
+    createAlertRule,
+    setAlertRuleStatus,
+    deleteAlertRule,
+    testAlertRule,
+    listAlertEvents
+};
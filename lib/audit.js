@@ -0,0 +1,85 @@
+// lib/audit.js - Audit log of changes made through the API
+//
+// Every request that isn't a read is appended to <STORAGE_DIR>/audit.jsonl
+// (or AUDIT_LOG_FILE) once it has been answered, rejected ones included:
+//   { timestamp, actor, role, ip, method, path, status, ...details }
+// Routes add details (e.g. the runId and kind of a submitted job) through
+// res.locals.audit.
+const fs = require('fs');
+const path = require('path');
+const { validationError } = require('./validation');
+
+const AUDIT_LOG_FILE = path.resolve(process.env.AUDIT_LOG_FILE
+    || path.join(process.env.STORAGE_DIR || path.join(__dirname, '..', 'data'), 'audit.jsonl'));
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+const MAX_LIMIT = 1000;
+
+fs.mkdirSync(path.dirname(AUDIT_LOG_FILE), { recursive: true });
+
+function appendEntry(entry) {
+    try {
+        fs.appendFileSync(AUDIT_LOG_FILE, JSON.stringify(entry) + '\n');
+    } catch (error) {
+        console.error('Error writing audit log:', error.message);
+    }
+}
+
+function auditLog(req, res, next) {
+    if (READ_METHODS.includes(req.method)) {
+        return next();
+    }
+
+    res.on('finish', () => {
+        appendEntry({
+            timestamp: new Date().toISOString(),
+            actor: req.caller ? req.caller.name : null,
+            role: req.caller ? req.caller.role : null,
+            ip: req.ip,
+            method: req.method,
+            path: req.originalUrl,
+            status: res.statusCode,
+            ...res.locals.audit
+        });
+    });
+    next();
+}
+
+// Throws listing every problem
+function parseAuditQuery(query) {
+    const problems = [];
+    let limit = 100;
+
+    if (query.limit !== undefined) {
+        limit = Number(query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+            problems.push(`limit must be an integer between 1 and ${MAX_LIMIT}`);
+        }
+    }
+    if (query.actor !== undefined && (typeof query.actor !== 'string' || !query.actor)) {
+        problems.push('actor must be a key name');
+    }
+
+    if (problems.length > 0) {
+        throw validationError(problems);
+    }
+    return { limit, actor: query.actor || null };
+}
+
+// Newest first
+function readAuditLog({ limit, actor }) {
+    if (!fs.existsSync(AUDIT_LOG_FILE)) return [];
+
+    const entries = fs.readFileSync(AUDIT_LOG_FILE, 'utf8')
+        .split('\n')
+        .filter(Boolean)
+        .map(line => JSON.parse(line))
+        .filter(entry => !actor || entry.actor === actor);
+
+    return entries.reverse().slice(0, limit);
+}
+
+module.exports = {
+    auditLog,
+    parseAuditQuery,
+    readAuditLog
+};
@@ -0,0 +1,195 @@
+// lib/auth.js - API keys, roles and per-key rate limits
+//
+// Keys live in config/api-keys.json (or API_KEYS_FILE);
+// config/api-keys.example.json shows the shape. Each key:
+//   name                 who holds it; recorded in the audit log and on runs
+//   role                 'viewer' (read routes) or 'operator' (everything)
+//   key | keySha256      the key itself, or its hex SHA-256 so the file holds no secret
+//   rateLimitPerMinute   requests per minute (default API_RATE_LIMIT_PER_MINUTE, 120)
+//
+// Clients send `Authorization: Bearer <key>` or `X-API-Key: <key>`. Reads
+// (GET) need a viewer key, everything else an operator key. With
+// PUBLIC_READS=true, reads without a key are allowed as an anonymous viewer.
+// Without any key configured auth is off: every caller is an anonymous
+// operator and nothing is rate limited, as before keys existed. With keys,
+// anonymous public readers are rate limited per IP.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const API_KEYS_FILE = path.resolve(process.env.API_KEYS_FILE || path.join(__dirname, '..', 'config', 'api-keys.json'));
+const DEFAULT_RATE_LIMIT = parseInt(process.env.API_RATE_LIMIT_PER_MINUTE || '120', 10);
+const PUBLIC_READS = process.env.PUBLIC_READS === 'true';
+
+const ROLES = ['viewer', 'operator'];
+const READ_METHODS = ['GET', 'HEAD'];
+const WINDOW_MS = 60 * 1000;
+
+// Routes under /api that never need a key
+const PUBLIC_ROUTES = ['/health'];
+
+let keys = [];
+const windows = new Map(); // caller id -> { start, count }
+
+function sha256(value) {
+    return crypto.createHash('sha256').update(value).digest();
+}
+
+// Throws listing every problem
+function normalizeKey(input, index) {
+    const problems = [];
+    const prefix = `apiKeys[${index}]`;
+
+    if (!input || typeof input !== 'object') {
+        throw new Error(`${prefix} must be an object`);
+    }
+    if (typeof input.name !== 'string' || !input.name.trim()) {
+        problems.push(`${prefix}.name is required`);
+    }
+    if (!ROLES.includes(input.role)) {
+        problems.push(`${prefix}.role must be one of: ${ROLES.join(', ')}`);
+    }
+
+    let hash = null;
+    if (typeof input.key === 'string' && input.key.length >= 16) {
+        hash = sha256(input.key);
+    } else if (typeof input.keySha256 === 'string' && /^[0-9a-f]{64}$/i.test(input.keySha256)) {
+        hash = Buffer.from(input.keySha256, 'hex');
+    } else {
+        problems.push(`${prefix} needs a key of at least 16 characters or a hex keySha256`);
+    }
+
+    const rateLimitPerMinute = input.rateLimitPerMinute === undefined ? DEFAULT_RATE_LIMIT : input.rateLimitPerMinute;
+    if (!Number.isInteger(rateLimitPerMinute) || rateLimitPerMinute < 1) {
+        problems.push(`${prefix}.rateLimitPerMinute must be a positive integer`);
+    }
+
+    if (problems.length > 0) {
+        throw new Error(problems.join('; '));
+    }
+    return { name: input.name.trim(), role: input.role, hash, rateLimitPerMinute };
+}
+
+function loadApiKeys() {
+    keys = [];
+
+    if (!fs.existsSync(API_KEYS_FILE)) {
+        return;
+    }
+
+    const list = JSON.parse(fs.readFileSync(API_KEYS_FILE, 'utf8'));
+    if (!Array.isArray(list)) {
+        throw new Error(`${API_KEYS_FILE} must hold an array of keys`);
+    }
+    keys = list.map(normalizeKey);
+
+    const names = keys.map(k => k.name);
+    const duplicate = names.find((name, i) => names.indexOf(name) !== i);
+    if (duplicate) {
+        throw new Error(`Duplicate API key name: ${duplicate}`);
+    }
+}
+
+function authEnabled() {
+    return keys.length > 0;
+}
+
+function presentedKey(req) {
+    const header = req.get('authorization');
+    if (header && /^Bearer\s+/i.test(header)) {
+        return header.replace(/^Bearer\s+/i, '').trim();
+    }
+    return req.get('x-api-key') || null;
+}
+
+// Key entry for a presented key, or null; compares digests in constant time
+function findKey(presented) {
+    const hash = sha256(presented);
+    return keys.find(k => crypto.timingSafeEqual(k.hash, hash)) || null;
+}
+
+// Fixed one-minute window per caller; returns seconds until the window resets when over the limit
+function overLimit(id, limit) {
+    const now = Date.now();
+    let window = windows.get(id);
+    if (!window || now - window.start >= WINDOW_MS) {
+        window = { start: now, count: 0 };
+        windows.set(id, window);
+    }
+
+    window.count++;
+    return window.count > limit ? Math.ceil((window.start + WINDOW_MS - now) / 1000) : 0;
+}
+
+// Drop finished windows so anonymous IPs don't pile up
+setInterval(() => {
+    const now = Date.now();
+    windows.forEach((window, id) => {
+        if (now - window.start >= WINDOW_MS) windows.delete(id);
+    });
+}, WINDOW_MS).unref();
+
+// Identifies the caller of an /api route as req.caller ({ name, role }),
+// applies its rate limit and checks the role the method needs
+function apiAuth(req, res, next) {
+    if (PUBLIC_ROUTES.includes(req.path)) {
+        return next();
+    }
+
+    const presented = presentedKey(req);
+    let caller;
+    let limit = DEFAULT_RATE_LIMIT;
+    let limitId = `ip:${req.ip}`;
+
+    if (!authEnabled()) {
+        caller = { name: 'anonymous', role: 'operator' };
+    } else if (presented) {
+        const key = findKey(presented);
+        if (!key) {
+            return res.status(401).set('WWW-Authenticate', 'Bearer').json({ error: 'Invalid API key' });
+        }
+        caller = { name: key.name, role: key.role };
+        limit = key.rateLimitPerMinute;
+        limitId = `key:${key.name}`;
+    } else if (PUBLIC_READS && READ_METHODS.includes(req.method)) {
+        caller = { name: 'anonymous', role: 'viewer' };
+    } else {
+        return res.status(401).set('WWW-Authenticate', 'Bearer').json({ error: 'API key required' });
+    }
+
+    req.caller = caller;
+
+    const retryAfter = authEnabled() ? overLimit(limitId, limit) : 0;
+    if (retryAfter > 0) {
+        return res.status(429).set('Retry-After', String(retryAfter)).json({ error: `Rate limit of ${limit} requests per minute exceeded` });
+    }
+
+    const needed = READ_METHODS.includes(req.method) ? 'viewer' : 'operator';
+    if (!hasRole(caller, needed)) {
+        return res.status(403).json({ error: `${needed} role required` });
+    }
+    next();
+}
+
+function hasRole(caller, role) {
+    return ROLES.indexOf(caller.role) >= ROLES.indexOf(role);
+}
+
+// For read routes that need more than viewer
+function requireRole(role) {
+    return (req, res, next) => {
+        if (!hasRole(req.caller, role)) {
+            return res.status(403).json({ error: `${role} role required` });
+        }
+        next();
+    };
+}
+
+loadApiKeys();
+
+module.exports = {
+    ROLES,
+    authEnabled,
+    apiAuth,
+    requireRole
+};
@@ -0,0 +1,116 @@
+// lib/budgets.js - Daily request budgets per provider
+//
+// Budgets live in config/budgets.json (or BUDGETS_FILE), keyed by provider
+// name: { "alchemy": 5000 } allows 5000 requests to Alchemy per UTC day.
+// Every request sent counts, retries and reference quotes included.
+// Providers without a budget are unlimited.
+//
+// Usage is kept in <STORAGE_DIR>/budget-usage.json (or BUDGET_USAGE_FILE) so
+// a restart doesn't hand out a fresh budget, and starts over at 00:00 UTC.
+const fs = require('fs');
+const path = require('path');
+
+const BUDGETS_FILE = path.resolve(process.env.BUDGETS_FILE || path.join(__dirname, '..', 'config', 'budgets.json'));
+const BUDGET_USAGE_FILE = path.resolve(process.env.BUDGET_USAGE_FILE
+    || path.join(process.env.STORAGE_DIR || path.join(__dirname, '..', 'data'), 'budget-usage.json'));
+const SAVE_DELAY_MS = 1000;
+
+let budgets = {};
+let usage = { day: null, requests: {} };
+let saveTimer = null;
+
+function today() {
+    return new Date().toISOString().slice(0, 10);
+}
+
+function loadBudgets() {
+    budgets = {};
+
+    if (fs.existsSync(BUDGETS_FILE)) {
+        const config = JSON.parse(fs.readFileSync(BUDGETS_FILE, 'utf8'));
+        const problems = [];
+        Object.entries(config).forEach(([provider, limit]) => {
+            if (!Number.isInteger(limit) || limit < 0) {
+                problems.push(`budgets.${provider} must be a non-negative integer`);
+            } else {
+                budgets[provider] = limit;
+            }
+        });
+        if (problems.length > 0) {
+            throw new Error(problems.join('; '));
+        }
+    }
+
+    if (fs.existsSync(BUDGET_USAGE_FILE)) {
+        usage = JSON.parse(fs.readFileSync(BUDGET_USAGE_FILE, 'utf8'));
+    }
+}
+
+function saveUsage() {
+    fs.mkdirSync(path.dirname(BUDGET_USAGE_FILE), { recursive: true });
+    fs.writeFileSync(BUDGET_USAGE_FILE, JSON.stringify(usage, null, 4) + '\n');
+}
+
+// Writes are batched; a run spends on every request
+function scheduleSave() {
+    if (saveTimer) return;
+    saveTimer = setTimeout(() => {
+        saveTimer = null;
+        try {
+            saveUsage();
+        } catch (error) {
+            console.error('Error saving budget usage:', error.message);
+        }
+    }, SAVE_DELAY_MS);
+    saveTimer.unref();
+}
+
+// Usage of the current UTC day, reset when the day changed
+function currentUsage() {
+    if (usage.day !== today()) {
+        usage = { day: today(), requests: {} };
+    }
+    return usage.requests;
+}
+
+function hasBudget(provider) {
+    if (budgets[provider] === undefined) return true;
+    return (currentUsage()[provider] || 0) < budgets[provider];
+}
+
+function spendBudget(provider, requests = 1) {
+    if (budgets[provider] === undefined || requests <= 0) return;
+
+    const used = currentUsage();
+    used[provider] = (used[provider] || 0) + requests;
+    scheduleSave();
+}
+
+// Providers of `providers` with nothing left for today
+function exhaustedProviders(providers) {
+    return providers.filter(provider => !hasBudget(provider));
+}
+
+// { day, resetsAt, providers: { provider: { limit, used, remaining } } }
+function budgetStatus() {
+    const used = currentUsage();
+    const providers = {};
+    Object.entries(budgets).forEach(([provider, limit]) => {
+        const spent = used[provider] || 0;
+        providers[provider] = { limit, used: spent, remaining: Math.max(0, limit - spent) };
+    });
+
+    const resetsAt = new Date(`${usage.day}T00:00:00.000Z`);
+    resetsAt.setUTCDate(resetsAt.getUTCDate() + 1);
+    return { day: usage.day, resetsAt: resetsAt.toISOString(), providers };
+}
+
+loadBudgets();
+
+module.exports = {
+    BUDGETS_FILE,
+    hasBudget,
+    spendBudget,
+    exhaustedProviders,
+    budgetStatus
+};
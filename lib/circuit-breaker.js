@@ -0,0 +1,75 @@
+// lib/circuit-breaker.js - Skip a failing provider for the rest of a run
+//
+// One breaker per run. After `threshold` consecutive failed calls a
+// provider's circuit opens and its calls are skipped. Once `cooldownMs` has
+// passed, one trial call goes through (half-open): a success closes the
+// circuit, a failure opens it for another cooldown. threshold 0 disables it.
+//
+// `onChange(provider, state, failures)` is called on every transition.
+
+function createCircuitBreaker({ threshold, cooldownMs, onChange = () => {}, now = Date.now }) {
+    const circuits = new Map(); // provider -> { state, failures, openedAt, skipped }
+
+    function circuit(provider) {
+        if (!circuits.has(provider)) {
+            circuits.set(provider, { state: 'closed', failures: 0, openedAt: null, skipped: 0 });
+        }
+        return circuits.get(provider);
+    }
+
+    function transition(provider, c, state) {
+        c.state = state;
+        onChange(provider, state, c.failures);
+    }
+
+    return {
+        // false when the call should be skipped; counts the skip
+        allow(provider) {
+            if (threshold === 0) return true;
+
+            const c = circuit(provider);
+            if (c.state === 'open') {
+                if (now() - c.openedAt < cooldownMs) {
+                    c.skipped++;
+                    return false;
+                }
+                transition(provider, c, 'half_open');
+            }
+            return true;
+        },
+
+        record(provider, success) {
+            if (threshold === 0) return;
+
+            const c = circuit(provider);
+            if (success) {
+                c.failures = 0;
+                if (c.state !== 'closed') transition(provider, c, 'closed');
+                return;
+            }
+
+            c.failures++;
+            if (c.state === 'half_open' || (c.state === 'closed' && c.failures >= threshold)) {
+                c.openedAt = now();
+                transition(provider, c, 'open');
+            }
+        },
+
+        skipped() {
+            return Array.from(circuits.values()).reduce((sum, c) => sum + c.skipped, 0);
+        },
+
+        // { provider: { state, failures, skipped } } for providers whose circuit opened
+        report() {
+            const report = {};
+            circuits.forEach((c, provider) => {
+                if (c.state !== 'closed' || c.skipped > 0) {
+                    report[provider] = { state: c.state, failures: c.failures, skipped: c.skipped };
+                }
+            });
+            return report;
+        }
+    };
+}
+
+module.exports = { createCircuitBreaker };
@@ -0,0 +1,146 @@
+// lib/costs.js - Per-provider pricing models
+//
+// Models live in config/costs.json (or COSTS_FILE), keyed by provider name;
+// config/costs.example.json shows every shape. Prices are USD.
+//   units  compute units / credits per endpoint:
+//          { "model": "units", "unit": "compute units", "usdPerUnit": 0.00000045,
+//            "unitsPerCall": { "price": 26, "wallet": 26, "default": 26 } }
+//          unitsPerCall is keyed by capability (price, wallet, metadata, ohlcv,
+//          transfers); `default` covers the rest
+//   flat   monthly plan: { "model": "flat", "monthlyUsd": 49, "includedCalls": 1000000,
+//          "overageUsdPerCall": 0.00005 }. Each call is charged its share of
+//          the plan (monthlyUsd / includedCalls).
+//   free   { "model": "free" }
+// `billFailed: false` records failed calls as free (billed by default).
+// Providers without a model record no cost.
+const fs = require('fs');
+const path = require('path');
+
+const COSTS_FILE = path.resolve(process.env.COSTS_FILE || path.join(__dirname, '..', 'config', 'costs.json'));
+const COST_MODELS = ['units', 'flat', 'free'];
+
+// Request volume monthly projections assume when the caller doesn't give one
+const DEFAULT_MONTHLY_REQUESTS = parseInt(process.env.COST_PROJECTION_MONTHLY_REQUESTS || '1000000', 10);
+const MAX_MONTHLY_REQUESTS = 1e12;
+
+let models = {};
+
+function isNonNegative(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+// Throws listing every problem
+function normalizeModel(provider, input) {
+    const problems = [];
+    const prefix = `costs.${provider}`;
+
+    if (!input || typeof input !== 'object' || !COST_MODELS.includes(input.model)) {
+        throw new Error(`${prefix}.model must be one of: ${COST_MODELS.join(', ')}`);
+    }
+
+    const model = { model: input.model, billFailed: input.billFailed !== false };
+
+    if (input.model === 'units') {
+        if (!isNonNegative(input.usdPerUnit)) problems.push(`${prefix}.usdPerUnit must be a non-negative number`);
+        if (!input.unitsPerCall || typeof input.unitsPerCall !== 'object' || Object.keys(input.unitsPerCall).length === 0) {
+            problems.push(`${prefix}.unitsPerCall must map capabilities to units`);
+        } else {
+            Object.entries(input.unitsPerCall).forEach(([capability, units]) => {
+                if (!isNonNegative(units)) problems.push(`${prefix}.unitsPerCall.${capability} must be a non-negative number`);
+            });
+        }
+        Object.assign(model, {
+            unit: typeof input.unit === 'string' && input.unit.trim() ? input.unit.trim() : 'units',
+            usdPerUnit: input.usdPerUnit,
+            unitsPerCall: input.unitsPerCall
+        });
+    } else if (input.model === 'flat') {
+        if (!isNonNegative(input.monthlyUsd)) problems.push(`${prefix}.monthlyUsd must be a non-negative number`);
+        if (!Number.isInteger(input.includedCalls) || input.includedCalls < 1) problems.push(`${prefix}.includedCalls must be a positive integer`);
+        if (input.overageUsdPerCall !== undefined && !isNonNegative(input.overageUsdPerCall)) {
+            problems.push(`${prefix}.overageUsdPerCall must be a non-negative number`);
+        }
+        Object.assign(model, {
+            monthlyUsd: input.monthlyUsd,
+            includedCalls: input.includedCalls,
+            // Without an overage price, extra calls cost the plan's per-call rate
+            overageUsdPerCall: input.overageUsdPerCall ?? input.monthlyUsd / input.includedCalls
+        });
+    }
+
+    if (problems.length > 0) {
+        throw new Error(problems.join('; '));
+    }
+    return model;
+}
+
+function loadCostModels() {
+    models = {};
+
+    if (!fs.existsSync(COSTS_FILE)) {
+        return;
+    }
+
+    const config = JSON.parse(fs.readFileSync(COSTS_FILE, 'utf8'));
+    Object.entries(config).forEach(([provider, input]) => {
+        models[provider] = normalizeModel(provider, input);
+    });
+}
+
+function listCostModels() {
+    return { ...models };
+}
+
+// USD charged for one call to `capability`, or null when the provider has no model
+function callCost(provider, capability, success = true) {
+    const model = models[provider];
+    if (!model) return null;
+    if (!success && !model.billFailed) return 0;
+
+    if (model.model === 'units') {
+        const units = model.unitsPerCall[capability] ?? model.unitsPerCall.default ?? 0;
+        return units * model.usdPerUnit;
+    }
+    if (model.model === 'flat') {
+        return model.monthlyUsd / model.includedCalls;
+    }
+    return 0;
+}
+
+// Monthly bill at `monthlyRequests` calls with the observed average cost per call
+function projectMonthlyCost(provider, avgCostPerCall, monthlyRequests) {
+    const model = models[provider];
+    if (!model) return null;
+
+    if (model.model === 'flat') {
+        return model.monthlyUsd + Math.max(0, monthlyRequests - model.includedCalls) * model.overageUsdPerCall;
+    }
+    if (model.model === 'free') {
+        return 0;
+    }
+    return avgCostPerCall === null ? null : avgCostPerCall * monthlyRequests;
+}
+
+function parseMonthlyRequests(value) {
+    if (value === undefined || value === '') {
+        return DEFAULT_MONTHLY_REQUESTS;
+    }
+
+    const num = Number(value);
+    if (!Number.isInteger(num) || num < 1 || num > MAX_MONTHLY_REQUESTS) {
+        throw new Error(`monthly_requests must be an integer between 1 and ${MAX_MONTHLY_REQUESTS}`);
+    }
+    return num;
+}
+
+loadCostModels();
+
+module.exports = {
+    COSTS_FILE,
+    COST_MODELS,
+    DEFAULT_MONTHLY_REQUESTS,
+    listCostModels,
+    callCost,
+    projectMonthlyCost,
+    parseMonthlyRequests
+};
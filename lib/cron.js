@@ -0,0 +1,130 @@
+// lib/cron.js - Minimal 5-field cron expressions (minute hour day-of-month month day-of-week)
+//
+// Supports `*`, numbers, ranges (`1-5`), lists (`0,30`) and steps (`*/15`, `0-30/10`).
+// Day-of-week is 0-6 with Sunday = 0 (7 is accepted as Sunday too). As in
+// classic cron, when both day fields are restricted a date matches either one.
+// Times are evaluated in the server's local timezone.
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'day of week', min: 0, max: 7 }
+];
+
+// Longest each month can be (February in a leap year)
+const MONTH_DAYS = [31, 29, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+// nextRun() searches about five years ahead, time-bounded rather than per step
+const MAX_LOOKAHEAD_MS = 366 * 24 * 60 * 60 * 1000 * 5;
+
+function parseField(expr, { name, min, max }) {
+    const values = new Set();
+
+    expr.split(',').forEach(part => {
+        const [range, stepStr] = part.split('/');
+        if (!range) {
+            throw new Error(`Invalid ${name} field "${expr}"`);
+        }
+        const step = stepStr === undefined ? 1 : Number(stepStr);
+        if (!Number.isInteger(step) || step < 1) {
+            throw new Error(`Invalid step "${stepStr}" in ${name} field`);
+        }
+
+        let start;
+        let end;
+        if (range === '*') {
+            start = min;
+            end = max;
+        } else if (range.includes('-')) {
+            [start, end] = range.split('-').map(Number);
+        } else {
+            start = Number(range);
+            end = stepStr === undefined ? start : max;
+        }
+
+        if (!Number.isInteger(start) || !Number.isInteger(end) || start < min || end > max || start > end) {
+            throw new Error(`Invalid ${name} field "${expr}" (allowed ${min}-${max})`);
+        }
+
+        for (let v = start; v <= end; v += step) values.add(v);
+    });
+
+    return values;
+}
+
+function parseCron(expression) {
+    if (typeof expression !== 'string') {
+        throw new Error('Cron expression must be a string');
+    }
+
+    const parts = expression.trim().split(/\s+/);
+    if (parts.length !== 5) {
+        throw new Error(`Cron expression "${expression}" must have 5 fields`);
+    }
+
+    const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseField(part, FIELDS[i]));
+    if (weekdays.has(7)) weekdays.add(0);
+
+    const cron = {
+        minutes,
+        hours,
+        days,
+        months,
+        weekdays,
+        dayRestricted: parts[2] !== '*',
+        weekdayRestricted: parts[4] !== '*'
+    };
+
+    // e.g. "0 0 31 2 *"; with a day of week too, that alone can still match
+    const reachable = Array.from(months).some(month => Array.from(days).some(day => day <= MONTH_DAYS[month - 1]));
+    if (!reachable && !cron.weekdayRestricted) {
+        throw new Error(`Cron expression "${expression}" never matches (no month has those days)`);
+    }
+
+    return cron;
+}
+
+function matchesDay(cron, date) {
+    const dom = cron.days.has(date.getDate());
+    const dow = cron.weekdays.has(date.getDay());
+
+    if (cron.dayRestricted && cron.weekdayRestricted) return dom || dow;
+    if (cron.dayRestricted) return dom;
+    if (cron.weekdayRestricted) return dow;
+    return true;
+}
+
+// First matching minute strictly after `from`
+function nextRun(expression, from = new Date()) {
+    const cron = typeof expression === 'string' ? parseCron(expression) : expression;
+    const date = new Date(from.getTime());
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+
+    const limit = from.getTime() + MAX_LOOKAHEAD_MS;
+
+    while (date.getTime() < limit) {
+        if (!cron.months.has(date.getMonth() + 1)) {
+            date.setMonth(date.getMonth() + 1, 1);
+            date.setHours(0, 0, 0, 0);
+        } else if (!matchesDay(cron, date)) {
+            date.setDate(date.getDate() + 1);
+            date.setHours(0, 0, 0, 0);
+        } else if (!cron.hours.has(date.getHours())) {
+            date.setHours(date.getHours() + 1, 0, 0, 0);
+        } else if (!cron.minutes.has(date.getMinutes())) {
+            date.setMinutes(date.getMinutes() + 1, 0, 0);
+        } else {
+            return date;
+        }
+    }
+
+    throw new Error(`Cron expression "${expression}" never matches`);
+}
+
+module.exports = {
+    parseCron,
+    nextRun
+};
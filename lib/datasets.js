@@ -0,0 +1,283 @@
+// lib/datasets.js - Token metadata, OHLCV history and transfer history tests
+//
+// Each dataset maps to a provider capability (providers/index.js). Responses
+// are normalized into one shape per dataset and then compared across the
+// providers of the same iteration; like the price reference, a provider is
+// always judged against the *other* providers, never itself.
+//
+//   metadata   { name, symbol, decimals }
+//              consensus per field = most common value among the others
+//   ohlcv      [{ time, open, high, low, close, volume }], one candle per interval
+//              close compared with the median close of the others per candle
+//   transfers  [{ hash, from, to, token, value, timestamp }]
+//              transactions reported by most other providers within the time
+//              window every provider covers; missing ones are mismatches
+//
+// Every comparison yields { recordCount, consensusMatch (%), mismatches,
+// deviation, isAccurate }; fields that don't apply are null.
+const { getProvider } = require('../providers');
+const { percentile, mean } = require('./stats');
+
+const INTERVALS = {
+    '1h': 60 * 60 * 1000,
+    '1d': 24 * 60 * 60 * 1000
+};
+
+const METADATA_FIELDS = ['name', 'symbol', 'decimals'];
+
+const DATASETS = {
+    metadata: {
+        subject: 'token',
+        testType: tokenId => `metadata_${tokenId}`,
+        buildRequest: (adapter, token, network) => adapter.buildMetadataRequest(token, network),
+        extract: (adapter, data) => normalizeMetadata(adapter.extractMetadata(data)),
+        compare: results => compareMetadata(results)
+    },
+    ohlcv: {
+        subject: 'token',
+        testType: tokenId => `ohlcv_${tokenId}`,
+        buildRequest: (adapter, token, network, params) => adapter.buildOhlcvRequest(token, network, params),
+        extract: (adapter, data, params) => normalizeCandles(adapter.extractCandles(data), params.interval),
+        compare: (results, params) => compareCandles(results, params)
+    },
+    transfers: {
+        subject: 'wallet',
+        testType: () => 'transfers',
+        buildRequest: (adapter, walletAddress, network, params) => adapter.buildTransfersRequest(walletAddress, params),
+        extract: (adapter, data) => normalizeTransfers(adapter.extractTransfers(data)),
+        compare: results => compareTransfers(results)
+    }
+};
+
+function toTime(value) {
+    if (value === null || value === undefined) return null;
+    const ms = new Date(value).getTime();
+    return isNaN(ms) ? null : ms;
+}
+
+function toNumber(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const num = parseFloat(value);
+    return isNaN(num) ? null : num;
+}
+
+// ====================================
+// Normalizers
+// ====================================
+
+function normalizeMetadata(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+
+    const decimals = toNumber(raw.decimals);
+    return {
+        name: typeof raw.name === 'string' && raw.name.trim() ? raw.name.trim() : null,
+        // CoinGecko lowercases symbols
+        symbol: typeof raw.symbol === 'string' && raw.symbol.trim() ? raw.symbol.trim().toUpperCase() : null,
+        decimals: Number.isInteger(decimals) ? decimals : null
+    };
+}
+
+// Points are folded into one candle per interval bucket, so close-only price
+// series (open = high = low = close) and real bars compare on the same grid
+function normalizeCandles(raw, interval) {
+    if (!Array.isArray(raw)) return null;
+
+    const size = INTERVALS[interval];
+    const buckets = new Map();
+
+    raw
+        .map(c => ({ ...c, time: toTime(c.time), close: toNumber(c.close) }))
+        .filter(c => c.time !== null && c.close !== null)
+        .sort((a, b) => a.time - b.time)
+        .forEach(c => {
+            const time = Math.floor(c.time / size) * size;
+            const open = toNumber(c.open) ?? c.close;
+            const high = toNumber(c.high) ?? c.close;
+            const low = toNumber(c.low) ?? c.close;
+            const volume = toNumber(c.volume);
+            const candle = buckets.get(time);
+
+            if (!candle) {
+                buckets.set(time, { time, open, high, low, close: c.close, volume });
+                return;
+            }
+            candle.high = Math.max(candle.high, high);
+            candle.low = Math.min(candle.low, low);
+            candle.close = c.close;
+            if (volume !== null) candle.volume = (candle.volume || 0) + volume;
+        });
+
+    return Array.from(buckets.values());
+}
+
+function normalizeTransfers(raw) {
+    if (!Array.isArray(raw)) return null;
+
+    return raw
+        .filter(t => t && typeof t.hash === 'string')
+        .map(t => ({
+            hash: t.hash.toLowerCase(),
+            from: typeof t.from === 'string' ? t.from.toLowerCase() : null,
+            to: typeof t.to === 'string' ? t.to.toLowerCase() : null,
+            token: typeof t.token === 'string' ? t.token.toLowerCase() : null,
+            value: t.value === null || t.value === undefined ? null : String(t.value),
+            timestamp: toTime(t.timestamp)
+        }));
+}
+
+// ====================================
+// Cross-provider comparisons
+// ====================================
+// `results` is [{ provider, data }] with data from the normalizer (null when
+// the call failed). Returns a Map of provider -> comparison.
+
+function emptyComparison(recordCount = null) {
+    return { recordCount, consensusMatch: null, mismatches: null, deviation: null, isAccurate: null };
+}
+
+// Most common value, or null when there is none or the top values tie
+function mode(values) {
+    const counts = new Map();
+    values.forEach(v => counts.set(v, (counts.get(v) || 0) + 1));
+
+    const ranked = Array.from(counts.entries()).sort((a, b) => b[1] - a[1]);
+    if (ranked.length === 0 || (ranked.length > 1 && ranked[0][1] === ranked[1][1])) return null;
+    return ranked[0][0];
+}
+
+function compareMetadata(results) {
+    const comparisons = new Map();
+
+    results.forEach(({ provider, data }) => {
+        if (!data) {
+            comparisons.set(provider, emptyComparison());
+            return;
+        }
+
+        const others = results.filter(r => r.provider !== provider && r.data);
+        let compared = 0;
+        let mismatches = 0;
+
+        METADATA_FIELDS.forEach(field => {
+            const consensus = mode(others.map(r => r.data[field]).filter(v => v !== null));
+            if (consensus === null) return;
+
+            compared++;
+            if (data[field] !== consensus) mismatches++;
+        });
+
+        comparisons.set(provider, {
+            recordCount: METADATA_FIELDS.filter(field => data[field] !== null).length,
+            consensusMatch: compared > 0 ? ((compared - mismatches) / compared) * 100 : null,
+            mismatches: compared > 0 ? mismatches : null,
+            deviation: null,
+            isAccurate: compared > 0 ? mismatches === 0 : null
+        });
+    });
+
+    return comparisons;
+}
+
+// consensusMatch is coverage: the share of candles the others have that this
+// provider has too. A candle whose close is off by more than toleranceBps is a mismatch.
+function compareCandles(results, { toleranceBps }) {
+    const comparisons = new Map();
+
+    results.forEach(({ provider, data }) => {
+        if (!data) {
+            comparisons.set(provider, emptyComparison());
+            return;
+        }
+
+        const own = new Map(data.map(c => [c.time, c.close]));
+        const othersByTime = new Map();
+        results
+            .filter(r => r.provider !== provider && r.data)
+            .forEach(r => r.data.forEach(c => {
+                if (!othersByTime.has(c.time)) othersByTime.set(c.time, []);
+                othersByTime.get(c.time).push(c.close);
+            }));
+
+        const deviations = [];
+        let covered = 0;
+        othersByTime.forEach((closes, time) => {
+            if (!own.has(time)) return;
+            covered++;
+
+            const consensus = percentile(closes.sort((a, b) => a - b), 0.5);
+            if (consensus > 0) deviations.push(Math.abs(own.get(time) - consensus) / consensus * 100);
+        });
+
+        const mismatches = deviations.filter(d => d > toleranceBps / 100).length;
+        comparisons.set(provider, {
+            recordCount: data.length,
+            consensusMatch: othersByTime.size > 0 ? (covered / othersByTime.size) * 100 : null,
+            mismatches: deviations.length > 0 ? mismatches : null,
+            deviation: mean(deviations),
+            isAccurate: deviations.length > 0 ? mismatches === 0 : null
+        });
+    });
+
+    return comparisons;
+}
+
+// Providers page back different distances, so only transactions newer than
+// every provider's oldest one are expected from everyone
+function compareTransfers(results) {
+    const comparisons = new Map();
+    const answered = results.filter(r => r.data && r.data.length > 0);
+    const oldest = answered
+        .map(r => Math.min(...r.data.map(t => t.timestamp ?? Infinity)))
+        .filter(Number.isFinite);
+    const windowStart = oldest.length > 0 ? Math.max(...oldest) : Infinity;
+
+    const inWindow = data => new Set(data.filter(t => t.timestamp !== null && t.timestamp >= windowStart).map(t => t.hash));
+
+    results.forEach(({ provider, data }) => {
+        if (!data) {
+            comparisons.set(provider, emptyComparison());
+            return;
+        }
+
+        const own = new Set(data.map(t => t.hash));
+        const others = answered.filter(r => r.provider !== provider).map(r => inWindow(r.data));
+        if (others.length === 0) {
+            comparisons.set(provider, emptyComparison(own.size));
+            return;
+        }
+
+        // Reported by more than half of the other providers
+        const votes = new Map();
+        others.forEach(hashes => hashes.forEach(hash => votes.set(hash, (votes.get(hash) || 0) + 1)));
+        const expected = Array.from(votes.entries()).filter(([, count]) => count > others.length / 2).map(([hash]) => hash);
+        const missing = expected.filter(hash => !own.has(hash)).length;
+
+        comparisons.set(provider, {
+            recordCount: own.size,
+            consensusMatch: expected.length > 0 ? ((expected.length - missing) / expected.length) * 100 : null,
+            mismatches: expected.length > 0 ? missing : null,
+            deviation: null,
+            isAccurate: expected.length > 0 ? missing === 0 : null
+        });
+    });
+
+    return comparisons;
+}
+
+// Normalized data from one response, or null when the adapter can't make sense of it
+function extractDataset(kind, provider, responseData, params = {}) {
+    try {
+        return DATASETS[kind].extract(getProvider(provider), responseData, params);
+    } catch (e) {
+        return null;
+    }
+}
+
+module.exports = {
+    DATASETS,
+    INTERVALS,
+    extractDataset,
+    compareMetadata,
+    compareCandles,
+    compareTransfers
+};
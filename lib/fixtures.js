@@ -0,0 +1,92 @@
+// lib/fixtures.js - Record / replay of provider HTTP responses
+//
+// HTTP_FIXTURES selects the mode for every request lib/http-timing.js sends:
+//   record   real responses are also written to HTTP_FIXTURES_DIR (default fixtures/)
+//   replay   requests are answered from the fixtures without touching the
+//            network; a request that was never recorded fails
+//   (unset)  live requests only
+//
+// A fixture is matched on method, URL and body. Values of *_KEY, *_TOKEN and
+// *_SECRET env vars are redacted before matching and storing, so fixtures are
+// safe to commit and replay with any key. Request headers are not stored, and
+// of the response headers only Content-Type and Retry-After.
+// Requests whose URL or body carries the current time (OHLCV windows) only
+// replay within the same window.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MODES = ['record', 'replay'];
+
+const REDACTED = '<redacted>';
+// Response headers worth replaying (retry policies read Retry-After)
+const KEPT_HEADERS = ['content-type', 'retry-after'];
+const SECRET_ENV = /_(KEY|TOKEN|SECRET)$/;
+
+function fixtureMode() {
+    const mode = process.env.HTTP_FIXTURES || null;
+    if (mode !== null && !MODES.includes(mode)) {
+        throw new Error(`HTTP_FIXTURES must be one of: ${MODES.join(', ')}`);
+    }
+    return mode;
+}
+
+function fixturesDir() {
+    return path.resolve(process.env.HTTP_FIXTURES_DIR || path.join(__dirname, '..', 'fixtures'));
+}
+
+function redact(text) {
+    if (text === undefined || text === null) return text;
+
+    return Object.entries(process.env)
+        .filter(([name, value]) => SECRET_ENV.test(name) && value && value.length >= 4)
+        .reduce((result, [, value]) => result.split(value).join(REDACTED), String(text));
+}
+
+// fixtures/<host>/<hash>.json
+function fixturePath(method, url, body) {
+    const request = { method: method.toUpperCase(), url: redact(url), body: redact(body) ?? null };
+    const hash = crypto.createHash('sha256').update(JSON.stringify(request)).digest('hex').slice(0, 24);
+    return { request, file: path.join(fixturesDir(), new URL(url).host.replace(/[^A-Za-z0-9.-]/g, '_'), `${hash}.json`) };
+}
+
+function saveFixture(method, url, body, response) {
+    const { request, file } = fixturePath(method, url, body);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify({
+        recordedAt: new Date().toISOString(),
+        request,
+        response: {
+            status: response.status,
+            headers: Object.fromEntries(KEPT_HEADERS.filter(name => response.headers?.[name] !== undefined).map(name => [name, response.headers[name]])),
+            body: response.body
+        },
+        timings: response.timings
+    }, null, 4) + '\n');
+}
+
+// Same shape as a live timedRequest result
+function loadFixture(method, url, body) {
+    const { request, file } = fixturePath(method, url, body);
+    if (!fs.existsSync(file)) {
+        throw new Error(`No fixture for ${request.method} ${request.url} (HTTP_FIXTURES=replay)`);
+    }
+
+    const fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return {
+        status: fixture.response.status,
+        ok: fixture.response.status >= 200 && fixture.response.status < 300,
+        headers: fixture.response.headers || {},
+        body: fixture.response.body,
+        connectionReused: false,
+        timings: { ...fixture.timings }
+    };
+}
+
+module.exports = {
+    MODES,
+    fixtureMode,
+    fixturesDir,
+    saveFixture,
+    loadFixture
+};
@@ -0,0 +1,135 @@
+// lib/grading.js - Error classification and price grading for benchmark results
+//
+// Pure functions, shared by the benchmark runners in server.js and the tests.
+
+// ====================================
+// Classify error types
+// ====================================
+// error_type of a failed call, from the most reliable signal available: the
+// network error code when no response came back, else the HTTP status, else
+// (a 2xx that still failed) what the body says.
+const ERROR_TYPES = [
+    'success',
+    'timeout',          // no response within timeoutMs, or HTTP 408
+    'network_error',    // connection refused or reset, DNS failure, ...
+    'rate_limit',       // HTTP 429
+    'auth_error',       // HTTP 401 / 403
+    'not_found',        // HTTP 404
+    'client_error',     // any other 4xx: the request was rejected
+    'server_error',     // 5xx, including HTML error pages from gateways
+    'parse_error',      // 2xx whose body is not JSON
+    'provider_error',   // 2xx carrying an error (error field, GraphQL errors)
+    'unknown_error'     // failed before any request was sent
+];
+
+const TIMEOUT_CODES = ['ETIMEDOUT', 'ESOCKETTIMEDOUT'];
+
+// GraphQL errors[].extensions.code (Apollo conventions, as used by Codex)
+const GRAPHQL_CODES = {
+    UNAUTHENTICATED: 'auth_error',
+    FORBIDDEN: 'auth_error',
+    RATE_LIMITED: 'rate_limit',
+    TOO_MANY_REQUESTS: 'rate_limit',
+    NOT_FOUND: 'not_found',
+    BAD_USER_INPUT: 'client_error',
+    GRAPHQL_PARSE_FAILED: 'client_error',
+    GRAPHQL_VALIDATION_FAILED: 'client_error',
+    INTERNAL_SERVER_ERROR: 'server_error'
+};
+
+function classifyStatus(statusCode) {
+    if (statusCode === 408) return 'timeout';
+    if (statusCode === 429) return 'rate_limit';
+    if (statusCode === 401 || statusCode === 403) return 'auth_error';
+    if (statusCode === 404) return 'not_found';
+    if (statusCode >= 400 && statusCode < 500) return 'client_error';
+    if (statusCode >= 500 && statusCode < 600) return 'server_error';
+    return null;
+}
+
+// Error status some APIs put in the body of a 200 (GoldRush: { error: true, error_code: 429 })
+function bodyStatus(body) {
+    const code = [body.error_code, body.statusCode, body.status, body.code]
+        .map(Number)
+        .find(value => Number.isInteger(value) && value >= 400 && value < 600);
+    return code ?? null;
+}
+
+// `failure` describes a failed call:
+//   code         Node error code of a request that got no response (ECONNREFUSED, ...)
+//   statusCode   HTTP status of the response
+//   body         parsed JSON body, or null
+//   parseFailed  true when the body of a 2xx was not JSON
+function classifyError({ code = null, statusCode = null, body = null, parseFailed = false } = {}) {
+    if (code) {
+        return TIMEOUT_CODES.includes(code) ? 'timeout' : 'network_error';
+    }
+    if (statusCode !== null && (statusCode < 200 || statusCode >= 300)) {
+        return classifyStatus(statusCode) || 'unknown_error';
+    }
+    if (parseFailed) {
+        return 'parse_error';
+    }
+    if (body && typeof body === 'object') {
+        const graphqlCode = Array.isArray(body.errors)
+            ? body.errors.map(e => GRAPHQL_CODES[e?.extensions?.code]).find(Boolean)
+            : null;
+        return graphqlCode || classifyStatus(bodyStatus(body)) || 'provider_error';
+    }
+    return 'unknown_error';
+}
+
+// ====================================
+// Validate price accuracy against the reference
+// ====================================
+// `toleranceBps` comes from the token (lib/tokens.js toleranceFor); 100 bps = 1%
+function validatePriceAccuracy(priceValue, referencePrice, toleranceBps = 500) {
+    if (!priceValue || !referencePrice || priceValue <= 0 || referencePrice <= 0) {
+        return false;
+    }
+    
+    const deviation = Math.abs(priceValue - referencePrice) / referencePrice;
+    return deviation <= toleranceBps / 10000;
+}
+
+// ====================================
+// Calculate price deviation percentage
+// ====================================
+function calculateDeviation(priceValue, referencePrice) {
+    if (!priceValue || !referencePrice || referencePrice === 0) {
+        return null;
+    }
+    
+    return ((priceValue - referencePrice) / referencePrice) * 100;
+}
+
+// ====================================
+// Grade a price result against a reference
+// ====================================
+// `reference` is a consensus from lib/reference.js ({ price, sources, method }) or null
+function applyReference(result, reference) {
+    const referencePrice = reference ? reference.price : null;
+    
+    // Validate accuracy against the consensus reference, within the token's tolerance
+    result.isAccurate = (result.priceValue && referencePrice) 
+        ? validatePriceAccuracy(result.priceValue, referencePrice, result.toleranceBps) 
+        : null;
+    
+    // Calculate deviation from reference
+    result.deviation = (result.priceValue && referencePrice)
+        ? calculateDeviation(result.priceValue, referencePrice)
+        : null;
+    
+    result.referencePrice = referencePrice;
+    result.referenceSources = reference ? reference.sources : null;
+    result.referenceMethod = reference ? reference.method : null;
+    return result;
+}
+
+module.exports = {
+    ERROR_TYPES,
+    classifyError,
+    validatePriceAccuracy,
+    calculateDeviation,
+    applyReference
+};
@@ -0,0 +1,135 @@
+// lib/http-timing.js - HTTP client that records per-phase timings
+//
+// fetch() only exposes one end-to-end number, so provider calls go through
+// Node's http/https modules and read the socket events instead:
+//
+//   dns       start -> 'lookup'
+//   connect   'lookup' -> 'connect' (TCP handshake)
+//   tls       'connect' -> 'secureConnect'
+//   ttfb      request on the wire -> response headers
+//   download  response headers -> last body byte
+//
+// On a reused keep-alive socket dns/connect/tls are 0.
+//
+// connectionMode 'warm' shares a keep-alive agent across requests, like a
+// production service with connection pooling; 'cold' opens a fresh
+// connection for every request.
+//
+// With HTTP_FIXTURES set, responses are recorded to or replayed from fixture
+// files (lib/fixtures.js); pass `fixtures: false` for requests that must
+// always go out, like alert webhooks.
+//
+// An AbortSignal in `signal` (a cancelled job) tears the request down.
+const http = require('http');
+const https = require('https');
+const { fixtureMode, saveFixture, loadFixture } = require('./fixtures');
+
+const CONNECTION_MODES = ['warm', 'cold'];
+
+const warmAgents = {
+    'http:': new http.Agent({ keepAlive: true }),
+    'https:': new https.Agent({ keepAlive: true })
+};
+
+function agentFor(protocol, connectionMode) {
+    if (connectionMode === 'cold') {
+        return protocol === 'https:' ? new https.Agent({ keepAlive: false }) : new http.Agent({ keepAlive: false });
+    }
+    return warmAgents[protocol];
+}
+
+function liveRequest(url, { method, headers, body, timeoutMs, connectionMode, signal }) {
+    const target = new URL(url);
+    const transport = target.protocol === 'https:' ? https : http;
+    const agent = agentFor(target.protocol, connectionMode);
+
+    return new Promise((resolve, reject) => {
+        const start = performance.now();
+        const marks = {};
+        let connectionReused = false;
+        let timer = null;
+
+        const finish = (error, result) => {
+            clearTimeout(timer);
+            if (connectionMode === 'cold') agent.destroy();
+            if (error) reject(error);
+            else resolve(result);
+        };
+
+        const req = transport.request(target, { method, headers, agent, signal: signal || undefined }, res => {
+            marks.firstByte = performance.now();
+            const chunks = [];
+
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('error', error => finish(error));
+            res.on('end', () => {
+                marks.end = performance.now();
+
+                const requestSent = marks.secureConnect ?? marks.connect ?? marks.socket ?? start;
+                finish(null, {
+                    status: res.statusCode,
+                    ok: res.statusCode >= 200 && res.statusCode < 300,
+                    headers: res.headers,
+                    body: Buffer.concat(chunks).toString('utf8'),
+                    connectionReused,
+                    timings: {
+                        dns: marks.lookup !== undefined ? marks.lookup - start : 0,
+                        connect: marks.connect !== undefined ? marks.connect - (marks.lookup ?? start) : 0,
+                        tls: marks.secureConnect !== undefined ? marks.secureConnect - marks.connect : 0,
+                        ttfb: marks.firstByte - requestSent,
+                        download: marks.end - marks.firstByte
+                    }
+                });
+            });
+        });
+
+        req.on('socket', socket => {
+            marks.socket = performance.now();
+
+            // A pooled socket that is already connected skips DNS/TCP/TLS entirely
+            if (!socket.connecting) {
+                connectionReused = true;
+                return;
+            }
+
+            socket.once('lookup', () => { marks.lookup = performance.now(); });
+            socket.once('connect', () => { marks.connect = performance.now(); });
+            socket.once('secureConnect', () => { marks.secureConnect = performance.now(); });
+        });
+
+        req.on('error', error => finish(error));
+
+        if (timeoutMs) {
+            timer = setTimeout(() => {
+                const error = new Error(`Request timeout after ${timeoutMs}ms`);
+                error.code = 'ETIMEDOUT';
+                req.destroy(error);
+            }, timeoutMs);
+        }
+
+        if (body !== undefined) req.write(body);
+        req.end();
+    });
+}
+
+// Resolves with { status, ok, headers, body (string), timings, connectionReused }.
+// Rejects on network errors, with the socket's error code (ECONNREFUSED, ...),
+// with code ETIMEDOUT when timeoutMs elapses and ABORT_ERR when `signal` aborts.
+async function timedRequest(url, { method = 'GET', headers = {}, body, timeoutMs, connectionMode = 'warm', fixtures = true, signal = null } = {}) {
+    const mode = fixtures ? fixtureMode() : null;
+
+    if (mode === 'replay') {
+        return loadFixture(method, url, body);
+    }
+
+    const response = await liveRequest(url, { method, headers, body, timeoutMs, connectionMode, signal });
+    if (mode === 'record') {
+        saveFixture(method, url, body, response);
+    }
+    return response;
+}
+
+module.exports = {
+    CONNECTION_MODES,
+    timedRequest
+};
@@ -0,0 +1,154 @@
+// lib/jobs.js - Background benchmark jobs
+//
+// Runs are submitted as jobs and executed one at a time per kind ('price',
+// 'wallet', ...) so two runs of the same kind never interleave their writes.
+// Later submissions wait in a queue; past MAX_QUEUED_JOBS they are rejected.
+// A job's id doubles as the run id its result rows are tagged with.
+const crypto = require('crypto');
+
+const MAX_QUEUED_JOBS = parseInt(process.env.MAX_QUEUED_JOBS || '5', 10);
+const MAX_FINISHED_JOBS = 100;
+
+const jobs = new Map();       // id -> public job record
+const internals = new Map();  // id -> { run, controller }
+const queues = new Map();     // kind -> [id, ...] waiting to start
+const running = new Map();    // kind -> id currently running
+
+const ACTIVE = ['queued', 'running', 'cancelling'];
+
+const startListeners = [];
+const finishListeners = [];
+
+// `trigger` records what started the job ('api', 'schedule:<id>', ...)
+function createJob(kind, params, run, { trigger = 'api' } = {}) {
+    const queue = queues.get(kind) || [];
+    if (queue.length >= MAX_QUEUED_JOBS) {
+        throw new Error(`Too many queued ${kind} jobs (max ${MAX_QUEUED_JOBS})`);
+    }
+
+    const job = {
+        id: crypto.randomUUID(),
+        kind,
+        trigger,
+        status: 'queued',
+        params,
+        progress: {
+            requestsDone: 0,
+            requestsTotal: null,
+            errors: 0,
+            skipped: 0
+        },
+        result: null,
+        error: null,
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        finishedAt: null
+    };
+
+    jobs.set(job.id, job);
+    internals.set(job.id, { run, controller: new AbortController() });
+    queue.push(job.id);
+    queues.set(kind, queue);
+
+    startNext(kind);
+    return job;
+}
+
+function startNext(kind) {
+    if (running.has(kind)) return;
+
+    const queue = queues.get(kind) || [];
+    const id = queue.shift();
+    if (!id) return;
+
+    const job = jobs.get(id);
+    const { run, controller } = internals.get(id);
+
+    running.set(kind, id);
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+
+    const context = {
+        runId: id,
+        signal: controller.signal,
+        progress(changes) {
+            Object.assign(job.progress, changes);
+        }
+    };
+
+    startListeners.forEach(listener => listener(job));
+
+    Promise.resolve()
+        .then(() => run(context))
+        .then(result => {
+            job.result = result;
+            job.status = controller.signal.aborted ? 'cancelled' : 'completed';
+        })
+        .catch(error => {
+            console.error(`Job ${id} (${kind}) failed:`, error.message);
+            job.error = error.message;
+            job.status = controller.signal.aborted ? 'cancelled' : 'failed';
+        })
+        .finally(() => {
+            job.finishedAt = new Date().toISOString();
+            internals.delete(id);
+            running.delete(kind);
+            pruneFinished();
+            startNext(kind);
+            finishListeners.forEach(listener => listener(job));
+        });
+}
+
+function cancelJob(id) {
+    const job = jobs.get(id);
+    if (!job || !ACTIVE.includes(job.status)) return job || null;
+
+    if (job.status === 'queued') {
+        const queue = queues.get(job.kind) || [];
+        queues.set(job.kind, queue.filter(queuedId => queuedId !== id));
+        internals.delete(id);
+        job.status = 'cancelled';
+        job.finishedAt = new Date().toISOString();
+        return job;
+    }
+
+    // Running jobs stop at their next checkpoint; status becomes 'cancelled' when run() returns
+    if (job.status === 'running') {
+        job.status = 'cancelling';
+        internals.get(id).controller.abort();
+    }
+    return job;
+}
+
+function pruneFinished() {
+    const finished = Array.from(jobs.values()).filter(job => !ACTIVE.includes(job.status));
+    finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS)).forEach(job => jobs.delete(job.id));
+}
+
+// `listener(job)` runs whenever a queued job starts
+function onJobStarted(listener) {
+    startListeners.push(listener);
+}
+
+// `listener(job)` runs whenever a started job finishes (completed, failed or cancelled)
+function onJobFinished(listener) {
+    finishListeners.push(listener);
+}
+
+function getJob(id) {
+    return jobs.get(id) || null;
+}
+
+function listJobs(kind) {
+    const all = Array.from(jobs.values()).reverse();
+    return kind ? all.filter(job => job.kind === kind) : all;
+}
+
+module.exports = {
+    createJob,
+    cancelJob,
+    getJob,
+    listJobs,
+    onJobStarted,
+    onJobFinished
+};
@@ -0,0 +1,89 @@
+// lib/keccak.js - Keccak-256, as used by Ethereum (EIP-55 address checksums)
+//
+// Node's crypto only has the standardized SHA3-256, which pads differently
+// and gives different digests. This is the plain Keccak-f[1600] sponge with
+// 64-bit lanes as BigInts: slow, but it only ever hashes 40-character
+// addresses.
+
+const MASK = (1n << 64n) - 1n;
+const RATE = 136; // bytes, for a 256-bit output
+
+const ROUND_CONSTANTS = [
+    0x0000000000000001n, 0x0000000000008082n, 0x800000000000808an, 0x8000000080008000n,
+    0x000000000000808bn, 0x0000000080000001n, 0x8000000080008081n, 0x8000000000008009n,
+    0x000000000000008an, 0x0000000000000088n, 0x0000000080008009n, 0x000000008000000an,
+    0x000000008000808bn, 0x800000000000008bn, 0x8000000000008089n, 0x8000000000008003n,
+    0x8000000000008002n, 0x8000000000000080n, 0x000000000000800an, 0x800000008000000an,
+    0x8000000080008081n, 0x8000000000008080n, 0x0000000080000001n, 0x8000000080008008n
+];
+
+// Rotation offsets, indexed x + 5y
+const ROTATIONS = [
+    0, 1, 62, 28, 27,
+    36, 44, 6, 55, 20,
+    3, 10, 43, 25, 39,
+    41, 45, 15, 21, 8,
+    18, 2, 61, 56, 14
+];
+
+function rotl(value, shift) {
+    const n = BigInt(shift);
+    return n === 0n ? value : ((value << n) | (value >> (64n - n))) & MASK;
+}
+
+function keccakF(state) {
+    for (let round = 0; round < 24; round++) {
+        // theta
+        const c = [];
+        for (let x = 0; x < 5; x++) {
+            c[x] = state[x] ^ state[x + 5] ^ state[x + 10] ^ state[x + 15] ^ state[x + 20];
+        }
+        for (let x = 0; x < 5; x++) {
+            const d = c[(x + 4) % 5] ^ rotl(c[(x + 1) % 5], 1);
+            for (let y = 0; y < 25; y += 5) state[x + y] ^= d;
+        }
+
+        // rho and pi
+        const b = new Array(25);
+        for (let x = 0; x < 5; x++) {
+            for (let y = 0; y < 5; y++) {
+                b[y + 5 * ((2 * x + 3 * y) % 5)] = rotl(state[x + 5 * y], ROTATIONS[x + 5 * y]);
+            }
+        }
+
+        // chi
+        for (let y = 0; y < 25; y += 5) {
+            for (let x = 0; x < 5; x++) {
+                state[x + y] = b[x + y] ^ (~b[(x + 1) % 5 + y] & MASK & b[(x + 2) % 5 + y]);
+            }
+        }
+
+        // iota
+        state[0] ^= ROUND_CONSTANTS[round];
+    }
+}
+
+// Hex digest of a string or Buffer
+function keccak256(input) {
+    const data = Buffer.isBuffer(input) ? input : Buffer.from(input, 'utf8');
+
+    // Keccak padding: 0x01 ... 0x80 up to a multiple of the rate
+    const padded = Buffer.alloc((Math.floor(data.length / RATE) + 1) * RATE);
+    data.copy(padded);
+    padded[data.length] ^= 0x01;
+    padded[padded.length - 1] ^= 0x80;
+
+    const state = new Array(25).fill(0n);
+    for (let offset = 0; offset < padded.length; offset += RATE) {
+        for (let i = 0; i < RATE / 8; i++) {
+            state[i] ^= padded.readBigUInt64LE(offset + i * 8);
+        }
+        keccakF(state);
+    }
+
+    const out = Buffer.alloc(32);
+    for (let i = 0; i < 4; i++) out.writeBigUInt64LE(state[i], i * 8);
+    return out.toString('hex');
+}
+
+module.exports = { keccak256 };
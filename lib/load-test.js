@@ -0,0 +1,175 @@
+// lib/load-test.js - Stepwise load ramp against one provider at a time
+//
+// Each step holds a load level for stepDurationMs:
+//   'concurrency'  N workers each sending the next request as soon as the last returns
+//   'rps'          requests dispatched on a fixed schedule of N per second,
+//                  regardless of how long responses take (open model)
+//
+// Every step reports achieved throughput, latency under load and the error
+// mix. The first step whose rate_limit share reaches rateLimitThreshold is
+// reported as the provider's rate-limit onset; with stopOnRateLimit the ramp
+// ends there so we don't keep burning credits against a throttled API.
+// `canSend(provider)` is asked before every request; once it says no (daily
+// budget spent) the provider's ramp ends and the report says why. A cancel
+// (`signal`) cuts the current step short; that step is neither reported nor
+// stored, since the requests it aborted say nothing about the provider.
+const { describe } = require('./stats');
+const { pause } = require('./provider-call');
+
+// Open-model dispatch stops adding requests past this many in flight; the
+// overflow is counted as `dropped` (client saturated, not provider limit).
+const MAX_IN_FLIGHT = 500;
+
+async function runStep({ mode, level, durationMs, execute, canSend, signal }) {
+    const results = [];
+    let dropped = 0;
+    let refused = false;
+    const started = performance.now();
+    const deadline = started + durationMs;
+
+    const mayContinue = () => {
+        if (!refused && !canSend()) refused = true;
+        return !refused;
+    };
+
+    if (mode === 'concurrency') {
+        const worker = async () => {
+            while (performance.now() < deadline && !signal.aborted && mayContinue()) {
+                results.push(await execute());
+            }
+        };
+        await Promise.all(Array.from({ length: level }, worker));
+    } else {
+        const interval = 1000 / level;
+        const inFlight = new Set();
+        let nextAt = started;
+
+        while (nextAt < deadline && !signal.aborted && mayContinue()) {
+            if (inFlight.size < MAX_IN_FLIGHT) {
+                const request = execute().then(result => {
+                    results.push(result);
+                    inFlight.delete(request);
+                });
+                inFlight.add(request);
+            } else {
+                dropped++;
+            }
+
+            nextAt += interval;
+            await pause(Math.max(0, nextAt - performance.now()), signal);
+        }
+        await Promise.all(inFlight);
+    }
+
+    const elapsedSec = (performance.now() - started) / 1000;
+    return { results, dropped, elapsedSec, refused };
+}
+
+function summarizeStep(mode, level, { results, dropped, elapsedSec }) {
+    const errors = {};
+    results.forEach(r => {
+        if (!r.success) errors[r.errorType] = (errors[r.errorType] || 0) + 1;
+    });
+
+    const successes = results.filter(r => r.success).length;
+    const rateLimited = errors.rate_limit || 0;
+    const latency = describe(results.map(r => r.latency));
+
+    return {
+        mode,
+        level,
+        duration: elapsedSec,
+        requests: results.length,
+        successes,
+        dropped,
+        achieved_rps: results.length / elapsedSec,
+        success_rps: successes / elapsedSec,
+        rate_limited: rateLimited,
+        rate_limit_rate: results.length > 0 ? rateLimited / results.length : 0,
+        errors,
+        latency: {
+            avg: latency.mean,
+            min: latency.min,
+            max: latency.max,
+            p50: latency.p50,
+            p90: latency.p90,
+            p95: latency.p95,
+            p99: latency.p99
+        }
+    };
+}
+
+// Ramp every provider in turn. `execute(provider)` performs one request and
+// resolves with a test result ({ latency, success, errorType, ... }); it must
+// not reject. `onStepResults(provider, results)` receives raw results for storage.
+// A report's `stop_reason` is 'rate_limit' or 'budget_exhausted' when its ramp
+// ended before the last level, null otherwise.
+async function runLoadTest({ providers, mode, levels, stepDurationMs, rateLimitThreshold, stopOnRateLimit, execute, canSend = () => true, onStepResults, signal, progress }) {
+    const reports = [];
+    let requestsDone = 0;
+    let errors = 0;
+
+    for (const provider of providers) {
+        if (signal.aborted) break;
+        console.log(`\n🔥 Load testing ${provider} (${mode}: ${levels.join(' → ')})`);
+
+        const report = { provider, steps: [], max_success_rps: 0, rate_limit_onset: null, stop_reason: null };
+
+        for (const level of levels) {
+            if (signal.aborted) break;
+            if (!canSend(provider)) {
+                report.stop_reason = 'budget_exhausted';
+                console.log(`  ⏭ ${provider} daily budget exhausted, ramp stopped before ${level} ${mode === 'rps' ? 'rps' : 'workers'}`);
+                break;
+            }
+            progress({ provider, level });
+
+            const step = await runStep({
+                mode,
+                level,
+                durationMs: stepDurationMs,
+                execute: () => execute(provider),
+                canSend: () => canSend(provider),
+                signal
+            });
+            if (signal.aborted) break;
+
+            const summary = summarizeStep(mode, level, step);
+            report.steps.push(summary);
+            report.max_success_rps = Math.max(report.max_success_rps, summary.success_rps);
+
+            requestsDone += summary.requests;
+            errors += summary.requests - summary.successes;
+            progress({ requestsDone, errors });
+
+            console.log(`  ${String(level).padStart(4)} ${mode === 'rps' ? 'rps' : 'workers'}: ${summary.achieved_rps.toFixed(1)} req/s achieved, p95 ${(summary.latency.p95 || 0).toFixed(0)}ms, ${summary.rate_limited} rate-limited`);
+
+            await onStepResults(provider, step.results);
+
+            if (step.refused) {
+                report.stop_reason = 'budget_exhausted';
+                console.log(`  ⏭ ${provider} daily budget exhausted, ramp stopped at ${level} ${mode === 'rps' ? 'rps' : 'workers'}`);
+                break;
+            }
+
+            if (summary.requests > 0 && summary.rate_limit_rate >= rateLimitThreshold) {
+                if (!report.rate_limit_onset) {
+                    report.rate_limit_onset = { level, achieved_rps: summary.achieved_rps, rate_limit_rate: summary.rate_limit_rate };
+                    console.log(`  ⚠ Rate limiting starts at ${level} ${mode === 'rps' ? 'rps' : 'workers'} (~${summary.achieved_rps.toFixed(1)} req/s)`);
+                }
+                if (stopOnRateLimit) {
+                    report.stop_reason = 'rate_limit';
+                    break;
+                }
+            }
+        }
+
+        reports.push(report);
+    }
+
+    return reports;
+}
+
+module.exports = {
+    runLoadTest
+};
@@ -0,0 +1,145 @@
+// lib/provider-call.js - One benchmarked provider call: request, retries, error model
+//
+// callProvider() sends a provider request through lib/http-timing.js and
+// turns whatever comes back into a result the benchmark runners can store:
+// success only for a 2xx JSON body without an error field or GraphQL errors;
+// anything else gets an error_type from lib/grading.js classifyError and a
+// readable message, including HTML error pages and cut-off bodies.
+//
+// With a retry policy ({ retries, retryDelayMs }), calls that failed with a
+// transient error (RETRYABLE) are repeated up to `retries` times. The wait
+// doubles after every attempt (retryDelayMs, 2x, 4x, ...) unless the provider
+// sent Retry-After. The result describes the last attempt and `retries`
+// counts the attempts before it; the latency runners measure around the call
+// covers all of them, as a client with that policy would see it.
+//
+// A job's `signal` aborts the request in flight and the wait before a retry.
+const http = require('http');
+const { setTimeout: delay } = require('timers/promises');
+const { timedRequest } = require('./http-timing');
+const { classifyError } = require('./grading');
+
+const RETRYABLE = ['timeout', 'network_error', 'rate_limit', 'server_error'];
+const MAX_RETRY_AFTER_MS = 30000;
+const NO_RETRY = { retries: 0, retryDelayMs: 0 };
+
+// Message of a failed call, from the body when it has one
+function errorMessageOf(body, statusCode) {
+    if (body && typeof body === 'object') {
+        if (Array.isArray(body.errors) && body.errors.length > 0) {
+            return body.errors.map(e => e?.message || JSON.stringify(e)).join('; ');
+        }
+        if (typeof body.error === 'string' && body.error) return body.error;
+        if (body.error && typeof body.error.message === 'string') return body.error.message;
+        if (typeof body.error_message === 'string' && body.error_message) return body.error_message;
+        if (typeof body.message === 'string' && body.message) return body.message;
+    }
+    return statusCode !== null ? `HTTP ${statusCode} ${http.STATUS_CODES[statusCode] || ''}`.trim() : 'Request failed';
+}
+
+function hasError(body) {
+    return Boolean(body.error) || (Array.isArray(body.errors) && body.errors.length > 0);
+}
+
+// { success, data, statusCode, errorType, errorMessage, parseMs } of one response
+function interpretResponse(response) {
+    const parseStart = performance.now();
+    let data = null;
+    let parseFailed = false;
+    try {
+        data = JSON.parse(response.body);
+    } catch (error) {
+        parseFailed = true;
+    }
+    const parseMs = performance.now() - parseStart;
+
+    if (response.ok && !parseFailed && data && typeof data === 'object' && !hasError(data)) {
+        return { success: true, data, statusCode: response.status, errorType: 'success', errorMessage: null, parseMs };
+    }
+
+    const errorType = classifyError({ statusCode: response.status, body: data, parseFailed: response.ok && parseFailed });
+    return {
+        success: false,
+        data,
+        statusCode: response.status,
+        errorType,
+        errorMessage: errorType === 'parse_error' ? 'Response is not valid JSON' : errorMessageOf(data, response.status),
+        parseMs
+    };
+}
+
+// Same shape, for a request that got no response
+function interpretRequestError(error) {
+    return {
+        success: false,
+        data: null,
+        statusCode: null,
+        errorType: classifyError({ code: error.code || null }),
+        errorMessage: error.message,
+        parseMs: null
+    };
+}
+
+// Resolves after `ms`, or as soon as `signal` aborts
+function pause(ms, signal = null) {
+    return delay(ms, undefined, signal ? { signal } : {}).catch(error => {
+        if (error.name !== 'AbortError') throw error;
+    });
+}
+
+function retryDelay(policy, attempt, response) {
+    const retryAfter = Number(response?.headers?.['retry-after']);
+    if (Number.isFinite(retryAfter) && retryAfter >= 0) {
+        return Math.min(retryAfter * 1000, MAX_RETRY_AFTER_MS);
+    }
+    return policy.retryDelayMs * 2 ** attempt;
+}
+
+// Resolves with { success, data, statusCode, errorType, errorMessage,
+// timings, connectionReused, receivedAt, retries }. Never rejects.
+// `signal` aborts the call and stops retrying once the job is cancelled.
+async function callProvider(url, options, { timeoutMs, connectionMode, retry = NO_RETRY, signal = null } = {}) {
+    for (let attempt = 0; ; attempt++) {
+        let response = null;
+        let result;
+        try {
+            response = await timedRequest(url, { ...options, timeoutMs, connectionMode, signal });
+            result = interpretResponse(response);
+        } catch (error) {
+            result = interpretRequestError(error);
+        }
+        const receivedAt = response ? Date.now() : null;
+
+        const last = result.success
+            || attempt >= retry.retries
+            || !RETRYABLE.includes(result.errorType);
+        if (!last) {
+            await pause(retryDelay(retry, attempt, response), signal);
+        }
+
+        // A cancel during the wait keeps this attempt as the result
+        if (last || (signal && signal.aborted)) {
+            const timings = response ? { ...response.timings, parse: result.parseMs } : null;
+            return {
+                success: result.success,
+                data: result.data,
+                statusCode: result.statusCode,
+                errorType: result.errorType,
+                errorMessage: result.errorMessage,
+                timings,
+                connectionReused: response ? response.connectionReused : null,
+                receivedAt,
+                retries: attempt
+            };
+        }
+    }
+}
+
+module.exports = {
+    RETRYABLE,
+    NO_RETRY,
+    interpretResponse,
+    interpretRequestError,
+    callProvider,
+    pause
+};
@@ -0,0 +1,174 @@
+// lib/read-options.js - Query parameters shared by the read routes
+//
+// Time window, one of:
+//   range      preset ending now: 1h, 6h, 24h (default), 7d, 30d, 90d
+//   from / to  ISO timestamps; `to` defaults to now, `from` to `to` minus
+//              the range preset
+// Bucket size for the time-series routes (graph, accuracy comparison):
+//   bucket     1m, 5m, 15m, 1h, 6h or 1d; by default the smallest size that
+//              keeps the window under AUTO_BUCKET_TARGET points
+//
+// Filters narrow the rows every read route aggregates:
+//   test_type  a test type family (price, wallet, metadata, ohlcv, transfers,
+//              load, load_price, ...) or an exact test type (price_USDT)
+//   token      token id; keeps the token's price, metadata, ohlcv and load rows
+//   provider   provider name
+//   run_id     benchmark run (lib/runs.js)
+// Each accepts several values, repeated (?provider=a&provider=b) or
+// comma-separated (?provider=a,b). Values of one parameter are OR-ed,
+// different parameters AND-ed.
+const { getProviderNames } = require('../providers');
+const { validationError } = require('./validation');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const RANGES = {
+    '1h': 1,
+    '6h': 6,
+    '24h': 24,
+    '7d': 7 * 24,
+    '30d': 30 * 24,
+    '90d': 90 * 24
+};
+const DEFAULT_RANGE = '24h';
+
+// Bucket size -> seconds
+const BUCKETS = {
+    '1m': 60,
+    '5m': 5 * 60,
+    '15m': 15 * 60,
+    '1h': 60 * 60,
+    '6h': 6 * 60 * 60,
+    '1d': 24 * 60 * 60
+};
+
+// Auto-selected buckets aim for at most this many points per series; an
+// explicit bucket may go up to MAX_BUCKETS before the request is refused
+const AUTO_BUCKET_TARGET = 300;
+const MAX_BUCKETS = 5000;
+
+// Windows longer than the longest preset would only page through everything
+const MAX_WINDOW_HOURS = RANGES['90d'];
+
+const TEST_TYPE_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const TOKEN_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+const RUN_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function listParam(value) {
+    if (value === undefined) return null;
+
+    const values = (Array.isArray(value) ? value : [value])
+        .flatMap(v => String(v).split(','))
+        .map(v => v.trim())
+        .filter(Boolean);
+    return values.length > 0 ? Array.from(new Set(values)) : null;
+}
+
+function parseTimestamp(name, value, problems) {
+    if (value === undefined) return null;
+
+    const ms = typeof value === 'string' && value.trim() ? new Date(value).getTime() : NaN;
+    if (isNaN(ms)) {
+        problems.push(`${name} must be an ISO timestamp`);
+        return null;
+    }
+    return ms;
+}
+
+function autoBucketSeconds(windowMs) {
+    const sizes = Object.values(BUCKETS);
+    return sizes.find(seconds => windowMs / (seconds * 1000) <= AUTO_BUCKET_TARGET) || sizes[sizes.length - 1];
+}
+
+// { since, until, bucketSeconds }, timestamps as ISO strings
+function parseTimeWindow(query, problems) {
+    const range = query.range === undefined ? DEFAULT_RANGE : query.range;
+    if (!Object.keys(RANGES).includes(range)) {
+        problems.push(`range must be one of: ${Object.keys(RANGES).join(', ')}`);
+    }
+
+    const now = Date.now();
+    const to = parseTimestamp('to', query.to, problems);
+    const from = parseTimestamp('from', query.from, problems);
+    const untilMs = to ?? now;
+    const sinceMs = from ?? untilMs - (RANGES[range] || RANGES[DEFAULT_RANGE]) * HOUR_MS;
+
+    if (sinceMs >= untilMs) {
+        problems.push('from must be before to');
+    } else if (untilMs - sinceMs > MAX_WINDOW_HOURS * HOUR_MS) {
+        problems.push(`The time window can span at most ${MAX_WINDOW_HOURS / 24} days`);
+    }
+
+    let bucketSeconds = autoBucketSeconds(untilMs - sinceMs);
+    if (query.bucket !== undefined) {
+        if (!Object.keys(BUCKETS).includes(query.bucket)) {
+            problems.push(`bucket must be one of: ${Object.keys(BUCKETS).join(', ')}`);
+        } else if ((untilMs - sinceMs) / (BUCKETS[query.bucket] * 1000) > MAX_BUCKETS) {
+            problems.push(`bucket ${query.bucket} gives more than ${MAX_BUCKETS} points for this time window`);
+        } else {
+            bucketSeconds = BUCKETS[query.bucket];
+        }
+    }
+
+    return {
+        since: new Date(sinceMs).toISOString(),
+        // An open window (no `to`) keeps rows written while the request runs
+        until: to === null ? null : new Date(untilMs).toISOString(),
+        bucketSeconds
+    };
+}
+
+// { testTypes, tokens, providers, runIds }, each null when not filtered
+function parseFilters(query, problems) {
+    const filters = {
+        testTypes: listParam(query.test_type),
+        tokens: listParam(query.token),
+        providers: listParam(query.provider),
+        runIds: listParam(query.run_id)
+    };
+
+    (filters.testTypes || []).forEach(testType => {
+        if (!TEST_TYPE_PATTERN.test(testType)) {
+            problems.push(`Invalid test_type "${testType}"`);
+        }
+    });
+    (filters.tokens || []).forEach(token => {
+        if (!TOKEN_PATTERN.test(token)) {
+            problems.push(`Invalid token "${token}"`);
+        }
+    });
+    (filters.runIds || []).forEach(runId => {
+        if (!RUN_ID_PATTERN.test(runId)) {
+            problems.push(`Invalid run_id "${runId}"`);
+        }
+    });
+
+    const registered = getProviderNames();
+    (filters.providers || []).forEach(provider => {
+        if (!registered.includes(provider)) {
+            problems.push(`Unknown provider: ${provider}`);
+        }
+    });
+
+    return filters;
+}
+
+// { since, until, bucketSeconds, filters }; throws listing every problem
+function parseReadOptions(query = {}) {
+    const problems = [];
+    const window = parseTimeWindow(query, problems);
+    const filters = parseFilters(query, problems);
+
+    if (problems.length > 0) {
+        throw validationError(problems);
+    }
+
+    return { ...window, filters };
+}
+
+module.exports = {
+    RUN_ID_PATTERN,
+    RANGES,
+    BUCKETS,
+    parseReadOptions
+};
@@ -0,0 +1,176 @@
+// lib/reference.js - Consensus reference price for accuracy validation
+//
+// Instead of trusting one source, every iteration quotes the token from a set
+// of reference sources (any provider with the 'price' capability) and combines
+// the quotes into a consensus:
+//   median        middle quote (default; robust to one bad source)
+//   trimmed_mean  mean after dropping the top and bottom 20% of quotes
+//
+// With excludeSelf, the provider under test never contributes to its own
+// reference, so a source is not graded against itself. Sources that fail are
+// skipped, as are sources out of daily budget (lib/budgets.js); if fewer
+// than minSources remain, there is no reference.
+//
+// Reference requests are stored as reference_<token> rows of their source,
+// with their cost, so spend on reference sources shows up in cost reports.
+//
+// Defaults come from REFERENCE_SOURCES, REFERENCE_METHOD, REFERENCE_EXCLUDE_SELF
+// and REFERENCE_MIN_SOURCES; a run can override them in its `reference` body field.
+const { getProvider, extractPrice } = require('../providers');
+const { getToken, resolveNetwork } = require('./tokens');
+const { timedRequest } = require('./http-timing');
+const { interpretResponse, interpretRequestError } = require('./provider-call');
+const { callCost } = require('./costs');
+const { hasBudget, spendBudget } = require('./budgets');
+const { percentile, mean } = require('./stats');
+const { validationError } = require('./validation');
+
+const METHODS = ['median', 'trimmed_mean'];
+const TRIM_FRACTION = 0.2;
+
+const DEFAULT_REFERENCE = {
+    sources: (process.env.REFERENCE_SOURCES || 'coingecko').split(',').map(s => s.trim()).filter(Boolean),
+    method: process.env.REFERENCE_METHOD || 'median',
+    excludeSelf: process.env.REFERENCE_EXCLUDE_SELF !== 'false',
+    minSources: parseInt(process.env.REFERENCE_MIN_SOURCES || '1', 10)
+};
+
+const REFERENCE_FIELDS = Object.keys(DEFAULT_REFERENCE);
+
+// Merge run overrides onto the defaults; throws listing every problem
+function parseReferenceOptions(input = {}) {
+    if (input === null) input = {};
+    if (typeof input !== 'object' || Array.isArray(input)) {
+        throw validationError([`reference must be an object with any of: ${REFERENCE_FIELDS.join(', ')}`]);
+    }
+
+    const problems = [];
+    Object.keys(input).filter(key => !REFERENCE_FIELDS.includes(key)).forEach(key => {
+        problems.push(`Unknown reference field "${key}" (expected ${REFERENCE_FIELDS.join(', ')})`);
+    });
+
+    const options = { ...DEFAULT_REFERENCE };
+    REFERENCE_FIELDS.filter(key => input[key] !== undefined).forEach(key => {
+        options[key] = input[key];
+    });
+
+    if (!Array.isArray(options.sources) || options.sources.length === 0) {
+        problems.push('reference.sources must be a non-empty array');
+    } else {
+        options.sources.forEach(name => {
+            const adapter = typeof name === 'string' ? getProvider(name) : null;
+            if (!adapter || !adapter.capabilities.includes('price')) {
+                problems.push(`Unknown reference source: ${name}`);
+            }
+        });
+    }
+    if (!METHODS.includes(options.method)) {
+        problems.push(`reference.method must be one of: ${METHODS.join(', ')}`);
+    }
+    if (typeof options.excludeSelf !== 'boolean') {
+        problems.push('reference.excludeSelf must be true or false');
+    }
+    if (!Number.isInteger(options.minSources) || options.minSources < 1) {
+        problems.push('reference.minSources must be a positive integer');
+    }
+
+    if (problems.length > 0) {
+        throw validationError(problems);
+    }
+
+    return {
+        sources: options.sources,
+        method: options.method,
+        excludeSelf: options.excludeSelf,
+        minSources: options.minSources
+    };
+}
+
+// Quote from one source, or null. Every request sent is passed to `record` as
+// a reference_<token> result row, so its cost counts toward the source's spend.
+async function fetchQuote(source, token, { timeoutMs, signal, record }) {
+    const adapter = getProvider(source);
+    const network = resolveNetwork(adapter, token);
+    if (network === null || !hasBudget(source)) return null;
+
+    let request;
+    try {
+        request = adapter.buildPriceRequest(token, network);
+    } catch (error) {
+        console.error(`Error fetching reference price from ${source}:`, error.message);
+        return null;
+    }
+
+    spendBudget(source);
+    const startTime = performance.now();
+    let result;
+    try {
+        result = interpretResponse(await timedRequest(request.url, { ...request.options, timeoutMs, signal }));
+    } catch (error) {
+        result = interpretRequestError(error);
+    }
+    const latency = performance.now() - startTime;
+
+    const price = result.success ? extractPrice(source, result.data, token) : null;
+    // Like the runners, a request cut off by a cancel is not recorded
+    if (record && !(signal && signal.aborted)) {
+        await record({
+            provider: source,
+            test_type: `reference_${token.id}`,
+            latency,
+            success: result.success,
+            error_type: result.errorType,
+            error_message: result.errorMessage,
+            price_value: price,
+            status_code: result.statusCode,
+            cost_usd: callCost(source, 'price', result.success)
+        });
+    }
+
+    if (!result.success) {
+        console.error(`Reference source ${source} error: ${result.errorMessage}`);
+        return null;
+    }
+    return price > 0 ? price : null;
+}
+
+// Quote the token from every source in parallel; failed sources are left out.
+// `record(row)` receives a result row for every reference request sent.
+async function fetchReferenceQuotes(tokenId, { sources }, { timeoutMs, signal = null, record = null } = {}) {
+    const token = getToken(tokenId);
+    const prices = await Promise.all(sources.map(source => fetchQuote(source, token, { timeoutMs, signal, record })));
+
+    return sources
+        .map((source, i) => ({ source, price: prices[i] }))
+        .filter(quote => quote.price !== null);
+}
+
+// Consensus for one provider under test: { price, sources, method } or null
+function buildConsensus(quotes, { method, excludeSelf, minSources }, provider) {
+    const usable = excludeSelf ? quotes.filter(q => q.source !== provider) : quotes;
+    if (usable.length < minSources || usable.length === 0) return null;
+
+    const sorted = usable.map(q => q.price).sort((a, b) => a - b);
+    let price;
+
+    if (method === 'trimmed_mean') {
+        const trim = Math.floor(sorted.length * TRIM_FRACTION);
+        price = mean(sorted.slice(trim, sorted.length - trim));
+    } else {
+        price = percentile(sorted, 0.5);
+    }
+
+    return {
+        price,
+        sources: usable.map(q => q.source),
+        method
+    };
+}
+
+module.exports = {
+    METHODS,
+    DEFAULT_REFERENCE,
+    parseReferenceOptions,
+    fetchReferenceQuotes,
+    buildConsensus
+};
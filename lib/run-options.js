@@ -0,0 +1,273 @@
+// lib/run-options.js - Request-body parameters for the benchmark run routes
+const { getProvider, getProviderNames } = require('../providers');
+const { getToken, listTokens } = require('./tokens');
+const { CONNECTION_MODES } = require('./http-timing');
+const { parseReferenceOptions } = require('./reference');
+const { DATASETS, INTERVALS } = require('./datasets');
+const { validationError, addressProblem } = require('./validation');
+
+const DEFAULTS = {
+    price: { iterations: 10, delayMs: 100, timeoutMs: 30000, connectionMode: 'warm', accuracyMode: 'sequential' },
+    wallet: { iterations: 5, delayMs: 200, timeoutMs: 30000, connectionMode: 'warm' },
+    metadata: { iterations: 3, delayMs: 200, timeoutMs: 30000, connectionMode: 'warm' },
+    ohlcv: { iterations: 3, delayMs: 200, timeoutMs: 30000, connectionMode: 'warm', interval: '1h', lookbackHours: 24 },
+    transfers: { iterations: 3, delayMs: 200, timeoutMs: 30000, connectionMode: 'warm', limit: 25 }
+};
+
+// Retry policy and circuit breaker of price, wallet and dataset runs (lib/provider-call.js,
+// lib/circuit-breaker.js); load tests measure raw provider behaviour and use neither
+const RESILIENCE_DEFAULTS = { retries: 0, retryDelayMs: 500, breakerThreshold: 5, breakerCooldownMs: 60000 };
+
+const LOAD_DEFAULTS = {
+    mode: 'concurrency',
+    start: 1,
+    step: 1,
+    max: 5,
+    stepDurationMs: 10000,
+    timeoutMs: 10000,
+    connectionMode: 'warm',
+    rateLimitThreshold: 0.01,
+    stopOnRateLimit: true
+};
+
+// 'sequential' calls providers one by one after the reference; 'synchronized'
+// fires the reference and every provider together so all quotes share a moment
+const ACCURACY_MODES = ['sequential', 'synchronized'];
+
+const LOAD_MODES = ['concurrency', 'rps'];
+const LOAD_KINDS = ['price', 'wallet'];
+const MAX_NOTES_LENGTH = 1000;
+const MAX_LOAD_STEPS = 20;
+const MAX_CONCURRENCY = 200;
+
+// Caps keep a typo from launching a multi-hour run or a zero-timeout storm
+const LIMITS = {
+    iterations: { min: 1, max: 500 },
+    delayMs: { min: 0, max: 60000 },
+    timeoutMs: { min: 100, max: 120000 },
+    start: { min: 1, max: 500 },
+    step: { min: 1, max: 500 },
+    max: { min: 1, max: 500 },
+    stepDurationMs: { min: 1000, max: 300000 },
+    lookbackHours: { min: 1, max: 2160 },
+    limit: { min: 1, max: 100 },
+    retries: { min: 0, max: 5 },
+    retryDelayMs: { min: 0, max: 30000 },
+    breakerThreshold: { min: 0, max: 100 },
+    breakerCooldownMs: { min: 0, max: 3600000 }
+};
+
+function parseInteger(name, value, fallback, problems) {
+    if (value === undefined || value === null || value === '') {
+        return fallback;
+    }
+
+    const num = Number(value);
+    const { min, max } = LIMITS[name];
+
+    if (!Number.isInteger(num) || num < min || num > max) {
+        problems.push(`${name} must be an integer between ${min} and ${max}`);
+        return fallback;
+    }
+    return num;
+}
+
+function parseList(name, value, problems) {
+    if (value === undefined || value === null) {
+        return null;
+    }
+
+    const list = typeof value === 'string' ? value.split(',').map(v => v.trim()).filter(Boolean) : value;
+
+    if (!Array.isArray(list) || list.length === 0 || !list.every(v => typeof v === 'string')) {
+        problems.push(`${name} must be a non-empty array of strings`);
+        return null;
+    }
+    return Array.from(new Set(list));
+}
+
+// A null kind (one that failed validation) only checks that the providers exist
+function parseProviders(kind, value, problems) {
+    const providers = parseList('providers', value, problems) || getProviderNames(kind);
+    providers.forEach(name => {
+        const adapter = getProvider(name);
+        if (!adapter) {
+            problems.push(`Unknown provider: ${name}`);
+        } else if (kind && !adapter.capabilities.includes(kind)) {
+            problems.push(`Provider ${name} does not support ${kind} benchmarks`);
+        }
+    });
+    return providers;
+}
+
+function parseConnectionMode(value, fallback, problems) {
+    const mode = value === undefined ? fallback : value;
+    if (!CONNECTION_MODES.includes(mode)) {
+        problems.push(`connectionMode must be one of: ${CONNECTION_MODES.join(', ')}`);
+    }
+    return mode;
+}
+
+// Free text stored on the run record (lib/runs.js), e.g. "after plan upgrade"
+function parseNotes(value, problems) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    if (typeof value !== 'string' || value.length > MAX_NOTES_LENGTH) {
+        problems.push(`notes must be a string of at most ${MAX_NOTES_LENGTH} characters`);
+        return null;
+    }
+    return value.trim();
+}
+
+// Wallet benchmarks query Ethereum mainnet, so wallets are EVM addresses
+function parseWalletAddress(value, problems) {
+    const problem = addressProblem('walletAddress', value, 'ethereum');
+    if (problem) problems.push(problem);
+    return value;
+}
+
+// Validate and apply defaults. `kind` is the provider capability: 'price',
+// 'wallet' or a dataset from lib/datasets.js. With `wallet`, body.walletAddress
+// is required and validated too. Throws an Error listing every problem found.
+function parseRunOptions(kind, body = {}, { wallet = false } = {}) {
+    const problems = [];
+    const defaults = DEFAULTS[kind];
+
+    const providers = parseProviders(kind, body.providers, problems);
+
+    const options = {
+        providers,
+        iterations: parseInteger('iterations', body.iterations, defaults.iterations, problems),
+        delayMs: parseInteger('delayMs', body.delayMs, defaults.delayMs, problems),
+        timeoutMs: parseInteger('timeoutMs', body.timeoutMs, defaults.timeoutMs, problems),
+        connectionMode: parseConnectionMode(body.connectionMode, defaults.connectionMode, problems),
+        retries: parseInteger('retries', body.retries, RESILIENCE_DEFAULTS.retries, problems),
+        retryDelayMs: parseInteger('retryDelayMs', body.retryDelayMs, RESILIENCE_DEFAULTS.retryDelayMs, problems),
+        breakerThreshold: parseInteger('breakerThreshold', body.breakerThreshold, RESILIENCE_DEFAULTS.breakerThreshold, problems),
+        breakerCooldownMs: parseInteger('breakerCooldownMs', body.breakerCooldownMs, RESILIENCE_DEFAULTS.breakerCooldownMs, problems),
+        notes: parseNotes(body.notes, problems)
+    };
+
+    if (wallet) {
+        options.walletAddress = parseWalletAddress(body.walletAddress, problems);
+    }
+
+    if (kind === 'price' || DATASETS[kind]?.subject === 'token') {
+        const tokens = parseList('tokens', body.tokens, problems) || listTokens().map(t => t.id);
+        tokens.forEach(id => {
+            if (!getToken(id)) problems.push(`Unknown token: ${id}`);
+        });
+        if (tokens.length === 0) problems.push('No tokens configured');
+        options.tokens = tokens;
+    }
+
+    if (kind === 'ohlcv') {
+        options.interval = body.interval === undefined ? defaults.interval : body.interval;
+        if (!Object.keys(INTERVALS).includes(options.interval)) {
+            problems.push(`interval must be one of: ${Object.keys(INTERVALS).join(', ')}`);
+        }
+        options.lookbackHours = parseInteger('lookbackHours', body.lookbackHours, defaults.lookbackHours, problems);
+    }
+
+    if (kind === 'transfers') {
+        options.limit = parseInteger('limit', body.limit, defaults.limit, problems);
+    }
+
+    if (kind === 'price') {
+        options.accuracyMode = body.accuracyMode === undefined ? defaults.accuracyMode : body.accuracyMode;
+        if (!ACCURACY_MODES.includes(options.accuracyMode)) {
+            problems.push(`accuracyMode must be one of: ${ACCURACY_MODES.join(', ')}`);
+        }
+
+        try {
+            options.reference = parseReferenceOptions(body.reference);
+        } catch (error) {
+            problems.push(...(error.problems || [error.message]));
+        }
+    }
+
+    if (problems.length > 0) {
+        throw validationError(problems);
+    }
+
+    return options;
+}
+
+// Body of /api/run-load-test: one price token or one wallet address, ramped
+// from `start` to `max` in increments of `step` (workers or requests/second).
+function parseLoadOptions(body = {}) {
+    const problems = [];
+    const kind = body.kind === undefined ? 'price' : body.kind;
+
+    // The rest is still validated; the kind-dependent checks are skipped
+    const knownKind = LOAD_KINDS.includes(kind);
+    if (!knownKind) {
+        problems.push('kind must be "price" or "wallet"');
+    }
+
+    const mode = body.mode === undefined ? LOAD_DEFAULTS.mode : body.mode;
+    if (!LOAD_MODES.includes(mode)) {
+        problems.push(`mode must be one of: ${LOAD_MODES.join(', ')}`);
+    }
+
+    const options = {
+        kind,
+        providers: parseProviders(knownKind ? kind : null, body.providers, problems),
+        mode,
+        stepDurationMs: parseInteger('stepDurationMs', body.stepDurationMs, LOAD_DEFAULTS.stepDurationMs, problems),
+        timeoutMs: parseInteger('timeoutMs', body.timeoutMs, LOAD_DEFAULTS.timeoutMs, problems),
+        connectionMode: parseConnectionMode(body.connectionMode, LOAD_DEFAULTS.connectionMode, problems),
+        rateLimitThreshold: body.rateLimitThreshold === undefined ? LOAD_DEFAULTS.rateLimitThreshold : Number(body.rateLimitThreshold),
+        stopOnRateLimit: body.stopOnRateLimit === undefined ? LOAD_DEFAULTS.stopOnRateLimit : body.stopOnRateLimit === true,
+        notes: parseNotes(body.notes, problems)
+    };
+
+    if (!(options.rateLimitThreshold > 0 && options.rateLimitThreshold <= 1)) {
+        problems.push('rateLimitThreshold must be a fraction between 0 (exclusive) and 1');
+    }
+
+    const start = parseInteger('start', body.start, LOAD_DEFAULTS.start, problems);
+    const step = parseInteger('step', body.step, LOAD_DEFAULTS.step, problems);
+    const max = parseInteger('max', body.max, Math.max(start, LOAD_DEFAULTS.max), problems);
+
+    if (max < start) {
+        problems.push('max must be >= start');
+    } else if (Math.floor((max - start) / step) + 1 > MAX_LOAD_STEPS) {
+        problems.push(`Ramp has more than ${MAX_LOAD_STEPS} steps; raise step or lower max`);
+    }
+    if (mode === 'concurrency' && max > MAX_CONCURRENCY) {
+        problems.push(`Concurrency is capped at ${MAX_CONCURRENCY} workers`);
+    }
+
+    options.levels = [];
+    for (let level = start; level <= max && options.levels.length < MAX_LOAD_STEPS; level += step) {
+        options.levels.push(level);
+    }
+
+    if (kind === 'price') {
+        options.token = body.token === undefined ? listTokens()[0]?.id : body.token;
+        if (!options.token || !getToken(options.token)) {
+            problems.push(`Unknown token: ${options.token}`);
+        }
+    } else if (kind === 'wallet') {
+        options.walletAddress = parseWalletAddress(body.walletAddress, problems);
+    }
+
+    if (problems.length > 0) {
+        throw validationError(problems);
+    }
+
+    return options;
+}
+
+module.exports = {
+    ACCURACY_MODES,
+    DEFAULTS,
+    RESILIENCE_DEFAULTS,
+    LOAD_DEFAULTS,
+    LIMITS,
+    parseRunOptions,
+    parseLoadOptions,
+    parseNotes
+};
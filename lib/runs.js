@@ -0,0 +1,251 @@
+// lib/runs.js - Benchmark run records and run-to-run comparison
+//
+// Every job (lib/jobs.js) is a run: when it starts a record is stored, and
+// every result row it writes carries its id as run_id. A run record:
+//   id             the job id
+//   kind, trigger  as on the job ('price', 'schedule:<id>', ...)
+//   status         'running', then the job's final status
+//   params         validated run options, without notes
+//   notes          free text from the run request (editable afterwards)
+//   started_at, finished_at
+//   requests, errors, error   final job progress and failure message
+//   app_version    package.json version
+//   git_commit     GIT_COMMIT, or the checkout's HEAD; null if neither is known
+//   host, node_version
+//   environment    BENCHMARK_ENV (e.g. 'staging', 'eu-west'), null if unset
+//
+// compareRuns() reports per-provider deltas of run b against run a, with a
+// significance test per metric: Mann-Whitney U on latency samples, a
+// two-proportion z-test on success and accuracy rates.
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { parseNotes } = require('./run-options');
+const { RUN_ID_PATTERN } = require('./read-options');
+const { mannWhitneyU, twoProportionTest } = require('./stats');
+const { validationError } = require('./validation');
+
+const DEFAULT_ALPHA = 0.05;
+const DEFAULT_LIST_LIMIT = 50;
+const MAX_LIST_LIMIT = 500;
+const GIT_TIMEOUT_MS = 2000;
+
+let environment = null;
+
+function gitCommit() {
+    if (process.env.GIT_COMMIT) return process.env.GIT_COMMIT;
+
+    try {
+        return execFileSync('git', ['rev-parse', '--short', 'HEAD'], {
+            cwd: path.join(__dirname, '..'),
+            timeout: GIT_TIMEOUT_MS,
+            stdio: ['ignore', 'pipe', 'ignore']
+        }).toString().trim() || null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Build and host details, looked up once per process
+function environmentInfo() {
+    if (!environment) {
+        environment = {
+            app_version: require('../package.json').version,
+            git_commit: gitCommit(),
+            host: os.hostname(),
+            node_version: process.version,
+            environment: process.env.BENCHMARK_ENV || null
+        };
+    }
+    return environment;
+}
+
+// A short job can finish before its record is stored; finishRun waits for the insert
+const pendingInserts = new Map(); // id -> Promise
+
+function startRun(storage, job) {
+    const { notes = null, ...params } = job.params || {};
+    const run = {
+        id: job.id,
+        kind: job.kind,
+        trigger: job.trigger,
+        status: 'running',
+        params,
+        notes,
+        started_at: job.startedAt,
+        finished_at: null,
+        requests: 0,
+        errors: 0,
+        error: null,
+        ...environmentInfo()
+    };
+
+    const insert = storage.insertRun(run)
+        .catch(error => console.error(`Failed to record run ${job.id}:`, error.message));
+    pendingInserts.set(job.id, insert);
+    return insert;
+}
+
+async function finishRun(storage, job) {
+    await pendingInserts.get(job.id);
+    pendingInserts.delete(job.id);
+
+    try {
+        await storage.updateRun(job.id, {
+            status: job.status,
+            finished_at: job.finishedAt,
+            requests: job.progress.requestsDone,
+            errors: job.progress.errors,
+            error: job.error
+        });
+    } catch (error) {
+        console.error(`Failed to finish run ${job.id}:`, error.message);
+    }
+}
+
+// ?kind=&limit= of GET /api/runs; throws on invalid input
+function parseRunListQuery(query = {}) {
+    const limit = query.limit === undefined ? DEFAULT_LIST_LIMIT : Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIST_LIMIT) {
+        throw new Error(`limit must be an integer between 1 and ${MAX_LIST_LIMIT}`);
+    }
+    return { kind: query.kind || null, limit };
+}
+
+// ?a=&b=&alpha= of GET /api/runs/compare; throws an Error listing every problem
+function parseCompareQuery(query = {}) {
+    const problems = [];
+
+    ['a', 'b'].forEach(name => {
+        if (!query[name]) {
+            problems.push(`${name} (run id) is required`);
+        } else if (!RUN_ID_PATTERN.test(query[name])) {
+            problems.push(`Invalid run id "${query[name]}" for ${name}`);
+        }
+    });
+
+    const alpha = query.alpha === undefined ? DEFAULT_ALPHA : Number(query.alpha);
+    if (!(alpha > 0 && alpha < 1)) {
+        problems.push('alpha must be a number between 0 and 1');
+    }
+
+    if (problems.length > 0) {
+        throw validationError(problems);
+    }
+    return { a: query.a, b: query.b, alpha };
+}
+
+// Body of PATCH /api/runs/:id; throws on invalid input
+function parseRunUpdate(body = {}) {
+    if (body.notes === undefined) {
+        throw new Error('notes is required (null clears it)');
+    }
+
+    const problems = [];
+    const notes = parseNotes(body.notes, problems);
+    if (problems.length > 0) {
+        throw validationError(problems);
+    }
+    return { notes };
+}
+
+// Metrics of one storage.summarize row
+function runMetrics(row) {
+    const requests = Number(row.requests);
+    const successes = requests - Number(row.failed);
+    const accurate = Number(row.accurate);
+    const withAccuracy = Number(row.with_accuracy);
+    const costedRequests = Number(row.costed_requests);
+
+    return {
+        requests,
+        successes,
+        accurate,
+        with_accuracy: withAccuracy,
+        success_rate: requests > 0 ? (successes / requests) * 100 : null,
+        accuracy_rate: withAccuracy > 0 ? (accurate / withAccuracy) * 100 : null,
+        avg_latency: row.avg_latency,
+        p50_latency: row.p50_latency,
+        p95_latency: row.p95_latency,
+        avg_cost_usd: costedRequests > 0 ? Number(row.total_cost_usd) / costedRequests : null
+    };
+}
+
+function delta(a, b) {
+    if (a === null || a === undefined || b === null || b === undefined) {
+        return { delta: null, delta_pct: null };
+    }
+    return {
+        delta: b - a,
+        delta_pct: a !== 0 ? ((b - a) / a) * 100 : null
+    };
+}
+
+function significance(test, result, alpha) {
+    if (!result) return null;
+    return { test, p_value: result.p_value, significant: result.p_value < alpha };
+}
+
+// `a` and `b` are { run, stats, sample }: the run record, its storage.summarize
+// rows and its storage.latencySample rows. Deltas are b - a, and delta_pct is
+// relative to a, so a is the baseline.
+function compareRuns(a, b, { alpha = DEFAULT_ALPHA } = {}) {
+    const providers = Array.from(new Set(a.stats.concat(b.stats).map(row => row.provider))).sort();
+
+    return {
+        a: a.run,
+        b: b.run,
+        alpha,
+        providers: providers.map(provider => {
+            const rowA = a.stats.find(row => row.provider === provider);
+            const rowB = b.stats.find(row => row.provider === provider);
+            const metricsA = rowA ? runMetrics(rowA) : null;
+            const metricsB = rowB ? runMetrics(rowB) : null;
+
+            if (!metricsA || !metricsB) {
+                return { provider, a: metricsA, b: metricsB, deltas: null };
+            }
+
+            const latencyTest = significance('mann-whitney-u', mannWhitneyU(
+                a.sample.filter(s => s.provider === provider).map(s => s.latency),
+                b.sample.filter(s => s.provider === provider).map(s => s.latency)
+            ), alpha);
+
+            return {
+                provider,
+                a: metricsA,
+                b: metricsB,
+                deltas: {
+                    success_rate: {
+                        ...delta(metricsA.success_rate, metricsB.success_rate),
+                        significance: significance('two-proportion-z', twoProportionTest(
+                            metricsA.successes, metricsA.requests, metricsB.successes, metricsB.requests
+                        ), alpha)
+                    },
+                    accuracy_rate: {
+                        ...delta(metricsA.accuracy_rate, metricsB.accuracy_rate),
+                        significance: significance('two-proportion-z', twoProportionTest(
+                            metricsA.accurate, metricsA.with_accuracy, metricsB.accurate, metricsB.with_accuracy
+                        ), alpha)
+                    },
+                    // One test covers the latency distribution, so the three share it
+                    avg_latency: { ...delta(metricsA.avg_latency, metricsB.avg_latency), significance: latencyTest },
+                    p50_latency: { ...delta(metricsA.p50_latency, metricsB.p50_latency), significance: latencyTest },
+                    p95_latency: { ...delta(metricsA.p95_latency, metricsB.p95_latency), significance: latencyTest },
+                    avg_cost_usd: { ...delta(metricsA.avg_cost_usd, metricsB.avg_cost_usd), significance: null }
+                }
+            };
+        })
+    };
+}
+
+module.exports = {
+    DEFAULT_ALPHA,
+    environmentInfo,
+    startRun,
+    finishRun,
+    parseRunListQuery,
+    parseCompareQuery,
+    parseRunUpdate,
+    compareRuns
+};
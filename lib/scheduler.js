@@ -0,0 +1,194 @@
+// lib/scheduler.js - Cron schedules for continuous monitoring runs
+//
+// Schedule definitions persist to config/schedules.json (or SCHEDULES_FILE).
+// Each schedule:
+//   id, name
+//   kind        'price' or 'wallet'
+//   cron        5-field cron expression (see lib/cron.js)
+//   params      run-route body (providers, tokens, iterations, delayMs, timeoutMs)
+//   addresses   wallet schedules only: one job is queued per address
+//   jitterMs    random delay added to every firing so schedules don't burst together
+//   status      'active' or 'paused'
+//
+// The scheduler doesn't know how to run benchmarks; the server registers a
+// { validate(schedule), submit(schedule, queued) } runner per kind via
+// startScheduler(). submit calls queued(job) for every job as it is created,
+// so a firing that fails partway still records the jobs it did start.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { parseCron, nextRun } = require('./cron');
+
+const SCHEDULES_FILE = path.resolve(process.env.SCHEDULES_FILE || path.join(__dirname, '..', 'config', 'schedules.json'));
+const DEFAULT_JITTER_MS = parseInt(process.env.SCHEDULE_JITTER_MS || '30000', 10);
+const MAX_JITTER_MS = 15 * 60 * 1000;
+const MAX_TIMER_MS = 2 ** 31 - 1; // setTimeout limit (~24.8 days)
+
+const schedules = new Map();
+const timers = new Map();
+let runners = null;
+
+function loadSchedules() {
+    schedules.clear();
+
+    if (!fs.existsSync(SCHEDULES_FILE)) {
+        return;
+    }
+
+    JSON.parse(fs.readFileSync(SCHEDULES_FILE, 'utf8')).forEach(schedule => {
+        schedules.set(schedule.id, schedule);
+    });
+}
+
+function saveSchedules() {
+    fs.mkdirSync(path.dirname(SCHEDULES_FILE), { recursive: true });
+    fs.writeFileSync(SCHEDULES_FILE, JSON.stringify(Array.from(schedules.values()), null, 4) + '\n');
+}
+
+function normalizeSchedule(input) {
+    if (!input || typeof input !== 'object') {
+        throw new Error('Schedule must be an object');
+    }
+    if (!runners || !runners[input.kind]) {
+        throw new Error(`Unknown schedule kind: ${input.kind}`);
+    }
+
+    parseCron(input.cron);
+    nextRun(input.cron); // rejects expressions that can never fire
+
+    const jitterMs = input.jitterMs === undefined ? DEFAULT_JITTER_MS : Number(input.jitterMs);
+    if (!Number.isInteger(jitterMs) || jitterMs < 0 || jitterMs > MAX_JITTER_MS) {
+        throw new Error(`jitterMs must be an integer between 0 and ${MAX_JITTER_MS}`);
+    }
+
+    const schedule = {
+        name: typeof input.name === 'string' && input.name.trim() ? input.name.trim() : `${input.kind} ${input.cron}`,
+        kind: input.kind,
+        cron: input.cron.trim(),
+        params: input.params || {},
+        jitterMs
+    };
+
+    if (input.kind === 'wallet') {
+        schedule.addresses = input.addresses;
+    }
+
+    runners[input.kind].validate(schedule);
+    return schedule;
+}
+
+function armSchedule(schedule) {
+    disarmSchedule(schedule.id);
+    if (schedule.status !== 'active') {
+        schedule.nextRunAt = null;
+        return;
+    }
+
+    const next = nextRun(schedule.cron);
+    const jitter = Math.floor(Math.random() * (schedule.jitterMs + 1));
+    const fireAt = next.getTime() + jitter;
+    schedule.nextRunAt = new Date(fireAt).toISOString();
+
+    const delay = fireAt - Date.now();
+    const timer = delay > MAX_TIMER_MS
+        ? setTimeout(() => armSchedule(schedule), MAX_TIMER_MS)
+        : setTimeout(() => fireSchedule(schedule), Math.max(0, delay));
+    timer.unref();
+    timers.set(schedule.id, timer);
+}
+
+function disarmSchedule(id) {
+    clearTimeout(timers.get(id));
+    timers.delete(id);
+}
+
+function fireSchedule(schedule) {
+    console.log(`\n⏰ Schedule "${schedule.name}" (${schedule.kind}) firing`);
+
+    const jobIds = [];
+    try {
+        runners[schedule.kind].submit(schedule, job => jobIds.push(job.id));
+        schedule.lastError = null;
+    } catch (error) {
+        // e.g. a token was deleted or the job queue is full - keep the schedule, try again next time
+        console.error(`Schedule "${schedule.name}" could not start:`, error.message);
+        schedule.lastError = error.message;
+    }
+    schedule.lastJobIds = jobIds;
+
+    schedule.lastRunAt = new Date().toISOString();
+    armSchedule(schedule);
+    saveSchedules();
+}
+
+function listSchedules() {
+    return Array.from(schedules.values());
+}
+
+function getSchedule(id) {
+    return schedules.get(id) || null;
+}
+
+function createSchedule(input) {
+    const schedule = {
+        id: crypto.randomUUID(),
+        ...normalizeSchedule(input),
+        status: input.status === 'paused' ? 'paused' : 'active',
+        createdAt: new Date().toISOString(),
+        lastRunAt: null,
+        lastJobIds: [],
+        lastError: null,
+        nextRunAt: null
+    };
+
+    schedules.set(schedule.id, schedule);
+    armSchedule(schedule);
+    saveSchedules();
+    return schedule;
+}
+
+function setScheduleStatus(id, status) {
+    const schedule = schedules.get(id);
+    if (!schedule) return null;
+
+    schedule.status = status;
+    armSchedule(schedule);
+    saveSchedules();
+    return schedule;
+}
+
+function deleteSchedule(id) {
+    if (!schedules.has(id)) return false;
+
+    disarmSchedule(id);
+    schedules.delete(id);
+    saveSchedules();
+    return true;
+}
+
+function startScheduler(kindRunners) {
+    runners = kindRunners;
+    loadSchedules();
+
+    schedules.forEach(schedule => {
+        try {
+            armSchedule(schedule);
+        } catch (error) {
+            console.error(`Schedule "${schedule.name}" disabled:`, error.message);
+            schedule.status = 'paused';
+            schedule.lastError = error.message;
+        }
+    });
+
+    const active = listSchedules().filter(s => s.status === 'active').length;
+    console.log(`⏰ Scheduler: ${active} active / ${schedules.size} total schedules`);
+}
+
+module.exports = {
+    startScheduler,
+    listSchedules,
+    getSchedule,
+    createSchedule,
+    setScheduleStatus,
+    deleteSchedule
+};
@@ -0,0 +1,179 @@
+// lib/scorecard.js - Weighted composite score and ranking per provider
+//
+// Each dimension turns a summary column into a 0-100 sub-score:
+//   reliability  success rate, as is
+//   accuracy     accuracy rate over graded results, as is
+//   latency      p95 latency relative to the fastest provider (best / own × 100)
+//   freshness    average quote age relative to the freshest provider, with a
+//                1s floor so sub-second differences don't dominate
+// The composite is the weighted mean of the sub-scores a provider has; a
+// dimension that wasn't measured (no graded results, no quote timestamps) is
+// left out and the remaining weights are rescaled, and the explanation says so.
+//
+// Providers are ranked within a group: overall, or one test type. Use the
+// per-test-type rankings to compare latency on the same kind of call.
+const { validationError } = require('./validation');
+
+const DIMENSIONS = {
+    reliability: {
+        label: 'success rate',
+        value: row => ((Number(row.requests) - Number(row.failed)) / Number(row.requests)) * 100,
+        format: value => `${value.toFixed(1)}%`,
+        score: value => value
+    },
+    accuracy: {
+        label: 'accuracy rate',
+        value: row => Number(row.with_accuracy) > 0 ? (Number(row.accurate) / Number(row.with_accuracy)) * 100 : null,
+        format: value => `${value.toFixed(1)}%`,
+        score: value => value
+    },
+    latency: {
+        label: 'p95 latency',
+        value: row => row.p95_latency,
+        format: value => `${value.toFixed(0)}ms`,
+        score: (value, best) => (Math.max(best, 1) / Math.max(value, 1)) * 100,
+        lowerIsBetter: true
+    },
+    freshness: {
+        label: 'avg quote age',
+        value: row => row.avg_staleness_ms,
+        format: value => `${(value / 1000).toFixed(1)}s`,
+        score: (value, best) => (Math.max(best, 1000) / Math.max(value, 1000)) * 100,
+        lowerIsBetter: true
+    }
+};
+
+const DEFAULT_WEIGHTS = { reliability: 1, accuracy: 1, latency: 1, freshness: 0 };
+
+// "accuracy:0.6,latency:0.2" -> weights summing to 1; unlisted dimensions get 0.
+// Throws listing every problem.
+function parseWeights(value) {
+    let weights = { ...DEFAULT_WEIGHTS };
+
+    if (value !== undefined) {
+        const problems = [];
+        weights = Object.fromEntries(Object.keys(DIMENSIONS).map(name => [name, 0]));
+
+        String(value).split(',').map(part => part.trim()).filter(Boolean).forEach(part => {
+            const [name, raw] = part.split(':').map(s => s.trim());
+            const weight = Number(raw);
+
+            if (!Object.keys(DIMENSIONS).includes(name)) {
+                problems.push(`Unknown weight "${name}" (expected ${Object.keys(DIMENSIONS).join(', ')})`);
+            } else if (raw === undefined || raw === '' || !Number.isFinite(weight) || weight < 0) {
+                problems.push(`Weight for ${name} must be a non-negative number`);
+            } else {
+                weights[name] = weight;
+            }
+        });
+
+        if (problems.length === 0 && Object.values(weights).every(w => w === 0)) {
+            problems.push('At least one weight must be positive');
+        }
+        if (problems.length > 0) {
+            throw validationError(problems);
+        }
+    }
+
+    const total = Object.values(weights).reduce((a, b) => a + b, 0);
+    return Object.fromEntries(Object.entries(weights).map(([name, w]) => [name, w / total]));
+}
+
+function explain(entry, weights, count) {
+    const parts = [`Ranked ${entry.rank} of ${count} with ${entry.score.toFixed(1)}.`];
+    const scored = Object.entries(entry.subscores).filter(([, s]) => s.score !== null && s.weight > 0);
+
+    if (scored.length > 0) {
+        // Composite points lost against a perfect 100, per dimension
+        const weightUsed = scored.reduce((sum, [, s]) => sum + s.weight, 0);
+        const losses = scored
+            .map(([name, s]) => ({ name, lost: s.weight * (100 - s.score) / weightUsed }))
+            .sort((a, b) => b.lost - a.lost);
+
+        if (scored.length > 1) {
+            const strongest = scored.slice().sort((a, b) => b[1].score - a[1].score)[0];
+            parts.push(`Strongest: ${DIMENSIONS[strongest[0]].label} (${strongest[1].display}, ${strongest[1].score.toFixed(0)}/100).`);
+        }
+        if (losses[0].lost >= 0.5) {
+            const weakest = entry.subscores[losses[0].name];
+            parts.push(`Most points lost on ${DIMENSIONS[losses[0].name].label} (${weakest.display}, ${weakest.score.toFixed(0)}/100): -${losses[0].lost.toFixed(1)}.`);
+        }
+    }
+
+    const unmeasured = Object.keys(weights).filter(name => weights[name] > 0 && entry.subscores[name].score === null);
+    if (unmeasured.length > 0) {
+        parts.push(`Not measured: ${unmeasured.map(name => DIMENSIONS[name].label).join(', ')}; remaining weights rescaled.`);
+    }
+
+    return parts.join(' ');
+}
+
+// Ranked entries for one group of summary rows (one per provider)
+function scoreGroup(rows, weights) {
+    const active = rows.filter(row => Number(row.requests) > 0);
+
+    const best = {};
+    Object.entries(DIMENSIONS).forEach(([name, dimension]) => {
+        const values = active.map(dimension.value).filter(v => v !== null && v !== undefined).map(Number);
+        best[name] = values.length === 0 ? null : values.reduce((a, b) => dimension.lowerIsBetter ? Math.min(a, b) : Math.max(a, b));
+    });
+
+    const entries = active.map(row => {
+        const subscores = {};
+        let weighted = 0;
+        let weightUsed = 0;
+
+        Object.entries(DIMENSIONS).forEach(([name, dimension]) => {
+            const raw = dimension.value(row);
+            const value = raw === null || raw === undefined ? null : Number(raw);
+            const score = value === null ? null : Math.min(100, Math.max(0, dimension.score(value, best[name])));
+
+            subscores[name] = {
+                value,
+                display: value === null ? null : dimension.format(value),
+                score,
+                weight: weights[name]
+            };
+            if (score !== null) {
+                weighted += weights[name] * score;
+                weightUsed += weights[name];
+            }
+        });
+
+        return {
+            provider: row.provider,
+            requests: Number(row.requests),
+            score: weightUsed > 0 ? weighted / weightUsed : 0,
+            subscores
+        };
+    });
+
+    entries.sort((a, b) => b.score - a.score || a.provider.localeCompare(b.provider));
+    entries.forEach((entry, i) => {
+        entry.rank = i + 1;
+        entry.explanation = explain(entry, weights, entries.length);
+    });
+
+    return entries.map(({ rank, provider, score, requests, subscores, explanation }) => ({ rank, provider, score, requests, subscores, explanation }));
+}
+
+// { overall: [...], by_test_type: { <test_type>: [...] } } from
+// storage.summarize and storage.summarizeByTestType rows
+function buildScorecard(summaryRows, testTypeRows, weights) {
+    const byTestType = {};
+    Array.from(new Set(testTypeRows.map(row => row.test_type))).sort().forEach(testType => {
+        byTestType[testType] = scoreGroup(testTypeRows.filter(row => row.test_type === testType), weights);
+    });
+
+    return {
+        overall: scoreGroup(summaryRows, weights),
+        by_test_type: byTestType
+    };
+}
+
+module.exports = {
+    DIMENSIONS,
+    DEFAULT_WEIGHTS,
+    parseWeights,
+    buildScorecard
+};
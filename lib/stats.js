@@ -0,0 +1,164 @@
+// lib/stats.js - Latency statistics shared by aggregation and the read routes
+//
+// Percentiles interpolate linearly between the two closest ranks (the same
+// definition as Postgres percentile_cont), so P95 of 10 samples is not simply
+// the maximum.
+
+const PERCENTILES = {
+    p50: 0.5,
+    p90: 0.9,
+    p95: 0.95,
+    p99: 0.99,
+    p999: 0.999
+};
+
+// `sorted` must be ascending; p in [0, 1]
+function percentile(sorted, p) {
+    if (sorted.length === 0) return null;
+
+    const rank = (sorted.length - 1) * p;
+    const lower = Math.floor(rank);
+    const upper = Math.ceil(rank);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+function mean(values) {
+    if (values.length === 0) return null;
+    return values.reduce((a, b) => a + b, 0) / values.length;
+}
+
+// Sample standard deviation (n - 1)
+function stddev(values) {
+    if (values.length < 2) return values.length === 1 ? 0 : null;
+
+    const avg = mean(values);
+    const sumSquares = values.reduce((sum, v) => sum + (v - avg) ** 2, 0);
+    return Math.sqrt(sumSquares / (values.length - 1));
+}
+
+// Percentile bootstrap confidence intervals. `statistics` maps a name to a
+// function of an ascending-sorted resample; all of them share the same resamples.
+// Returns { name: { lower, upper } }, or null when there are too few values.
+function bootstrapCI(values, statistics, { resamples = 1000, confidence = 0.95, random = Math.random } = {}) {
+    if (values.length < 2) return null;
+
+    const names = Object.keys(statistics);
+    const estimates = {};
+    names.forEach(name => {
+        estimates[name] = new Array(resamples);
+    });
+    const sample = new Array(values.length);
+
+    for (let r = 0; r < resamples; r++) {
+        for (let i = 0; i < values.length; i++) {
+            sample[i] = values[Math.floor(random() * values.length)];
+        }
+        sample.sort((a, b) => a - b);
+        names.forEach(name => {
+            estimates[name][r] = statistics[name](sample);
+        });
+    }
+
+    const alpha = (1 - confidence) / 2;
+    const intervals = {};
+    names.forEach(name => {
+        const sorted = estimates[name].sort((a, b) => a - b);
+        intervals[name] = {
+            lower: percentile(sorted, alpha),
+            upper: percentile(sorted, 1 - alpha)
+        };
+    });
+    return intervals;
+}
+
+// count, min, max, mean, stddev and every entry of PERCENTILES
+function describe(values) {
+    const sorted = values.filter(v => v !== null && v !== undefined).sort((a, b) => a - b);
+    const result = {
+        count: sorted.length,
+        min: sorted.length > 0 ? sorted[0] : null,
+        max: sorted.length > 0 ? sorted[sorted.length - 1] : null,
+        mean: mean(sorted),
+        stddev: stddev(sorted)
+    };
+
+    Object.entries(PERCENTILES).forEach(([name, p]) => {
+        result[name] = percentile(sorted, p);
+    });
+
+    return result;
+}
+
+// Standard normal CDF (Abramowitz & Stegun 26.2.17, error < 7.5e-8)
+function normalCdf(z) {
+    const t = 1 / (1 + 0.2316419 * Math.abs(z));
+    const density = Math.exp(-z * z / 2) / Math.sqrt(2 * Math.PI);
+    const tail = density * t * (0.319381530 + t * (-0.356563782 + t * (1.781477937 + t * (-1.821255978 + t * 1.330274429))));
+    return z >= 0 ? 1 - tail : tail;
+}
+
+function twoSidedP(z) {
+    return 2 * (1 - normalCdf(Math.abs(z)));
+}
+
+// Mann-Whitney U test of two independent samples (normal approximation with
+// tie correction). Makes no assumption about the shape of the distributions,
+// which suits long-tailed latencies. Returns { u, z, p_value }, or null when
+// either sample has fewer than 2 values.
+function mannWhitneyU(a, b) {
+    const n1 = a.length;
+    const n2 = b.length;
+    if (n1 < 2 || n2 < 2) return null;
+
+    const values = a.map(value => ({ value, first: true }))
+        .concat(b.map(value => ({ value, first: false })))
+        .sort((x, y) => x.value - y.value);
+
+    // Average ranks over ties; tieTerm feeds the variance correction
+    let rankSumA = 0;
+    let tieTerm = 0;
+    for (let i = 0; i < values.length;) {
+        let j = i;
+        while (j < values.length && values[j].value === values[i].value) j++;
+
+        const rank = (i + 1 + j) / 2;
+        for (let k = i; k < j; k++) {
+            if (values[k].first) rankSumA += rank;
+        }
+        tieTerm += (j - i) ** 3 - (j - i);
+        i = j;
+    }
+
+    const n = n1 + n2;
+    const u = rankSumA - n1 * (n1 + 1) / 2;
+    const variance = (n1 * n2 / 12) * ((n + 1) - tieTerm / (n * (n - 1)));
+    if (variance === 0) return { u, z: 0, p_value: 1 };
+
+    const z = (u - n1 * n2 / 2) / Math.sqrt(variance);
+    return { u, z, p_value: twoSidedP(z) };
+}
+
+// Two-proportion z-test (pooled) of successes1/n1 against successes2/n2.
+// Returns { z, p_value }, or null when either side has no trials.
+function twoProportionTest(successes1, n1, successes2, n2) {
+    if (n1 === 0 || n2 === 0) return null;
+
+    const pooled = (successes1 + successes2) / (n1 + n2);
+    const se = Math.sqrt(pooled * (1 - pooled) * (1 / n1 + 1 / n2));
+    if (se === 0) return { z: 0, p_value: 1 };
+
+    const z = (successes1 / n1 - successes2 / n2) / se;
+    return { z, p_value: twoSidedP(z) };
+}
+
+module.exports = {
+    PERCENTILES,
+    percentile,
+    mean,
+    stddev,
+    bootstrapCI,
+    describe,
+    normalCdf,
+    mannWhitneyU,
+    twoProportionTest
+};
@@ -0,0 +1,170 @@
+// lib/storage/aggregate.js - In-process aggregation for backends without SQL
+//
+// Mirrors the Postgres functions in migrations/*.sql
+// row for row, so routes get the same shapes from every backend.
+const { describe, mean } = require('../stats');
+
+function groupBy(rows, keyFn) {
+    const groups = new Map();
+    rows.forEach(row => {
+        const key = keyFn(row);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(row);
+    });
+    return groups;
+}
+
+function bucketStart(timestamp, bucketSeconds) {
+    const ms = bucketSeconds * 1000;
+    return new Date(Math.floor(new Date(timestamp).getTime() / ms) * ms).toISOString();
+}
+
+function latencyStats(rows) {
+    const latency = describe(rows.map(r => r.latency));
+    const deviations = rows.filter(r => r.deviation !== null).map(r => Math.abs(r.deviation));
+    const staleness = rows.filter(r => r.staleness_ms !== null).map(r => r.staleness_ms);
+
+    return {
+        requests: rows.length,
+        failed: rows.filter(r => !r.success).length,
+        avg_latency: latency.mean,
+        min_latency: latency.min,
+        max_latency: latency.max,
+        stddev_latency: latency.stddev,
+        p50_latency: latency.p50,
+        p90_latency: latency.p90,
+        p95_latency: latency.p95,
+        p99_latency: latency.p99,
+        p999_latency: latency.p999,
+        accurate: rows.filter(r => r.is_accurate === true).length,
+        with_accuracy: rows.filter(r => r.is_accurate !== null).length,
+        avg_response_size: rows.reduce((sum, r) => sum + (r.response_size || 0), 0) / rows.length,
+        avg_deviation: deviations.length > 0 ? deviations.reduce((a, b) => a + b, 0) / deviations.length : 0,
+        avg_staleness_ms: mean(staleness),
+        max_staleness_ms: staleness.length > 0 ? staleness.reduce((a, b) => Math.max(a, b)) : null
+    };
+}
+
+function summaryStats(group) {
+    const tolerances = group.filter(r => r.tolerance_bps !== null).map(r => r.tolerance_bps);
+    const walletChecks = group.filter(r => r.wallet_reference !== null);
+    const avg = column => mean(walletChecks.map(r => r[column]).filter(v => v !== null));
+    const costed = group.filter(r => r.cost_usd !== null);
+    return {
+        ...latencyStats(group),
+        min_tolerance_bps: tolerances.length > 0 ? tolerances.reduce((a, b) => Math.min(a, b)) : null,
+        max_tolerance_bps: tolerances.length > 0 ? tolerances.reduce((a, b) => Math.max(a, b)) : null,
+        wallet_checks: walletChecks.length,
+        avg_missing_tokens: avg('missing_tokens'),
+        avg_spam_tokens: avg('spam_tokens'),
+        avg_balance_mismatches: avg('balance_mismatches'),
+        avg_usd_deviation: mean(walletChecks.filter(r => r.usd_deviation !== null).map(r => Math.abs(r.usd_deviation))),
+        costed_requests: costed.length,
+        total_cost_usd: costed.reduce((sum, r) => sum + r.cost_usd, 0),
+        accurate_successes: group.filter(r => r.success && r.is_accurate === true).length
+    };
+}
+
+// One row per provider
+function summarize(rows) {
+    return Array.from(groupBy(rows, r => r.provider), ([provider, group]) => ({
+        provider,
+        ...summaryStats(group)
+    }));
+}
+
+// One row per (provider, test_type), same columns as summarize
+function summarizeByTestType(rows) {
+    return Array.from(groupBy(rows, r => `${r.provider}\u0000${r.test_type}`), ([, group]) => ({
+        provider: group[0].provider,
+        test_type: group[0].test_type,
+        ...summaryStats(group)
+    }));
+}
+
+// One row per (provider, error_type)
+function errorBreakdown(rows) {
+    return Array.from(groupBy(rows, r => `${r.provider}\u0000${r.error_type || 'success'}`), ([, group]) => ({
+        provider: group[0].provider,
+        error_type: group[0].error_type || 'success',
+        count: group.length
+    }));
+}
+
+// One row per (bucket, provider), oldest bucket first
+function latencyBuckets(rows, bucketSeconds) {
+    return Array.from(groupBy(rows, r => `${bucketStart(r.timestamp, bucketSeconds)}\u0000${r.provider}`), ([, group]) => ({
+        bucket: bucketStart(group[0].timestamp, bucketSeconds),
+        provider: group[0].provider,
+        ...latencyStats(group)
+    })).sort((a, b) => a.bucket.localeCompare(b.bucket));
+}
+
+// One row per (provider, connection_mode), averaging each request phase
+function phaseBreakdown(rows) {
+    const timed = rows.filter(r => r.ttfb_ms !== null);
+    const avg = (group, column) => mean(group.map(r => r[column]).filter(v => v !== null));
+
+    return Array.from(groupBy(timed, r => `${r.provider}\u0000${r.connection_mode}`), ([, group]) => ({
+        provider: group[0].provider,
+        connection_mode: group[0].connection_mode,
+        requests: group.length,
+        reused: group.filter(r => r.connection_reused === true).length,
+        avg_dns_ms: avg(group, 'dns_ms'),
+        avg_connect_ms: avg(group, 'connect_ms'),
+        avg_tls_ms: avg(group, 'tls_ms'),
+        avg_ttfb_ms: avg(group, 'ttfb_ms'),
+        avg_download_ms: avg(group, 'download_ms'),
+        avg_parse_ms: avg(group, 'parse_ms'),
+        avg_latency: avg(group, 'latency')
+    }));
+}
+
+// Up to `limit` random latencies per provider, for bootstrap confidence intervals
+function latencySample(rows, limit) {
+    return Array.from(groupBy(rows.filter(r => r.latency !== null), r => r.provider), ([provider, group]) => {
+        const shuffled = group.slice();
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+        return shuffled.slice(0, limit).map(r => ({ provider, latency: r.latency }));
+    }).flat();
+}
+
+// The latest `limit` outcomes per provider, newest first; rows come in oldest first
+function recentOutcomes(rows, limit) {
+    return Array.from(groupBy(rows, r => r.provider), ([provider, group]) => group
+        .slice(-limit)
+        .reverse()
+        .map(r => ({ provider, success: r.success, error_type: r.error_type })))
+        .flat();
+}
+
+// One row per (bucket, test_type, provider) with sums so callers can combine references across providers
+function priceBuckets(rows, bucketSeconds) {
+    const priced = rows.filter(r => r.price_value !== null);
+    return Array.from(groupBy(priced, r => `${bucketStart(r.timestamp, bucketSeconds)}\u0000${r.test_type}\u0000${r.provider}`), ([, group]) => {
+        const references = group.filter(r => r.reference_price);
+        return {
+            bucket: bucketStart(group[0].timestamp, bucketSeconds),
+            test_type: group[0].test_type,
+            provider: group[0].provider,
+            price_sum: group.reduce((sum, r) => sum + r.price_value, 0),
+            price_count: group.length,
+            reference_sum: references.reduce((sum, r) => sum + r.reference_price, 0),
+            reference_count: references.length
+        };
+    }).sort((a, b) => a.bucket.localeCompare(b.bucket));
+}
+
+module.exports = {
+    summarize,
+    summarizeByTestType,
+    errorBreakdown,
+    latencyBuckets,
+    latencySample,
+    recentOutcomes,
+    phaseBreakdown,
+    priceBuckets
+};
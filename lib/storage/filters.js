@@ -0,0 +1,38 @@
+// lib/storage/filters.js - Read filters (lib/read-options.js) for the backends
+//
+// A test_type filter value matches that exact test type or any test type
+// starting with "<value>_", so `price` covers price_USDT and `load` covers
+// every load test. A token matches the test types that embed a token id. A
+// run id matches the rows that run wrote.
+const TOKEN_TEST_TYPES = ['price', 'metadata', 'ohlcv', 'load_price', 'reference'];
+
+function tokenTestTypes(tokens) {
+    return tokens.flatMap(token => TOKEN_TEST_TYPES.map(prefix => `${prefix}_${token}`));
+}
+
+// Row predicate for backends that filter in process
+function matchesFilters(row, { testTypes, tokens, providers, runIds } = {}) {
+    if (providers && !providers.includes(row.provider)) return false;
+    if (runIds && !runIds.includes(row.run_id)) return false;
+    if (testTypes && !testTypes.some(t => row.test_type === t || row.test_type.startsWith(`${t}_`))) return false;
+    if (tokens && !tokenTestTypes(tokens).includes(row.test_type)) return false;
+    return true;
+}
+
+// Arguments of benchmark_filtered() (migrations/013_runs.sql); null disables a filter
+function sqlFilterParams({ testTypes, tokens, providers, runIds } = {}) {
+    const escape = value => value.replace(/[\\%_]/g, c => `\\${c}`);
+
+    return {
+        p_providers: providers || null,
+        p_test_type_patterns: testTypes ? testTypes.flatMap(t => [escape(t), `${escape(t)}\\_%`]) : null,
+        p_test_types: tokens ? tokenTestTypes(tokens) : null,
+        p_run_ids: runIds || null
+    };
+}
+
+module.exports = {
+    TOKEN_TEST_TYPES,
+    matchesFilters,
+    sqlFilterParams
+};
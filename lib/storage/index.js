@@ -0,0 +1,43 @@
+// lib/storage/index.js - Storage backend selection
+//
+// A backend implements:
+//   insertResult(row)                                  -> Promise<void>
+//   queryResults({ since, testTypePrefix, hasPrice })  -> Promise<row[]> (oldest first)
+//   summarize({ since })                               -> per-provider stats
+//   summarizeByTestType({ since })                     -> per (provider, test_type) stats
+//   errorBreakdown({ since })                          -> per (provider, error_type) counts
+//   latencyBuckets({ since, bucketSeconds })           -> per (bucket, provider) stats
+//   phaseBreakdown({ since })                          -> per (provider, connection_mode) avg request phases
+//   latencySample({ since, limit })                    -> up to `limit` random { provider, latency } per provider
+//   recentOutcomes({ since, limit })                   -> latest `limit` { provider, success, error_type } per provider, newest first
+//   priceBuckets({ since, bucketSeconds })             -> per (bucket, test_type, provider) price sums
+//   insertRun(run)                                     -> Promise<void>
+//   updateRun(id, changes)                             -> updated run, or null if unknown
+//   getRun(id)                                         -> run or null
+//   listRuns({ kind, limit })                          -> runs, newest first
+// Every aggregate also takes `until` (exclusive end of the window, null = now)
+// and `filters` ({ testTypes, tokens, providers, runIds } from
+// lib/read-options.js, see lib/storage/filters.js) to narrow the rows first.
+// Every method throws on failure. Aggregates are computed by the backend (SQL
+// for Supabase, lib/storage/aggregate.js otherwise); row shapes are identical.
+// Run records are described in lib/runs.js.
+//
+// STORAGE_BACKEND picks one explicitly ('supabase' or 'jsonl'); otherwise
+// Supabase is used when SUPABASE_URL is set, the local JSONL store if not.
+const { createSupabaseStorage } = require('./supabase');
+const { createJsonlStorage } = require('./jsonl');
+
+const BACKENDS = {
+    supabase: createSupabaseStorage,
+    jsonl: createJsonlStorage
+};
+
+function createStorage(name = process.env.STORAGE_BACKEND || (process.env.SUPABASE_URL ? 'supabase' : 'jsonl')) {
+    const factory = BACKENDS[name];
+    if (!factory) {
+        throw new Error(`Unknown STORAGE_BACKEND "${name}" (expected ${Object.keys(BACKENDS).join(' or ')})`);
+    }
+    return factory();
+}
+
+module.exports = { createStorage };
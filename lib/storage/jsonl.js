@@ -0,0 +1,157 @@
+// lib/storage/jsonl.js - Local append-only JSONL storage backend
+//
+// Rows are appended to <STORAGE_DIR>/benchmark_results.jsonl and held in
+// memory for reads. <STORAGE_DIR>/schema.json records the schema version;
+// older files are rewritten through MIGRATIONS on startup. Run records are
+// few and updated in place, so they live in <STORAGE_DIR>/benchmark_runs.json.
+// A crash mid-append can leave a cut-off last line; it is dropped on load.
+const fs = require('fs');
+const path = require('path');
+const { MIGRATIONS, SCHEMA_VERSION, normalizeRow } = require('./schema');
+const aggregate = require('./aggregate');
+const { matchesFilters } = require('./filters');
+
+// Stored rows, oldest first. An unparsable last line is a partial append: it is
+// logged and cut from the file, so the next append doesn't land on the same line.
+// Unparsable lines anywhere else still fail the load.
+function loadRows(resultsFile) {
+    if (!fs.existsSync(resultsFile)) {
+        return [];
+    }
+
+    const lines = fs.readFileSync(resultsFile, 'utf8').split('\n').filter(Boolean);
+    const rows = [];
+    for (let i = 0; i < lines.length; i++) {
+        try {
+            rows.push(JSON.parse(lines[i]));
+        } catch (error) {
+            if (i < lines.length - 1) throw error;
+            console.error(`⚠️ Dropping incomplete last line of ${resultsFile}: ${error.message}`);
+            fs.writeFileSync(resultsFile, lines.slice(0, i).map(line => line + '\n').join(''));
+        }
+    }
+    return rows;
+}
+
+function createJsonlStorage({ dir = process.env.STORAGE_DIR || path.join(__dirname, '..', '..', 'data') } = {}) {
+    const resultsFile = path.join(dir, 'benchmark_results.jsonl');
+    const schemaFile = path.join(dir, 'schema.json');
+    const runsFile = path.join(dir, 'benchmark_runs.json');
+
+    fs.mkdirSync(dir, { recursive: true });
+
+    let rows = loadRows(resultsFile);
+
+    const version = fs.existsSync(schemaFile)
+        ? JSON.parse(fs.readFileSync(schemaFile, 'utf8')).version
+        : 0;
+
+    if (version < SCHEMA_VERSION) {
+        for (let v = version + 1; v <= SCHEMA_VERSION; v++) {
+            rows = rows.map(MIGRATIONS[v]);
+        }
+        rows = rows.map(normalizeRow);
+        fs.writeFileSync(resultsFile, rows.map(row => JSON.stringify(row) + '\n').join(''));
+        fs.writeFileSync(schemaFile, JSON.stringify({ version: SCHEMA_VERSION }) + '\n');
+        console.log(`💾 Local storage migrated to schema v${SCHEMA_VERSION} (${rows.length} rows)`);
+    }
+
+    let nextId = rows.reduce((max, row) => Math.max(max, row.id || 0), 0) + 1;
+
+    const runs = fs.existsSync(runsFile)
+        ? JSON.parse(fs.readFileSync(runsFile, 'utf8'))
+        : [];
+
+    function saveRuns() {
+        fs.writeFileSync(runsFile, JSON.stringify(runs, null, 4) + '\n');
+    }
+
+    function select({ since, until, testTypePrefix, hasPrice, filters } = {}) {
+        return rows
+            .filter(row => !since || row.timestamp >= since)
+            .filter(row => !until || row.timestamp < until)
+            .filter(row => !filters || matchesFilters(row, filters))
+            .filter(row => !testTypePrefix || row.test_type.startsWith(testTypePrefix))
+            .filter(row => !hasPrice || row.price_value !== null)
+            .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    }
+
+    return {
+        name: 'jsonl',
+
+        async insertResult(row) {
+            const stored = normalizeRow({
+                ...row,
+                id: nextId++,
+                timestamp: row.timestamp || new Date().toISOString()
+            });
+            fs.appendFileSync(resultsFile, JSON.stringify(stored) + '\n');
+            rows.push(stored);
+        },
+
+        async queryResults(options) {
+            return select(options);
+        },
+
+        async summarize({ since, until, filters }) {
+            return aggregate.summarize(select({ since, until, filters }));
+        },
+
+        async summarizeByTestType({ since, until, filters }) {
+            return aggregate.summarizeByTestType(select({ since, until, filters }));
+        },
+
+        async errorBreakdown({ since, until, filters }) {
+            return aggregate.errorBreakdown(select({ since, until, filters }));
+        },
+
+        async latencyBuckets({ since, until, bucketSeconds, filters }) {
+            return aggregate.latencyBuckets(select({ since, until, filters }), bucketSeconds);
+        },
+
+        async phaseBreakdown({ since, until, filters }) {
+            return aggregate.phaseBreakdown(select({ since, until, filters }));
+        },
+
+        async latencySample({ since, until, limit, filters }) {
+            return aggregate.latencySample(select({ since, until, filters }), limit);
+        },
+
+        async recentOutcomes({ since, until, limit, filters }) {
+            return aggregate.recentOutcomes(select({ since, until, filters }), limit);
+        },
+
+        async priceBuckets({ since, until, bucketSeconds, filters }) {
+            return aggregate.priceBuckets(select({ since, until, filters, testTypePrefix: 'price_', hasPrice: true }), bucketSeconds);
+        },
+
+        async insertRun(run) {
+            runs.push({ ...run });
+            saveRuns();
+        },
+
+        async updateRun(id, changes) {
+            const run = runs.find(r => r.id === id);
+            if (!run) return null;
+
+            Object.assign(run, changes);
+            saveRuns();
+            return { ...run };
+        },
+
+        async getRun(id) {
+            const run = runs.find(r => r.id === id);
+            return run ? { ...run } : null;
+        },
+
+        async listRuns({ kind, limit } = {}) {
+            return runs
+                .filter(run => !kind || run.kind === kind)
+                .sort((a, b) => b.started_at.localeCompare(a.started_at))
+                .slice(0, limit)
+                .map(run => ({ ...run }));
+        }
+    };
+}
+
+module.exports = { createJsonlStorage };
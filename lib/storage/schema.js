@@ -0,0 +1,85 @@
+// lib/storage/schema.js - benchmark_results columns shared by every backend
+//
+// When a column is added: append it here, add an `alter table ... add column
+// if not exists` to migrations/, and bump SCHEMA_VERSION with a matching entry
+// in MIGRATIONS so local stores are upgraded on startup.
+
+const COLUMNS = {
+    id: 'bigint',
+    run_id: 'uuid',
+    timestamp: 'timestamptz',
+    provider: 'text',
+    test_type: 'text',
+    latency: 'double precision',
+    success: 'boolean',
+    error_message: 'text',
+    price_value: 'double precision',
+    response_size: 'integer',
+    error_type: 'text',
+    is_accurate: 'boolean',
+    reference_price: 'double precision',
+    reference_sources: 'text',
+    reference_method: 'text',
+    deviation: 'double precision',
+    tolerance_bps: 'double precision',
+    price_timestamp: 'timestamptz',
+    staleness_ms: 'double precision',
+    accuracy_mode: 'text',
+    holdings_count: 'integer',
+    missing_tokens: 'integer',
+    spam_tokens: 'integer',
+    balance_mismatches: 'integer',
+    usd_deviation: 'double precision',
+    wallet_reference: 'text',
+    record_count: 'integer',
+    consensus_match: 'double precision',
+    mismatches: 'integer',
+    cost_usd: 'double precision',
+    dns_ms: 'double precision',
+    connect_ms: 'double precision',
+    tls_ms: 'double precision',
+    ttfb_ms: 'double precision',
+    download_ms: 'double precision',
+    parse_ms: 'double precision',
+    connection_reused: 'boolean',
+    connection_mode: 'text',
+    status_code: 'integer',
+    retries: 'integer'
+};
+
+// Row transforms for local backends, indexed by the version they upgrade to
+const MIGRATIONS = {
+    1: row => row,
+    2: row => row, // per-phase timing columns, null for older rows
+    // CoinGecko was the only source; one quote's median is the quote itself
+    3: row => ({
+        ...row,
+        reference_sources: row.reference_price != null ? 'coingecko' : null,
+        reference_method: row.reference_price != null ? 'median' : null
+    }),
+    4: row => ({ ...row, accuracy_mode: row.test_type.startsWith('price_') ? 'sequential' : null }), // only mode before synchronized runs
+    5: row => ({ ...row, tolerance_bps: row.is_accurate != null ? 500 : null }), // fixed 5% before per-token tolerances
+    6: row => row, // wallet correctness columns, null for older rows
+    7: row => row, // metadata / ohlcv / transfers comparison columns
+    8: row => row, // cost_usd, unknown for older rows
+    9: row => row, // run_id, null for rows written before runs were recorded
+    10: row => ({ ...row, retries: 0 }) // status_code unknown for older rows; nothing was retried
+};
+
+const SCHEMA_VERSION = Math.max(...Object.keys(MIGRATIONS).map(Number));
+
+// Fill every known column so readers never see `undefined`
+function normalizeRow(row) {
+    const normalized = {};
+    Object.keys(COLUMNS).forEach(column => {
+        normalized[column] = row[column] === undefined ? null : row[column];
+    });
+    return normalized;
+}
+
+module.exports = {
+    COLUMNS,
+    MIGRATIONS,
+    SCHEMA_VERSION,
+    normalizeRow
+};
@@ -0,0 +1,160 @@
+// lib/storage/supabase.js - Supabase (PostgreSQL) storage backend
+//
+// Schema and aggregation functions live in migrations/*.sql; run them in the
+// Supabase SQL editor. Every read pages through results, because PostgREST
+// silently caps a single response at its max-rows setting (1000 by default).
+const { createClient } = require('@supabase/supabase-js');
+const { sqlFilterParams } = require('./filters');
+
+// Must not exceed the project's PostgREST max-rows, or pages come back short and reads stop early
+const PAGE_SIZE = parseInt(process.env.SUPABASE_PAGE_SIZE || '1000', 10);
+
+async function fetchAll(buildQuery) {
+    const rows = [];
+
+    for (let from = 0; ; from += PAGE_SIZE) {
+        const { data, error } = await buildQuery().range(from, from + PAGE_SIZE - 1);
+        if (error) throw new Error(error.message);
+
+        rows.push(...data);
+        if (data.length < PAGE_SIZE) return rows;
+    }
+}
+
+// timestamptz comes back as "2025-02-03T14:20:00+00:00"; match the ISO strings other backends produce
+function withIsoBuckets(rows) {
+    return rows.map(row => ({ ...row, bucket: new Date(row.bucket).toISOString() }));
+}
+
+function createSupabaseStorage() {
+    if (!process.env.SUPABASE_URL || !process.env.SUPABASE_KEY) {
+        throw new Error('SUPABASE_URL and SUPABASE_KEY are required for the supabase storage backend');
+    }
+
+    const supabase = createClient(
+        process.env.SUPABASE_URL,
+        process.env.SUPABASE_KEY
+    );
+
+    return {
+        name: 'supabase',
+
+        async insertResult(row) {
+            const { error } = await supabase.from('benchmark_results').insert(row);
+            if (error) throw new Error(error.message);
+        },
+
+        async queryResults({ since, testTypePrefix, hasPrice } = {}) {
+            return fetchAll(() => {
+                let query = supabase
+                    .from('benchmark_results')
+                    .select('*');
+
+                if (since) query = query.gte('timestamp', since);
+                if (testTypePrefix) query = query.like('test_type', `${testTypePrefix}%`);
+                if (hasPrice) query = query.not('price_value', 'is', null);
+
+                return query
+                    .order('timestamp', { ascending: true })
+                    .order('id', { ascending: true });
+            });
+        },
+
+        async summarize({ since, until, filters }) {
+            return fetchAll(() => supabase.rpc('benchmark_summary', { p_since: since, p_until: until || null, ...sqlFilterParams(filters) }));
+        },
+
+        async summarizeByTestType({ since, until, filters }) {
+            return fetchAll(() => supabase.rpc('benchmark_test_type_summary', { p_since: since, p_until: until || null, ...sqlFilterParams(filters) }));
+        },
+
+        async errorBreakdown({ since, until, filters }) {
+            return fetchAll(() => supabase.rpc('benchmark_error_breakdown', { p_since: since, p_until: until || null, ...sqlFilterParams(filters) }));
+        },
+
+        async latencyBuckets({ since, until, bucketSeconds, filters }) {
+            const rows = await fetchAll(() => supabase.rpc('benchmark_latency_buckets', {
+                p_since: since,
+                p_until: until || null,
+                p_bucket_seconds: bucketSeconds,
+                ...sqlFilterParams(filters)
+            }));
+            return withIsoBuckets(rows);
+        },
+
+        async phaseBreakdown({ since, until, filters }) {
+            return fetchAll(() => supabase.rpc('benchmark_phase_breakdown', { p_since: since, p_until: until || null, ...sqlFilterParams(filters) }));
+        },
+
+        async latencySample({ since, until, limit, filters }) {
+            const seed = String(Math.random());
+            return fetchAll(() => supabase.rpc('benchmark_latency_sample', {
+                p_since: since,
+                p_until: until || null,
+                p_limit: limit,
+                p_seed: seed,
+                ...sqlFilterParams(filters)
+            }));
+        },
+
+        async recentOutcomes({ since, until, limit, filters }) {
+            return fetchAll(() => supabase.rpc('benchmark_recent_outcomes', {
+                p_since: since,
+                p_until: until || null,
+                p_limit: limit,
+                ...sqlFilterParams(filters)
+            }));
+        },
+
+        async priceBuckets({ since, until, bucketSeconds, filters }) {
+            const rows = await fetchAll(() => supabase.rpc('benchmark_price_buckets', {
+                p_since: since,
+                p_until: until || null,
+                p_bucket_seconds: bucketSeconds,
+                ...sqlFilterParams(filters)
+            }));
+            return withIsoBuckets(rows);
+        },
+
+        async insertRun(run) {
+            const { error } = await supabase.from('benchmark_runs').insert(run);
+            if (error) throw new Error(error.message);
+        },
+
+        async updateRun(id, changes) {
+            const { data, error } = await supabase
+                .from('benchmark_runs')
+                .update(changes)
+                .eq('id', id)
+                .select();
+            if (error) throw new Error(error.message);
+            return data[0] || null;
+        },
+
+        async getRun(id) {
+            const { data, error } = await supabase
+                .from('benchmark_runs')
+                .select('*')
+                .eq('id', id)
+                .maybeSingle();
+            if (error) throw new Error(error.message);
+            return data;
+        },
+
+        async listRuns({ kind, limit } = {}) {
+            let query = supabase
+                .from('benchmark_runs')
+                .select('*');
+
+            if (kind) query = query.eq('kind', kind);
+
+            const { data, error } = await query
+                .order('started_at', { ascending: false })
+                .limit(limit);
+            if (error) throw new Error(error.message);
+            return data;
+        }
+    };
+}
+
+module.exports = { createSupabaseStorage };
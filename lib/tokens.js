@@ -0,0 +1,200 @@
+// lib/tokens.js - Token universe for PRICE testing
+//
+// Tokens live in config/tokens.json (or TOKENS_FILE) and can be edited at
+// runtime through /api/tokens. Each token:
+//   id        unique key, used in test_type (`price_<id>`)
+//   symbol    ticker symbol
+//   chain     chain name (ethereum, base, arbitrum, polygon, solana, ...)
+//   address   contract / mint address, checked against the chain's format
+//             (lib/validation.js): EIP-55 for EVM chains, base58 for solana
+//   networks  optional per-provider overrides of the chain id, e.g.
+//             { "coingecko": "polygon-pos", "goldrush": "matic-mainnet", "codex": 137 }
+//   class         optional asset class (stablecoin, blue_chip, long_tail)
+//   toleranceBps  optional accuracy tolerance in basis points; beats the class default
+//
+// Providers map a chain name to their own network id through the `networks`
+// table on the adapter; a token override always wins.
+//
+// Invalid entries in the file are logged and left out instead of stopping the
+// server; they are written back unchanged when the list is saved.
+const fs = require('fs');
+const path = require('path');
+const { validationError, addressProblem } = require('./validation');
+
+const TOKENS_FILE = path.resolve(process.env.TOKENS_FILE || path.join(__dirname, '..', 'config', 'tokens.json'));
+
+const ID_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+const NETWORK_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Accuracy tolerance per asset class, in basis points (100 bps = 1%). A 5%
+// band is meaningless for a stablecoin and too tight for an illiquid token.
+const CLASS_TOLERANCE_BPS = {
+    stablecoin: Number(process.env.TOLERANCE_BPS_STABLECOIN || 50),
+    blue_chip: Number(process.env.TOLERANCE_BPS_BLUE_CHIP || 200),
+    long_tail: Number(process.env.TOLERANCE_BPS_LONG_TAIL || 1000)
+};
+const ASSET_CLASSES = Object.keys(CLASS_TOLERANCE_BPS);
+
+// Tokens with neither a class nor their own tolerance keep the original 5%
+const DEFAULT_TOLERANCE_BPS = Number(process.env.TOLERANCE_BPS_DEFAULT || 500);
+
+let tokens = new Map();
+// Entries of the file that failed validation, as they were
+let invalidEntries = [];
+
+function loadTokens() {
+    tokens = new Map();
+    invalidEntries = [];
+
+    if (!fs.existsSync(TOKENS_FILE)) {
+        return;
+    }
+
+    const list = JSON.parse(fs.readFileSync(TOKENS_FILE, 'utf8'));
+    if (!Array.isArray(list)) {
+        throw new Error(`${TOKENS_FILE} must hold an array of tokens`);
+    }
+
+    list.forEach((entry, index) => {
+        try {
+            const normalized = normalizeToken(entry);
+            tokens.set(normalized.id, normalized);
+        } catch (error) {
+            const name = entry && (entry.id || entry.symbol) ? `"${entry.id || entry.symbol}"` : `#${index + 1}`;
+            console.error(`⚠️  Skipping token ${name} in ${TOKENS_FILE}: ${error.message}`);
+            invalidEntries.push(entry);
+        }
+    });
+}
+
+function saveTokens() {
+    // An invalid entry stays in the file until a valid token takes its id
+    const kept = invalidEntries.filter(entry => !(entry && tokens.has(entry.id || entry.symbol)));
+
+    fs.mkdirSync(path.dirname(TOKENS_FILE), { recursive: true });
+    fs.writeFileSync(TOKENS_FILE, JSON.stringify([...tokens.values(), ...kept], null, 4) + '\n');
+}
+
+// Validated token; throws listing every problem
+function normalizeToken(input) {
+    if (!input || typeof input !== 'object') {
+        throw new Error('Token must be an object');
+    }
+
+    const problems = [];
+    const symbol = typeof input.symbol === 'string' ? input.symbol.trim() : '';
+    const id = typeof input.id === 'string' && input.id.trim() ? input.id.trim() : symbol;
+    const chain = typeof input.chain === 'string' ? input.chain.trim().toLowerCase() : '';
+    const address = typeof input.address === 'string' ? input.address.trim() : '';
+
+    if (!symbol) problems.push('Token symbol is required');
+    if (!ID_PATTERN.test(id)) problems.push(`Token id "${id}" must be 1-32 letters, digits, "_" or "-"`);
+    if (!chain) problems.push('Token chain is required');
+
+    // The address format depends on the chain
+    const addressError = chain ? addressProblem('Token address', address, chain) : (address ? null : 'Token address is required');
+    if (addressError) problems.push(addressError);
+
+    const networks = input.networks || {};
+    if (typeof networks !== 'object' || Array.isArray(networks)) {
+        problems.push('Token networks must be an object of provider -> network id');
+    } else {
+        // Network ids end up in provider hostnames and paths
+        Object.entries(networks).forEach(([provider, network]) => {
+            if (!Number.isInteger(network) && !(typeof network === 'string' && NETWORK_ID_PATTERN.test(network))) {
+                problems.push(`Token networks.${provider} must be an integer or 1-64 letters, digits, "_" or "-"`);
+            }
+        });
+    }
+
+    if (input.class !== undefined && input.class !== null && !ASSET_CLASSES.includes(input.class)) {
+        problems.push(`Token class must be one of: ${ASSET_CLASSES.join(', ')}`);
+    }
+
+    const bps = Number(input.toleranceBps);
+    const hasTolerance = input.toleranceBps !== undefined && input.toleranceBps !== null;
+    if (hasTolerance && !(bps > 0 && bps <= 10000)) {
+        problems.push('Token toleranceBps must be a number between 0 (exclusive) and 10000');
+    }
+
+    if (problems.length > 0) {
+        throw validationError(problems);
+    }
+
+    const token = { id, symbol, chain, address, networks };
+    if (input.class !== undefined && input.class !== null) token.class = input.class;
+    if (hasTolerance) token.toleranceBps = bps;
+    return token;
+}
+
+function listTokens() {
+    return Array.from(tokens.values());
+}
+
+function getToken(id) {
+    return tokens.get(id) || null;
+}
+
+function addToken(input) {
+    const token = normalizeToken(input);
+    if (tokens.has(token.id)) {
+        throw new Error(`Token "${token.id}" already exists`);
+    }
+
+    tokens.set(token.id, token);
+    saveTokens();
+    return token;
+}
+
+function updateToken(id, changes) {
+    const existing = tokens.get(id);
+    if (!existing) return null;
+
+    const token = normalizeToken({ ...existing, ...changes, id });
+    tokens.set(id, token);
+    saveTokens();
+    return token;
+}
+
+function removeToken(id) {
+    const removed = tokens.delete(id);
+    if (removed) saveTokens();
+    return removed;
+}
+
+// Network id a provider uses for this token's chain, or null if unsupported
+// (for `capability`, if given: see capabilityChains in providers/index.js)
+function resolveNetwork(adapter, token, capability = null) {
+    const chains = capability && adapter.capabilityChains?.[capability];
+    if (chains && !chains.includes(token.chain)) {
+        return null;
+    }
+    if (token.networks[adapter.name] !== undefined) {
+        return token.networks[adapter.name];
+    }
+    return adapter.networks?.[token.chain] ?? null;
+}
+
+// Accuracy tolerance for a token in basis points: its own, else its class's, else the default
+function toleranceFor(token) {
+    if (token.toleranceBps !== undefined) return token.toleranceBps;
+    if (token.class) return CLASS_TOLERANCE_BPS[token.class];
+    return DEFAULT_TOLERANCE_BPS;
+}
+
+loadTokens();
+
+module.exports = {
+    TOKENS_FILE,
+    ASSET_CLASSES,
+    CLASS_TOLERANCE_BPS,
+    DEFAULT_TOLERANCE_BPS,
+    loadTokens,
+    listTokens,
+    getToken,
+    addToken,
+    updateToken,
+    removeToken,
+    resolveNetwork,
+    toleranceFor
+};
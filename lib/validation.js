@@ -0,0 +1,110 @@
+// lib/validation.js - Request validation shared by the routes
+//
+// Parsers collect every problem they find and throw one validationError():
+// its message is the problems joined with "; " and `problems` keeps them
+// apart, so routes can answer 400 { error, problems }.
+//
+// Addresses are checked strictly against their chain's format before they
+// go anywhere near a provider request:
+//   solana      base58 public key of 32 bytes
+//   any other   EVM: 0x + 40 hex digits; mixed case must be a valid EIP-55
+//               checksum (all-lowercase and all-uppercase carry none)
+const { keccak256 } = require('./keccak');
+
+const EVM_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+const BASE58_PATTERN = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
+const SOLANA_KEY_BYTES = 32;
+
+function validationError(problems) {
+    const error = new Error(problems.join('; '));
+    error.problems = problems;
+    return error;
+}
+
+// Run every parser, even after one fails, and return their results. Throws
+// one validationError() with the problems of all the parsers that failed.
+function parseAll(...parsers) {
+    const problems = [];
+    const results = parsers.map(parse => {
+        try {
+            return parse();
+        } catch (error) {
+            problems.push(...(error.problems || [error.message]));
+            return undefined;
+        }
+    });
+
+    if (problems.length > 0) {
+        throw validationError(problems);
+    }
+    return results;
+}
+
+// EIP-55 mixed-case form of an EVM address
+function toChecksumAddress(address) {
+    const hex = address.slice(2).toLowerCase();
+    const hash = keccak256(hex);
+    let result = '0x';
+    for (let i = 0; i < hex.length; i++) {
+        result += parseInt(hash[i], 16) >= 8 ? hex[i].toUpperCase() : hex[i];
+    }
+    return result;
+}
+
+// Byte length of a base58 string, or null if it isn't one
+function base58Length(value) {
+    let bytes = [0];
+    for (const char of value) {
+        const digit = BASE58_ALPHABET.indexOf(char);
+        if (digit < 0) return null;
+
+        let carry = digit;
+        for (let i = 0; i < bytes.length; i++) {
+            carry += bytes[i] * 58;
+            bytes[i] = carry & 0xff;
+            carry >>= 8;
+        }
+        while (carry > 0) {
+            bytes.push(carry & 0xff);
+            carry >>= 8;
+        }
+    }
+
+    // Leading '1's are leading zero bytes
+    const zeros = value.length - value.replace(/^1+/, '').length;
+    while (bytes.length > 1 && bytes[bytes.length - 1] === 0) bytes.pop();
+    if (bytes.length === 1 && bytes[0] === 0) bytes = [];
+    return zeros + bytes.length;
+}
+
+// What's wrong with `address` on `chain`, or null when it is valid.
+// `name` is the field the problem is reported for.
+function addressProblem(name, address, chain = 'ethereum') {
+    if (typeof address !== 'string' || !address) {
+        return `${name} is required`;
+    }
+
+    if (chain === 'solana') {
+        if (!BASE58_PATTERN.test(address) || base58Length(address) !== SOLANA_KEY_BYTES) {
+            return `${name} "${address}" is not a valid Solana address (base58, 32 bytes)`;
+        }
+        return null;
+    }
+
+    if (!EVM_PATTERN.test(address)) {
+        return `${name} "${address}" is not a valid ${chain} address (0x followed by 40 hex digits)`;
+    }
+    const digits = address.slice(2);
+    if (digits !== digits.toLowerCase() && digits !== digits.toUpperCase() && toChecksumAddress(address) !== address) {
+        return `${name} "${address}" has an invalid EIP-55 checksum (expected ${toChecksumAddress(address)})`;
+    }
+    return null;
+}
+
+module.exports = {
+    validationError,
+    parseAll,
+    toChecksumAddress,
+    addressProblem
+};
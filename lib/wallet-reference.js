@@ -0,0 +1,226 @@
+// lib/wallet-reference.js - Ground truth for wallet balance correctness
+//
+// A provider's holdings (providers/index.js extractHoldings) are compared
+// against a reference for the same wallet, taken from the first available of:
+//   fixture  config/wallet-fixtures.json (or WALLET_FIXTURES_FILE), keyed by
+//            wallet address: { "holdings": [...], "spam": ["0x..."] }. The
+//            fixture lists the complete portfolio.
+//   rpc      ERC-20 balanceOf()/decimals() against WALLET_RPC_URL for every
+//            configured token plus every token any provider reported. USD
+//            values come from the price consensus for configured tokens.
+// Without either, wallet results are not graded.
+//
+// Spam tokens are the fixture's `spam` list plus WALLET_SPAM_TOKENS.
+const fs = require('fs');
+const path = require('path');
+const { listTokens } = require('./tokens');
+const { timedRequest } = require('./http-timing');
+const { DEFAULT_REFERENCE, fetchReferenceQuotes, buildConsensus } = require('./reference');
+
+const FIXTURES_FILE = path.resolve(process.env.WALLET_FIXTURES_FILE || path.join(__dirname, '..', 'config', 'wallet-fixtures.json'));
+const RPC_URL = process.env.WALLET_RPC_URL || null;
+
+// RPC balances and prices are reused for this long so one run doesn't re-query every iteration
+const CACHE_TTL_MS = parseInt(process.env.WALLET_REFERENCE_TTL_MS || '60000', 10);
+
+const SPAM_TOKENS = (process.env.WALLET_SPAM_TOKENS || '')
+    .split(',')
+    .map(a => a.trim().toLowerCase())
+    .filter(Boolean);
+
+// ERC-20 function selectors
+const BALANCE_OF = '0x70a08231';
+const DECIMALS = '0x313ce567';
+
+const cache = new Map();
+
+// undefined when missing or expired; null is a cached "unknown"
+function getCached(key) {
+    const hit = cache.get(key);
+    return hit && Date.now() - hit.at < CACHE_TTL_MS ? hit.value : undefined;
+}
+
+function setCached(key, value) {
+    cache.set(key, { at: Date.now(), value });
+}
+
+function loadFixture(walletAddress) {
+    if (!fs.existsSync(FIXTURES_FILE)) {
+        return null;
+    }
+
+    const fixtures = JSON.parse(fs.readFileSync(FIXTURES_FILE, 'utf8'));
+    const key = Object.keys(fixtures).find(k => k.toLowerCase() === walletAddress.toLowerCase());
+    return key ? fixtures[key] : null;
+}
+
+// Which reference a run against this wallet will use: 'fixture', 'rpc' or null
+function referenceSource(walletAddress) {
+    if (loadFixture(walletAddress)) return 'fixture';
+    if (RPC_URL) return 'rpc';
+    return null;
+}
+
+function rpcCall(id, to, data) {
+    return { jsonrpc: '2.0', id, method: 'eth_call', params: [{ to, data }, 'latest'] };
+}
+
+// Raw balance and decimals per token address as one batched JSON-RPC request;
+// tokens the node can't answer for (not a contract, reverted call) are left out
+async function fetchRpcBalances(walletAddress, addresses, { timeoutMs, signal }) {
+    const owner = walletAddress.toLowerCase().replace(/^0x/, '').padStart(64, '0');
+    const calls = addresses.flatMap((address, i) => [
+        rpcCall(i * 2, address, BALANCE_OF + owner),
+        rpcCall(i * 2 + 1, address, DECIMALS)
+    ]);
+
+    const response = await timedRequest(RPC_URL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(calls),
+        timeoutMs,
+        signal
+    });
+    if (!response.ok) {
+        throw new Error(`Wallet reference RPC error: HTTP ${response.status}`);
+    }
+
+    const results = new Map(JSON.parse(response.body).map(r => [r.id, r]));
+    const balances = {};
+
+    addresses.forEach((address, i) => {
+        const balance = results.get(i * 2);
+        const decimals = results.get(i * 2 + 1);
+        if (!balance || balance.error || !balance.result || balance.result === '0x') return;
+
+        balances[address] = {
+            balance: BigInt(balance.result).toString(),
+            decimals: decimals && !decimals.error && decimals.result && decimals.result !== '0x'
+                ? Number(BigInt(decimals.result))
+                : null
+        };
+    });
+
+    return balances;
+}
+
+async function fetchUsdPrice(tokenId, { timeoutMs, signal, record }) {
+    const quotes = await fetchReferenceQuotes(tokenId, DEFAULT_REFERENCE, { timeoutMs, signal, record });
+    const consensus = buildConsensus(quotes, { ...DEFAULT_REFERENCE, excludeSelf: false }, null);
+    return consensus ? consensus.price : null;
+}
+
+function usdValue(balance, decimals, price) {
+    if (price === null || decimals === null) return null;
+    return Number(balance) / 10 ** decimals * price;
+}
+
+async function fetchRpcReference(walletAddress, candidates, { timeoutMs, signal, record }) {
+    const configured = listTokens().filter(t => t.chain === 'ethereum');
+    const addresses = Array.from(new Set([
+        ...configured.map(t => t.address.toLowerCase()),
+        ...candidates
+    ])).filter(a => /^0x[0-9a-f]{40}$/.test(a));
+
+    const balanceKey = address => `balance:${walletAddress.toLowerCase()}:${address}`;
+    const uncached = addresses.filter(address => getCached(balanceKey(address)) === undefined);
+    if (uncached.length > 0) {
+        const fetched = await fetchRpcBalances(walletAddress, uncached, { timeoutMs, signal });
+        uncached.forEach(address => setCached(balanceKey(address), fetched[address] || null));
+    }
+
+    const holdings = [];
+    for (const address of addresses) {
+        const entry = getCached(balanceKey(address));
+        if (!entry || entry.balance === '0') continue;
+
+        const token = configured.find(t => t.address.toLowerCase() === address);
+        let price = null;
+        if (token) {
+            price = getCached(`price:${token.id}`);
+            if (price === undefined) {
+                price = await fetchUsdPrice(token.id, { timeoutMs, signal, record });
+                // A cancel fails every quote; don't cache that as "no price"
+                if (signal && signal.aborted) throw signal.reason;
+                setCached(`price:${token.id}`, price);
+            }
+        }
+        holdings.push({ address, symbol: token ? token.symbol : null, ...entry, usdValue: usdValue(entry.balance, entry.decimals, price) });
+    }
+
+    return { source: 'rpc', holdings, spam: SPAM_TOKENS };
+}
+
+// Reference holdings for a wallet: { source, holdings, spam } or null when none
+// is configured. `candidates` are token addresses reported by the providers.
+// `record` receives the result rows of reference price requests (lib/reference.js);
+// `signal` aborts the RPC and price requests when the job is cancelled.
+async function fetchWalletReference(walletAddress, candidates = [], { timeoutMs, signal = null, record = null } = {}) {
+    const fixture = loadFixture(walletAddress);
+    if (fixture) {
+        return {
+            source: 'fixture',
+            holdings: (fixture.holdings || []).map(h => ({
+                address: h.address.toLowerCase(),
+                symbol: h.symbol || null,
+                balance: BigInt(h.balance).toString(),
+                decimals: h.decimals ?? null,
+                usdValue: h.usdValue ?? null
+            })).filter(h => h.balance !== '0'),
+            spam: [...(fixture.spam || []).map(a => a.toLowerCase()), ...SPAM_TOKENS]
+        };
+    }
+
+    if (RPC_URL) {
+        return fetchRpcReference(walletAddress, candidates, { timeoutMs, signal, record });
+    }
+
+    return null;
+}
+
+// Grade one provider's holdings against the reference:
+//   missingTokens      reference holdings the provider didn't report
+//   spamTokens         reported holdings on the spam list
+//   balanceMismatches  tokens in both whose raw balances differ
+//   usdDeviation       % difference of the provider's USD total from the
+//                      reference's, over tokens the reference can value
+function compareHoldings(holdings, reference) {
+    const reported = new Map(holdings.map(h => [h.address, h]));
+    const spam = new Set(reference.spam);
+
+    let missingTokens = 0;
+    let balanceMismatches = 0;
+    let referenceUsd = 0;
+    let providerUsd = 0;
+    let valued = 0;
+
+    reference.holdings.forEach(expected => {
+        const actual = reported.get(expected.address);
+        if (!actual) {
+            missingTokens++;
+        } else if (actual.balance !== null && actual.balance !== expected.balance) {
+            balanceMismatches++;
+        }
+
+        if (expected.usdValue !== null) {
+            valued++;
+            referenceUsd += expected.usdValue;
+            providerUsd += actual && actual.usdValue !== null ? actual.usdValue : 0;
+        }
+    });
+
+    return {
+        holdingsCount: holdings.length,
+        missingTokens,
+        spamTokens: holdings.filter(h => spam.has(h.address)).length,
+        balanceMismatches,
+        usdDeviation: valued > 0 && referenceUsd > 0 ? ((providerUsd - referenceUsd) / referenceUsd) * 100 : null
+    };
+}
+
+module.exports = {
+    FIXTURES_FILE,
+    referenceSource,
+    fetchWalletReference,
+    compareHoldings
+};
@@ -0,0 +1,23 @@
+-- benchmark_results: one row per provider request
+-- Safe to re-run: creates the table on a fresh project and adds any missing
+-- columns on an existing one.
+
+create table if not exists benchmark_results (
+    id bigint generated by default as identity primary key,
+    timestamp timestamptz not null default now(),
+    provider text not null,
+    test_type text not null,
+    latency double precision,
+    success boolean not null default false
+);
+
+alter table benchmark_results add column if not exists error_message text;
+alter table benchmark_results add column if not exists price_value double precision;
+alter table benchmark_results add column if not exists response_size integer;
+alter table benchmark_results add column if not exists error_type text;
+alter table benchmark_results add column if not exists is_accurate boolean;
+alter table benchmark_results add column if not exists reference_price double precision;
+alter table benchmark_results add column if not exists deviation double precision;
+
+create index if not exists benchmark_results_timestamp_idx on benchmark_results (timestamp);
+create index if not exists benchmark_results_provider_timestamp_idx on benchmark_results (provider, timestamp);
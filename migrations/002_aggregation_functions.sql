@@ -0,0 +1,105 @@
+-- Aggregation functions called through supabase.rpc() by the read routes.
+-- They return aggregated rows only, so /api/summary, /api/graph/:metric,
+-- /api/error-breakdown and /api/accuracy-comparison no longer pull every raw
+-- row in the window. lib/storage/aggregate.js mirrors them for local backends.
+
+create or replace function benchmark_summary(p_since timestamptz)
+returns table (
+    provider text,
+    requests bigint,
+    failed bigint,
+    avg_latency double precision,
+    p50_latency double precision,
+    p95_latency double precision,
+    accurate bigint,
+    with_accuracy bigint,
+    avg_response_size double precision,
+    avg_deviation double precision
+)
+language sql stable as $$
+    select
+        provider,
+        count(*),
+        count(*) filter (where not coalesce(success, false)),
+        avg(latency),
+        percentile_disc(0.5) within group (order by latency),
+        percentile_disc(0.95) within group (order by latency),
+        count(*) filter (where is_accurate),
+        count(*) filter (where is_accurate is not null),
+        avg(coalesce(response_size, 0)),
+        coalesce(avg(abs(deviation)), 0)
+    from benchmark_results
+    where timestamp >= p_since
+    group by provider
+    order by provider;
+$$;
+
+create or replace function benchmark_error_breakdown(p_since timestamptz)
+returns table (provider text, error_type text, count bigint)
+language sql stable as $$
+    select provider, coalesce(error_type, 'success'), count(*)
+    from benchmark_results
+    where timestamp >= p_since
+    group by 1, 2
+    order by 1, 2;
+$$;
+
+create or replace function benchmark_latency_buckets(p_since timestamptz, p_bucket_seconds integer)
+returns table (
+    bucket timestamptz,
+    provider text,
+    requests bigint,
+    failed bigint,
+    avg_latency double precision,
+    p50_latency double precision,
+    p95_latency double precision,
+    accurate bigint,
+    with_accuracy bigint,
+    avg_response_size double precision,
+    avg_deviation double precision
+)
+language sql stable as $$
+    select
+        to_timestamp(floor(extract(epoch from timestamp) / p_bucket_seconds) * p_bucket_seconds) as bucket,
+        provider,
+        count(*),
+        count(*) filter (where not coalesce(success, false)),
+        avg(latency),
+        percentile_disc(0.5) within group (order by latency),
+        percentile_disc(0.95) within group (order by latency),
+        count(*) filter (where is_accurate),
+        count(*) filter (where is_accurate is not null),
+        avg(coalesce(response_size, 0)),
+        coalesce(avg(abs(deviation)), 0)
+    from benchmark_results
+    where timestamp >= p_since
+    group by 1, 2
+    order by 1, 2;
+$$;
+
+create or replace function benchmark_price_buckets(p_since timestamptz, p_bucket_seconds integer)
+returns table (
+    bucket timestamptz,
+    test_type text,
+    provider text,
+    price_sum double precision,
+    price_count bigint,
+    reference_sum double precision,
+    reference_count bigint
+)
+language sql stable as $$
+    select
+        to_timestamp(floor(extract(epoch from timestamp) / p_bucket_seconds) * p_bucket_seconds) as bucket,
+        test_type,
+        provider,
+        sum(price_value),
+        count(*),
+        coalesce(sum(reference_price) filter (where reference_price <> 0), 0),
+        count(*) filter (where reference_price <> 0)
+    from benchmark_results
+    where timestamp >= p_since
+      and test_type like 'price\_%'
+      and price_value is not null
+    group by 1, 2, 3
+    order by 1, 2, 3;
+$$;
@@ -0,0 +1,110 @@
+-- Interpolated percentiles (percentile_cont) and extra latency statistics.
+-- Return types change, so the functions from 002 are dropped and recreated.
+-- lib/stats.js uses the same percentile definition for local backends.
+
+drop function if exists benchmark_summary(timestamptz);
+drop function if exists benchmark_latency_buckets(timestamptz, integer);
+
+create function benchmark_summary(p_since timestamptz)
+returns table (
+    provider text,
+    requests bigint,
+    failed bigint,
+    avg_latency double precision,
+    min_latency double precision,
+    max_latency double precision,
+    stddev_latency double precision,
+    p50_latency double precision,
+    p90_latency double precision,
+    p95_latency double precision,
+    p99_latency double precision,
+    p999_latency double precision,
+    accurate bigint,
+    with_accuracy bigint,
+    avg_response_size double precision,
+    avg_deviation double precision
+)
+language sql stable as $$
+    select
+        provider,
+        count(*),
+        count(*) filter (where not coalesce(success, false)),
+        avg(latency),
+        min(latency),
+        max(latency),
+        case when count(latency) = 1 then 0 else stddev_samp(latency) end,
+        percentile_cont(0.5) within group (order by latency),
+        percentile_cont(0.9) within group (order by latency),
+        percentile_cont(0.95) within group (order by latency),
+        percentile_cont(0.99) within group (order by latency),
+        percentile_cont(0.999) within group (order by latency),
+        count(*) filter (where is_accurate),
+        count(*) filter (where is_accurate is not null),
+        avg(coalesce(response_size, 0)),
+        coalesce(avg(abs(deviation)), 0)
+    from benchmark_results
+    where timestamp >= p_since
+    group by provider
+    order by provider;
+$$;
+
+create function benchmark_latency_buckets(p_since timestamptz, p_bucket_seconds integer)
+returns table (
+    bucket timestamptz,
+    provider text,
+    requests bigint,
+    failed bigint,
+    avg_latency double precision,
+    min_latency double precision,
+    max_latency double precision,
+    stddev_latency double precision,
+    p50_latency double precision,
+    p90_latency double precision,
+    p95_latency double precision,
+    p99_latency double precision,
+    p999_latency double precision,
+    accurate bigint,
+    with_accuracy bigint,
+    avg_response_size double precision,
+    avg_deviation double precision
+)
+language sql stable as $$
+    select
+        to_timestamp(floor(extract(epoch from timestamp) / p_bucket_seconds) * p_bucket_seconds) as bucket,
+        provider,
+        count(*),
+        count(*) filter (where not coalesce(success, false)),
+        avg(latency),
+        min(latency),
+        max(latency),
+        case when count(latency) = 1 then 0 else stddev_samp(latency) end,
+        percentile_cont(0.5) within group (order by latency),
+        percentile_cont(0.9) within group (order by latency),
+        percentile_cont(0.95) within group (order by latency),
+        percentile_cont(0.99) within group (order by latency),
+        percentile_cont(0.999) within group (order by latency),
+        count(*) filter (where is_accurate),
+        count(*) filter (where is_accurate is not null),
+        avg(coalesce(response_size, 0)),
+        coalesce(avg(abs(deviation)), 0)
+    from benchmark_results
+    where timestamp >= p_since
+    group by 1, 2
+    order by 1, 2;
+$$;
+
+-- Pseudo-random sample of up to p_limit latencies per provider, for bootstrap
+-- confidence intervals. Shuffled by a hash of (id, p_seed) rather than random()
+-- so every page of a paginated read sees the same ordering.
+create or replace function benchmark_latency_sample(p_since timestamptz, p_limit integer, p_seed text)
+returns table (provider text, latency double precision)
+language sql stable as $$
+    select provider, latency
+    from (
+        select provider, latency, row_number() over (partition by provider order by md5(id::text || p_seed)) as n
+        from benchmark_results
+        where timestamp >= p_since and latency is not null
+    ) sampled
+    where n <= p_limit
+    order by provider, n;
+$$;
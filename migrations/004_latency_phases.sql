@@ -0,0 +1,44 @@
+-- Per-phase request timings (lib/http-timing.js) and the connection mode used.
+
+alter table benchmark_results add column if not exists dns_ms double precision;
+alter table benchmark_results add column if not exists connect_ms double precision;
+alter table benchmark_results add column if not exists tls_ms double precision;
+alter table benchmark_results add column if not exists ttfb_ms double precision;
+alter table benchmark_results add column if not exists download_ms double precision;
+alter table benchmark_results add column if not exists parse_ms double precision;
+alter table benchmark_results add column if not exists connection_reused boolean;
+alter table benchmark_results add column if not exists connection_mode text;
+
+create or replace function benchmark_phase_breakdown(p_since timestamptz)
+returns table (
+    provider text,
+    connection_mode text,
+    requests bigint,
+    reused bigint,
+    avg_dns_ms double precision,
+    avg_connect_ms double precision,
+    avg_tls_ms double precision,
+    avg_ttfb_ms double precision,
+    avg_download_ms double precision,
+    avg_parse_ms double precision,
+    avg_latency double precision
+)
+language sql stable as $$
+    select
+        provider,
+        connection_mode,
+        count(*),
+        count(*) filter (where connection_reused),
+        avg(dns_ms),
+        avg(connect_ms),
+        avg(tls_ms),
+        avg(ttfb_ms),
+        avg(download_ms),
+        avg(parse_ms),
+        avg(latency)
+    from benchmark_results
+    where timestamp >= p_since
+      and ttfb_ms is not null
+    group by 1, 2
+    order by 1, 2;
+$$;
@@ -0,0 +1,16 @@
+-- Which sources made up each row's consensus reference price, and how they were combined.
+
+alter table benchmark_results add column if not exists reference_sources text;
+alter table benchmark_results add column if not exists reference_method text;
+
+-- Rows written before consensus references were compared against CoinGecko
+-- alone; the median of that one quote is the quote itself
+update benchmark_results
+set reference_sources = 'coingecko'
+where reference_price is not null
+  and reference_sources is null;
+
+update benchmark_results
+set reference_method = 'median'
+where reference_price is not null
+  and reference_method is null;
@@ -0,0 +1,112 @@
+-- Provider-reported price timestamps, quote staleness and the accuracy mode
+-- (sequential or synchronized) of each price row. The summary and bucket
+-- functions gain staleness columns, so they are dropped and recreated.
+
+alter table benchmark_results add column if not exists price_timestamp timestamptz;
+alter table benchmark_results add column if not exists staleness_ms double precision;
+alter table benchmark_results add column if not exists accuracy_mode text;
+
+-- Every price row before synchronized runs was sequential
+update benchmark_results
+set accuracy_mode = 'sequential'
+where test_type like 'price\_%'
+  and accuracy_mode is null;
+
+drop function if exists benchmark_summary(timestamptz);
+drop function if exists benchmark_latency_buckets(timestamptz, integer);
+
+create function benchmark_summary(p_since timestamptz)
+returns table (
+    provider text,
+    requests bigint,
+    failed bigint,
+    avg_latency double precision,
+    min_latency double precision,
+    max_latency double precision,
+    stddev_latency double precision,
+    p50_latency double precision,
+    p90_latency double precision,
+    p95_latency double precision,
+    p99_latency double precision,
+    p999_latency double precision,
+    accurate bigint,
+    with_accuracy bigint,
+    avg_response_size double precision,
+    avg_deviation double precision,
+    avg_staleness_ms double precision,
+    max_staleness_ms double precision
+)
+language sql stable as $$
+    select
+        provider,
+        count(*),
+        count(*) filter (where not coalesce(success, false)),
+        avg(latency),
+        min(latency),
+        max(latency),
+        case when count(latency) = 1 then 0 else stddev_samp(latency) end,
+        percentile_cont(0.5) within group (order by latency),
+        percentile_cont(0.9) within group (order by latency),
+        percentile_cont(0.95) within group (order by latency),
+        percentile_cont(0.99) within group (order by latency),
+        percentile_cont(0.999) within group (order by latency),
+        count(*) filter (where is_accurate),
+        count(*) filter (where is_accurate is not null),
+        avg(coalesce(response_size, 0)),
+        coalesce(avg(abs(deviation)), 0),
+        avg(staleness_ms),
+        max(staleness_ms)
+    from benchmark_results
+    where timestamp >= p_since
+    group by provider
+    order by provider;
+$$;
+
+create function benchmark_latency_buckets(p_since timestamptz, p_bucket_seconds integer)
+returns table (
+    bucket timestamptz,
+    provider text,
+    requests bigint,
+    failed bigint,
+    avg_latency double precision,
+    min_latency double precision,
+    max_latency double precision,
+    stddev_latency double precision,
+    p50_latency double precision,
+    p90_latency double precision,
+    p95_latency double precision,
+    p99_latency double precision,
+    p999_latency double precision,
+    accurate bigint,
+    with_accuracy bigint,
+    avg_response_size double precision,
+    avg_deviation double precision,
+    avg_staleness_ms double precision,
+    max_staleness_ms double precision
+)
+language sql stable as $$
+    select
+        to_timestamp(floor(extract(epoch from timestamp) / p_bucket_seconds) * p_bucket_seconds) as bucket,
+        provider,
+        count(*),
+        count(*) filter (where not coalesce(success, false)),
+        avg(latency),
+        min(latency),
+        max(latency),
+        case when count(latency) = 1 then 0 else stddev_samp(latency) end,
+        percentile_cont(0.5) within group (order by latency),
+        percentile_cont(0.9) within group (order by latency),
+        percentile_cont(0.95) within group (order by latency),
+        percentile_cont(0.99) within group (order by latency),
+        percentile_cont(0.999) within group (order by latency),
+        count(*) filter (where is_accurate),
+        count(*) filter (where is_accurate is not null),
+        avg(coalesce(response_size, 0)),
+        coalesce(avg(abs(deviation)), 0),
+        avg(staleness_ms),
+        max(staleness_ms)
+    from benchmark_results
+    where timestamp >= p_since
+    group by 1, 2
+    order by 1, 2;
+$$;
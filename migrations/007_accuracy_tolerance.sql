@@ -0,0 +1,64 @@
+-- Accuracy tolerance (basis points) each price row was graded with, so
+-- historical accuracy rates stay interpretable after tolerances change.
+-- benchmark_summary gains the tolerance range, so it is dropped and recreated.
+
+alter table benchmark_results add column if not exists tolerance_bps double precision;
+
+-- Every graded row before per-token tolerances used the fixed 5%
+update benchmark_results
+set tolerance_bps = 500
+where is_accurate is not null
+  and tolerance_bps is null;
+
+drop function if exists benchmark_summary(timestamptz);
+
+create function benchmark_summary(p_since timestamptz)
+returns table (
+    provider text,
+    requests bigint,
+    failed bigint,
+    avg_latency double precision,
+    min_latency double precision,
+    max_latency double precision,
+    stddev_latency double precision,
+    p50_latency double precision,
+    p90_latency double precision,
+    p95_latency double precision,
+    p99_latency double precision,
+    p999_latency double precision,
+    accurate bigint,
+    with_accuracy bigint,
+    avg_response_size double precision,
+    avg_deviation double precision,
+    avg_staleness_ms double precision,
+    max_staleness_ms double precision,
+    min_tolerance_bps double precision,
+    max_tolerance_bps double precision
+)
+language sql stable as $$
+    select
+        provider,
+        count(*),
+        count(*) filter (where not coalesce(success, false)),
+        avg(latency),
+        min(latency),
+        max(latency),
+        case when count(latency) = 1 then 0 else stddev_samp(latency) end,
+        percentile_cont(0.5) within group (order by latency),
+        percentile_cont(0.9) within group (order by latency),
+        percentile_cont(0.95) within group (order by latency),
+        percentile_cont(0.99) within group (order by latency),
+        percentile_cont(0.999) within group (order by latency),
+        count(*) filter (where is_accurate),
+        count(*) filter (where is_accurate is not null),
+        avg(coalesce(response_size, 0)),
+        coalesce(avg(abs(deviation)), 0),
+        avg(staleness_ms),
+        max(staleness_ms),
+        min(tolerance_bps),
+        max(tolerance_bps)
+    from benchmark_results
+    where timestamp >= p_since
+    group by provider
+    order by provider;
+$$;
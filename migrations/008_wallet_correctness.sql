@@ -0,0 +1,73 @@
+-- Wallet balance correctness: each wallet row's holdings graded against a
+-- reference (fixture or JSON-RPC balanceOf, see lib/wallet-reference.js).
+-- benchmark_summary gains the wallet metrics, so it is dropped and recreated.
+
+alter table benchmark_results add column if not exists holdings_count integer;
+alter table benchmark_results add column if not exists missing_tokens integer;
+alter table benchmark_results add column if not exists spam_tokens integer;
+alter table benchmark_results add column if not exists balance_mismatches integer;
+alter table benchmark_results add column if not exists usd_deviation double precision;
+alter table benchmark_results add column if not exists wallet_reference text;
+
+drop function if exists benchmark_summary(timestamptz);
+
+create function benchmark_summary(p_since timestamptz)
+returns table (
+    provider text,
+    requests bigint,
+    failed bigint,
+    avg_latency double precision,
+    min_latency double precision,
+    max_latency double precision,
+    stddev_latency double precision,
+    p50_latency double precision,
+    p90_latency double precision,
+    p95_latency double precision,
+    p99_latency double precision,
+    p999_latency double precision,
+    accurate bigint,
+    with_accuracy bigint,
+    avg_response_size double precision,
+    avg_deviation double precision,
+    avg_staleness_ms double precision,
+    max_staleness_ms double precision,
+    min_tolerance_bps double precision,
+    max_tolerance_bps double precision,
+    wallet_checks bigint,
+    avg_missing_tokens double precision,
+    avg_spam_tokens double precision,
+    avg_balance_mismatches double precision,
+    avg_usd_deviation double precision
+)
+language sql stable as $$
+    select
+        provider,
+        count(*),
+        count(*) filter (where not coalesce(success, false)),
+        avg(latency),
+        min(latency),
+        max(latency),
+        case when count(latency) = 1 then 0 else stddev_samp(latency) end,
+        percentile_cont(0.5) within group (order by latency),
+        percentile_cont(0.9) within group (order by latency),
+        percentile_cont(0.95) within group (order by latency),
+        percentile_cont(0.99) within group (order by latency),
+        percentile_cont(0.999) within group (order by latency),
+        count(*) filter (where is_accurate),
+        count(*) filter (where is_accurate is not null),
+        avg(coalesce(response_size, 0)),
+        coalesce(avg(abs(deviation)), 0),
+        avg(staleness_ms),
+        max(staleness_ms),
+        min(tolerance_bps),
+        max(tolerance_bps),
+        count(*) filter (where wallet_reference is not null),
+        avg(missing_tokens) filter (where wallet_reference is not null),
+        avg(spam_tokens) filter (where wallet_reference is not null),
+        avg(balance_mismatches) filter (where wallet_reference is not null),
+        avg(abs(usd_deviation)) filter (where wallet_reference is not null)
+    from benchmark_results
+    where timestamp >= p_since
+    group by provider
+    order by provider;
+$$;
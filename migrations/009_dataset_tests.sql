@@ -0,0 +1,7 @@
+-- Token metadata (metadata_<token>), OHLCV history (ohlcv_<token>) and
+-- transfer history (transfers) rows: how many records the provider returned
+-- and how well its normalized output agreed with the other providers.
+
+alter table benchmark_results add column if not exists record_count integer;
+alter table benchmark_results add column if not exists consensus_match double precision;
+alter table benchmark_results add column if not exists mismatches integer;
@@ -0,0 +1,322 @@
+-- Filters for every read route: provider, test_type family and token.
+-- benchmark_filtered() applies them once; each aggregation function takes the
+-- same optional filter arguments (null = no filter) and reads through it.
+-- Signatures change, so the functions are dropped and recreated.
+--
+--   p_providers           provider = any(...)
+--   p_test_type_patterns  test_type like any(...), e.g. {'price', 'price\_%'}
+--   p_test_types          test_type = any(...), e.g. {'price_USDT', 'ohlcv_USDT'}
+
+drop function if exists benchmark_summary(timestamptz);
+drop function if exists benchmark_error_breakdown(timestamptz);
+drop function if exists benchmark_latency_buckets(timestamptz, integer);
+drop function if exists benchmark_phase_breakdown(timestamptz);
+drop function if exists benchmark_latency_sample(timestamptz, integer, text);
+drop function if exists benchmark_price_buckets(timestamptz, integer);
+
+create or replace function benchmark_filtered(
+    p_since timestamptz,
+    p_providers text[],
+    p_test_type_patterns text[],
+    p_test_types text[]
+)
+returns setof benchmark_results
+language sql stable as $$
+    select *
+    from benchmark_results
+    where timestamp >= p_since
+      and (p_providers is null or provider = any(p_providers))
+      and (p_test_type_patterns is null or test_type like any(p_test_type_patterns))
+      and (p_test_types is null or test_type = any(p_test_types));
+$$;
+
+create or replace function benchmark_summary(
+    p_since timestamptz,
+    p_providers text[] default null,
+    p_test_type_patterns text[] default null,
+    p_test_types text[] default null
+)
+returns table (
+    provider text,
+    requests bigint,
+    failed bigint,
+    avg_latency double precision,
+    min_latency double precision,
+    max_latency double precision,
+    stddev_latency double precision,
+    p50_latency double precision,
+    p90_latency double precision,
+    p95_latency double precision,
+    p99_latency double precision,
+    p999_latency double precision,
+    accurate bigint,
+    with_accuracy bigint,
+    avg_response_size double precision,
+    avg_deviation double precision,
+    avg_staleness_ms double precision,
+    max_staleness_ms double precision,
+    min_tolerance_bps double precision,
+    max_tolerance_bps double precision,
+    wallet_checks bigint,
+    avg_missing_tokens double precision,
+    avg_spam_tokens double precision,
+    avg_balance_mismatches double precision,
+    avg_usd_deviation double precision
+)
+language sql stable as $$
+    select
+        provider,
+        count(*),
+        count(*) filter (where not coalesce(success, false)),
+        avg(latency),
+        min(latency),
+        max(latency),
+        case when count(latency) = 1 then 0 else stddev_samp(latency) end,
+        percentile_cont(0.5) within group (order by latency),
+        percentile_cont(0.9) within group (order by latency),
+        percentile_cont(0.95) within group (order by latency),
+        percentile_cont(0.99) within group (order by latency),
+        percentile_cont(0.999) within group (order by latency),
+        count(*) filter (where is_accurate),
+        count(*) filter (where is_accurate is not null),
+        avg(coalesce(response_size, 0)),
+        coalesce(avg(abs(deviation)), 0),
+        avg(staleness_ms),
+        max(staleness_ms),
+        min(tolerance_bps),
+        max(tolerance_bps),
+        count(*) filter (where wallet_reference is not null),
+        avg(missing_tokens) filter (where wallet_reference is not null),
+        avg(spam_tokens) filter (where wallet_reference is not null),
+        avg(balance_mismatches) filter (where wallet_reference is not null),
+        avg(abs(usd_deviation)) filter (where wallet_reference is not null)
+    from benchmark_filtered(p_since, p_providers, p_test_type_patterns, p_test_types)
+    group by provider
+    order by provider;
+$$;
+
+-- Same statistics per (provider, test_type), for the summary's per-test-type breakdown
+create or replace function benchmark_test_type_summary(
+    p_since timestamptz,
+    p_providers text[] default null,
+    p_test_type_patterns text[] default null,
+    p_test_types text[] default null
+)
+returns table (
+    provider text,
+    test_type text,
+    requests bigint,
+    failed bigint,
+    avg_latency double precision,
+    min_latency double precision,
+    max_latency double precision,
+    stddev_latency double precision,
+    p50_latency double precision,
+    p90_latency double precision,
+    p95_latency double precision,
+    p99_latency double precision,
+    p999_latency double precision,
+    accurate bigint,
+    with_accuracy bigint,
+    avg_response_size double precision,
+    avg_deviation double precision,
+    avg_staleness_ms double precision,
+    max_staleness_ms double precision,
+    min_tolerance_bps double precision,
+    max_tolerance_bps double precision,
+    wallet_checks bigint,
+    avg_missing_tokens double precision,
+    avg_spam_tokens double precision,
+    avg_balance_mismatches double precision,
+    avg_usd_deviation double precision
+)
+language sql stable as $$
+    select
+        provider,
+        test_type,
+        count(*),
+        count(*) filter (where not coalesce(success, false)),
+        avg(latency),
+        min(latency),
+        max(latency),
+        case when count(latency) = 1 then 0 else stddev_samp(latency) end,
+        percentile_cont(0.5) within group (order by latency),
+        percentile_cont(0.9) within group (order by latency),
+        percentile_cont(0.95) within group (order by latency),
+        percentile_cont(0.99) within group (order by latency),
+        percentile_cont(0.999) within group (order by latency),
+        count(*) filter (where is_accurate),
+        count(*) filter (where is_accurate is not null),
+        avg(coalesce(response_size, 0)),
+        coalesce(avg(abs(deviation)), 0),
+        avg(staleness_ms),
+        max(staleness_ms),
+        min(tolerance_bps),
+        max(tolerance_bps),
+        count(*) filter (where wallet_reference is not null),
+        avg(missing_tokens) filter (where wallet_reference is not null),
+        avg(spam_tokens) filter (where wallet_reference is not null),
+        avg(balance_mismatches) filter (where wallet_reference is not null),
+        avg(abs(usd_deviation)) filter (where wallet_reference is not null)
+    from benchmark_filtered(p_since, p_providers, p_test_type_patterns, p_test_types)
+    group by provider, test_type
+    order by provider, test_type;
+$$;
+
+create or replace function benchmark_error_breakdown(
+    p_since timestamptz,
+    p_providers text[] default null,
+    p_test_type_patterns text[] default null,
+    p_test_types text[] default null
+)
+returns table (provider text, error_type text, count bigint)
+language sql stable as $$
+    select provider, coalesce(error_type, 'success'), count(*)
+    from benchmark_filtered(p_since, p_providers, p_test_type_patterns, p_test_types)
+    group by 1, 2
+    order by 1, 2;
+$$;
+
+create or replace function benchmark_latency_buckets(
+    p_since timestamptz,
+    p_bucket_seconds integer,
+    p_providers text[] default null,
+    p_test_type_patterns text[] default null,
+    p_test_types text[] default null
+)
+returns table (
+    bucket timestamptz,
+    provider text,
+    requests bigint,
+    failed bigint,
+    avg_latency double precision,
+    min_latency double precision,
+    max_latency double precision,
+    stddev_latency double precision,
+    p50_latency double precision,
+    p90_latency double precision,
+    p95_latency double precision,
+    p99_latency double precision,
+    p999_latency double precision,
+    accurate bigint,
+    with_accuracy bigint,
+    avg_response_size double precision,
+    avg_deviation double precision,
+    avg_staleness_ms double precision,
+    max_staleness_ms double precision
+)
+language sql stable as $$
+    select
+        to_timestamp(floor(extract(epoch from timestamp) / p_bucket_seconds) * p_bucket_seconds) as bucket,
+        provider,
+        count(*),
+        count(*) filter (where not coalesce(success, false)),
+        avg(latency),
+        min(latency),
+        max(latency),
+        case when count(latency) = 1 then 0 else stddev_samp(latency) end,
+        percentile_cont(0.5) within group (order by latency),
+        percentile_cont(0.9) within group (order by latency),
+        percentile_cont(0.95) within group (order by latency),
+        percentile_cont(0.99) within group (order by latency),
+        percentile_cont(0.999) within group (order by latency),
+        count(*) filter (where is_accurate),
+        count(*) filter (where is_accurate is not null),
+        avg(coalesce(response_size, 0)),
+        coalesce(avg(abs(deviation)), 0),
+        avg(staleness_ms),
+        max(staleness_ms)
+    from benchmark_filtered(p_since, p_providers, p_test_type_patterns, p_test_types)
+    group by 1, 2
+    order by 1, 2;
+$$;
+
+create or replace function benchmark_phase_breakdown(
+    p_since timestamptz,
+    p_providers text[] default null,
+    p_test_type_patterns text[] default null,
+    p_test_types text[] default null
+)
+returns table (
+    provider text,
+    connection_mode text,
+    requests bigint,
+    reused bigint,
+    avg_dns_ms double precision,
+    avg_connect_ms double precision,
+    avg_tls_ms double precision,
+    avg_ttfb_ms double precision,
+    avg_download_ms double precision,
+    avg_parse_ms double precision,
+    avg_latency double precision
+)
+language sql stable as $$
+    select
+        provider,
+        connection_mode,
+        count(*),
+        count(*) filter (where connection_reused),
+        avg(dns_ms),
+        avg(connect_ms),
+        avg(tls_ms),
+        avg(ttfb_ms),
+        avg(download_ms),
+        avg(parse_ms),
+        avg(latency)
+    from benchmark_filtered(p_since, p_providers, p_test_type_patterns, p_test_types)
+    where ttfb_ms is not null
+    group by 1, 2
+    order by 1, 2;
+$$;
+
+create or replace function benchmark_latency_sample(
+    p_since timestamptz,
+    p_limit integer,
+    p_seed text,
+    p_providers text[] default null,
+    p_test_type_patterns text[] default null,
+    p_test_types text[] default null
+)
+returns table (provider text, latency double precision)
+language sql stable as $$
+    select provider, latency
+    from (
+        select provider, latency, row_number() over (partition by provider order by md5(id::text || p_seed)) as n
+        from benchmark_filtered(p_since, p_providers, p_test_type_patterns, p_test_types)
+        where latency is not null
+    ) sampled
+    where n <= p_limit
+    order by provider, n;
+$$;
+
+create or replace function benchmark_price_buckets(
+    p_since timestamptz,
+    p_bucket_seconds integer,
+    p_providers text[] default null,
+    p_test_type_patterns text[] default null,
+    p_test_types text[] default null
+)
+returns table (
+    bucket timestamptz,
+    test_type text,
+    provider text,
+    price_sum double precision,
+    price_count bigint,
+    reference_sum double precision,
+    reference_count bigint
+)
+language sql stable as $$
+    select
+        to_timestamp(floor(extract(epoch from timestamp) / p_bucket_seconds) * p_bucket_seconds) as bucket,
+        test_type,
+        provider,
+        sum(price_value),
+        count(*),
+        coalesce(sum(reference_price) filter (where reference_price <> 0), 0),
+        count(*) filter (where reference_price <> 0)
+    from benchmark_filtered(p_since, p_providers, p_test_type_patterns, p_test_types)
+    where test_type like 'price\_%'
+      and price_value is not null
+    group by 1, 2, 3
+    order by 1, 2, 3;
+$$;
@@ -0,0 +1,156 @@
+-- Cost per benchmark call (lib/costs.js): cost_usd is what the provider's
+-- pricing model charges for the call, null when it has no model. The summary
+-- functions add the totals behind cost per successful accurate request.
+-- Their return type changes, so they are dropped and recreated.
+
+alter table benchmark_results add column if not exists cost_usd double precision;
+
+drop function if exists benchmark_summary(timestamptz, timestamptz, text[], text[], text[]);
+drop function if exists benchmark_test_type_summary(timestamptz, timestamptz, text[], text[], text[]);
+
+create or replace function benchmark_summary(
+    p_since timestamptz,
+    p_until timestamptz default null,
+    p_providers text[] default null,
+    p_test_type_patterns text[] default null,
+    p_test_types text[] default null
+)
+returns table (
+    provider text,
+    requests bigint,
+    failed bigint,
+    avg_latency double precision,
+    min_latency double precision,
+    max_latency double precision,
+    stddev_latency double precision,
+    p50_latency double precision,
+    p90_latency double precision,
+    p95_latency double precision,
+    p99_latency double precision,
+    p999_latency double precision,
+    accurate bigint,
+    with_accuracy bigint,
+    avg_response_size double precision,
+    avg_deviation double precision,
+    avg_staleness_ms double precision,
+    max_staleness_ms double precision,
+    min_tolerance_bps double precision,
+    max_tolerance_bps double precision,
+    wallet_checks bigint,
+    avg_missing_tokens double precision,
+    avg_spam_tokens double precision,
+    avg_balance_mismatches double precision,
+    avg_usd_deviation double precision,
+    costed_requests bigint,
+    total_cost_usd double precision,
+    accurate_successes bigint
+)
+language sql stable as $$
+    select
+        provider,
+        count(*),
+        count(*) filter (where not coalesce(success, false)),
+        avg(latency),
+        min(latency),
+        max(latency),
+        case when count(latency) = 1 then 0 else stddev_samp(latency) end,
+        percentile_cont(0.5) within group (order by latency),
+        percentile_cont(0.9) within group (order by latency),
+        percentile_cont(0.95) within group (order by latency),
+        percentile_cont(0.99) within group (order by latency),
+        percentile_cont(0.999) within group (order by latency),
+        count(*) filter (where is_accurate),
+        count(*) filter (where is_accurate is not null),
+        avg(coalesce(response_size, 0)),
+        coalesce(avg(abs(deviation)), 0),
+        avg(staleness_ms),
+        max(staleness_ms),
+        min(tolerance_bps),
+        max(tolerance_bps),
+        count(*) filter (where wallet_reference is not null),
+        avg(missing_tokens) filter (where wallet_reference is not null),
+        avg(spam_tokens) filter (where wallet_reference is not null),
+        avg(balance_mismatches) filter (where wallet_reference is not null),
+        avg(abs(usd_deviation)) filter (where wallet_reference is not null),
+        count(cost_usd),
+        coalesce(sum(cost_usd), 0),
+        count(*) filter (where success and is_accurate is not false)
+    from benchmark_filtered(p_since, p_until, p_providers, p_test_type_patterns, p_test_types)
+    group by provider
+    order by provider;
+$$;
+
+-- Same statistics per (provider, test_type)
+create or replace function benchmark_test_type_summary(
+    p_since timestamptz,
+    p_until timestamptz default null,
+    p_providers text[] default null,
+    p_test_type_patterns text[] default null,
+    p_test_types text[] default null
+)
+returns table (
+    provider text,
+    test_type text,
+    requests bigint,
+    failed bigint,
+    avg_latency double precision,
+    min_latency double precision,
+    max_latency double precision,
+    stddev_latency double precision,
+    p50_latency double precision,
+    p90_latency double precision,
+    p95_latency double precision,
+    p99_latency double precision,
+    p999_latency double precision,
+    accurate bigint,
+    with_accuracy bigint,
+    avg_response_size double precision,
+    avg_deviation double precision,
+    avg_staleness_ms double precision,
+    max_staleness_ms double precision,
+    min_tolerance_bps double precision,
+    max_tolerance_bps double precision,
+    wallet_checks bigint,
+    avg_missing_tokens double precision,
+    avg_spam_tokens double precision,
+    avg_balance_mismatches double precision,
+    avg_usd_deviation double precision,
+    costed_requests bigint,
+    total_cost_usd double precision,
+    accurate_successes bigint
+)
+language sql stable as $$
+    select
+        provider,
+        test_type,
+        count(*),
+        count(*) filter (where not coalesce(success, false)),
+        avg(latency),
+        min(latency),
+        max(latency),
+        case when count(latency) = 1 then 0 else stddev_samp(latency) end,
+        percentile_cont(0.5) within group (order by latency),
+        percentile_cont(0.9) within group (order by latency),
+        percentile_cont(0.95) within group (order by latency),
+        percentile_cont(0.99) within group (order by latency),
+        percentile_cont(0.999) within group (order by latency),
+        count(*) filter (where is_accurate),
+        count(*) filter (where is_accurate is not null),
+        avg(coalesce(response_size, 0)),
+        coalesce(avg(abs(deviation)), 0),
+        avg(staleness_ms),
+        max(staleness_ms),
+        min(tolerance_bps),
+        max(tolerance_bps),
+        count(*) filter (where wallet_reference is not null),
+        avg(missing_tokens) filter (where wallet_reference is not null),
+        avg(spam_tokens) filter (where wallet_reference is not null),
+        avg(balance_mismatches) filter (where wallet_reference is not null),
+        avg(abs(usd_deviation)) filter (where wallet_reference is not null),
+        count(cost_usd),
+        coalesce(sum(cost_usd), 0),
+        count(*) filter (where success and is_accurate is not false)
+    from benchmark_filtered(p_since, p_until, p_providers, p_test_type_patterns, p_test_types)
+    group by provider, test_type
+    order by provider, test_type;
+$$;
@@ -0,0 +1,9 @@
+-- Status-code-driven error model (lib/grading.js, lib/provider-call.js):
+-- status_code is the HTTP status of the call's last attempt (null when no
+-- response came back), retries the attempts made before it under the run's
+-- retry policy. Rows written before retries existed were never retried.
+
+alter table benchmark_results add column if not exists status_code integer;
+alter table benchmark_results add column if not exists retries integer default 0;
+
+update benchmark_results set retries = 0 where retries is null;
@@ -0,0 +1,24 @@
+-- Latest outcomes per provider (lib/alerts.js consecutive_errors): only the
+-- newest p_limit rows of each provider in the window come back, so a rule
+-- never pulls the whole window to count its trailing failures.
+
+create or replace function benchmark_recent_outcomes(
+    p_since timestamptz,
+    p_limit integer,
+    p_until timestamptz default null,
+    p_providers text[] default null,
+    p_test_type_patterns text[] default null,
+    p_test_types text[] default null,
+    p_run_ids uuid[] default null
+)
+returns table (provider text, success boolean, error_type text)
+language sql stable as $$
+    select provider, success, error_type
+    from (
+        select provider, success, error_type,
+               row_number() over (partition by provider order by timestamp desc, id desc) as n
+        from benchmark_filtered(p_since, p_until, p_providers, p_test_type_patterns, p_test_types, p_run_ids)
+    ) latest
+    where n <= p_limit
+    order by provider, n;
+$$;
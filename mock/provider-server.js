@@ -0,0 +1,633 @@
+// mock/provider-server.js - Local stand-in for the built-in provider APIs
+//
+// Serves the response shapes the adapters in providers/ parse, under
+// /<provider>/<original path>, so benchmarking against it takes one env var
+// (see providers/index.js):
+//   npm run mock                                      # MOCK_PORT, default 4010
+//   PROVIDER_BASE_URL=http://localhost:4010 npm start
+//
+// Behaviour is scripted by a scenario, read from MOCK_SCENARIO_FILE at startup
+// and replaceable at runtime. Every key can be set at the top level or per
+// provider under `providers.<name>` (except `prices`):
+//   latencyMs, jitterMs  response delay, latencyMs ± up to jitterMs
+//   failures             probability per outcome, e.g. { "429": 0.05, "malformed": 0.01 }
+//                        outcomes: 429, 401, 500, 502, 503 (HTML error page), malformed,
+//                        graphql_error (200 with a GraphQL errors array), hang (no response)
+//   sequence             outcomes served in order before `failures` applies,
+//                        e.g. ["429", "ok", "malformed"]
+//   driftBps             constant offset of quoted prices from the true price
+//   noiseBps             random ± spread on top of the drift
+//   quoteAgeMs           how old quotes claim to be (price update timestamps)
+//   prices               true USD price per token symbol or address; others quote 1
+//
+// Control routes:
+//   GET  /__mock/scenario   current scenario
+//   PUT  /__mock/scenario   replace it (400 listing every problem)
+//   POST /__mock/reset      back to the startup scenario, counters cleared
+//   GET  /__mock/requests   requests served, per provider and outcome
+//
+// Wallets hold 1000 of every configured ethereum token and have a fixed
+// transfer history, identical across providers, so a clean run grades accurate.
+const fs = require('fs');
+const crypto = require('crypto');
+const express = require('express');
+const { listTokens } = require('../lib/tokens');
+
+const PROVIDERS = ['alchemy', 'mobula', 'codex', 'coingecko', 'goldrush'];
+const OUTCOMES = ['ok', '429', '401', '500', '502', '503', 'malformed', 'graphql_error', 'hang'];
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const WALLET_UNITS = 1000;
+const TRANSFER_COUNT = 6;
+
+const DEFAULT_SCENARIO = {
+    latencyMs: 0,
+    jitterMs: 0,
+    failures: {},
+    sequence: [],
+    driftBps: 0,
+    noiseBps: 0,
+    quoteAgeMs: 0,
+    prices: { ETH: 3000, WETH: 3000, WBTC: 60000 },
+    providers: {}
+};
+
+// Token details the mock reports as metadata, by configured symbol
+const TOKEN_INFO = {
+    USDT: { name: 'Tether USD', symbol: 'USDT', decimals: 6 },
+    USDC: { name: 'USD Coin', symbol: 'USDC', decimals: 6 },
+    ETH: { name: 'Wrapped Ether', symbol: 'WETH', decimals: 18 },
+    WETH: { name: 'Wrapped Ether', symbol: 'WETH', decimals: 18 },
+    WBTC: { name: 'Wrapped BTC', symbol: 'WBTC', decimals: 8 }
+};
+
+// ====================================
+// Scenario
+// ====================================
+
+function isNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+function checkSettings(settings, prefix, problems) {
+    ['latencyMs', 'jitterMs', 'noiseBps', 'quoteAgeMs'].forEach(key => {
+        if (settings[key] !== undefined && (!isNumber(settings[key]) || settings[key] < 0)) {
+            problems.push(`${prefix}${key} must be a non-negative number`);
+        }
+    });
+    if (settings.driftBps !== undefined && !isNumber(settings.driftBps)) {
+        problems.push(`${prefix}driftBps must be a number`);
+    }
+
+    if (settings.failures !== undefined) {
+        if (!settings.failures || typeof settings.failures !== 'object' || Array.isArray(settings.failures)) {
+            problems.push(`${prefix}failures must map outcomes to probabilities`);
+        } else {
+            Object.entries(settings.failures).forEach(([outcome, probability]) => {
+                if (outcome === 'ok' || !OUTCOMES.includes(outcome)) {
+                    problems.push(`${prefix}failures.${outcome} is not a failure outcome (expected ${OUTCOMES.slice(1).join(', ')})`);
+                } else if (!isNumber(probability) || probability < 0 || probability > 1) {
+                    problems.push(`${prefix}failures.${outcome} must be between 0 and 1`);
+                }
+            });
+            const total = Object.values(settings.failures).filter(isNumber).reduce((a, b) => a + b, 0);
+            if (total > 1) {
+                problems.push(`${prefix}failures must add up to at most 1`);
+            }
+        }
+    }
+
+    if (settings.sequence !== undefined) {
+        if (!Array.isArray(settings.sequence)) {
+            problems.push(`${prefix}sequence must be an array of outcomes`);
+        } else {
+            settings.sequence.forEach(outcome => {
+                if (!OUTCOMES.includes(String(outcome))) {
+                    problems.push(`${prefix}sequence: unknown outcome "${outcome}" (expected ${OUTCOMES.join(', ')})`);
+                }
+            });
+        }
+    }
+}
+
+// Throws listing every problem
+function normalizeScenario(input = {}) {
+    const problems = [];
+
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        throw new Error('Scenario must be an object');
+    }
+
+    checkSettings(input, '', problems);
+
+    if (input.prices !== undefined) {
+        if (!input.prices || typeof input.prices !== 'object') {
+            problems.push('prices must map token symbols or addresses to USD prices');
+        } else {
+            Object.entries(input.prices).forEach(([key, price]) => {
+                if (!isNumber(price) || price <= 0) problems.push(`prices.${key} must be a positive number`);
+            });
+        }
+    }
+
+    Object.entries(input.providers || {}).forEach(([name, settings]) => {
+        if (!PROVIDERS.includes(name)) {
+            problems.push(`providers.${name}: unknown provider (expected ${PROVIDERS.join(', ')})`);
+        } else if (!settings || typeof settings !== 'object') {
+            problems.push(`providers.${name} must be an object`);
+        } else if (settings.prices !== undefined) {
+            problems.push(`providers.${name}.prices: true prices are shared, use driftBps`);
+        } else {
+            checkSettings(settings, `providers.${name}.`, problems);
+        }
+    });
+
+    if (problems.length > 0) {
+        throw new Error(problems.join('; '));
+    }
+
+    return {
+        ...DEFAULT_SCENARIO,
+        ...input,
+        sequence: (input.sequence || []).map(String),
+        prices: { ...DEFAULT_SCENARIO.prices, ...input.prices },
+        providers: Object.fromEntries(Object.entries(input.providers || {}).map(([name, settings]) => [
+            name,
+            settings.sequence ? { ...settings, sequence: settings.sequence.map(String) } : settings
+        ]))
+    };
+}
+
+// ====================================
+// Mock world: prices, wallets, transfers
+// ====================================
+
+function tokenByAddress(address) {
+    const lower = String(address || '').toLowerCase();
+    return listTokens().find(t => t.address.toLowerCase() === lower) || null;
+}
+
+function tokenInfo(token, address) {
+    const info = token ? TOKEN_INFO[token.symbol] : null;
+    return info || { name: token ? token.symbol : `Token ${String(address).slice(0, 8)}`, symbol: token ? token.symbol : 'MOCK', decimals: 18 };
+}
+
+function truePrice(scenario, address) {
+    const token = tokenByAddress(address);
+    const prices = scenario.prices;
+    return (token && prices[token.symbol]) || prices[String(address).toLowerCase()] || prices[address] || 1;
+}
+
+function walletHoldings(scenario) {
+    return listTokens()
+        .filter(token => token.chain === 'ethereum')
+        .map(token => {
+            const info = tokenInfo(token, token.address);
+            const price = truePrice(scenario, token.address);
+            return {
+                address: token.address.toLowerCase(),
+                symbol: info.symbol,
+                name: info.name,
+                decimals: info.decimals,
+                raw: (BigInt(WALLET_UNITS) * 10n ** BigInt(info.decimals)).toString(),
+                amount: WALLET_UNITS,
+                price,
+                usdValue: WALLET_UNITS * price
+            };
+        });
+}
+
+// Same history for every provider within the hour; even transfers are outgoing
+function walletTransfers(walletAddress) {
+    const wallet = walletAddress.toLowerCase();
+    const latest = Math.floor(Date.now() / HOUR_MS) * HOUR_MS;
+    const token = listTokens().find(t => t.chain === 'ethereum');
+
+    return Array.from({ length: TRANSFER_COUNT }, (_, i) => {
+        const counterparty = `0x${crypto.createHash('sha256').update(`${wallet}:peer:${i}`).digest('hex').slice(0, 40)}`;
+        return {
+            hash: `0x${crypto.createHash('sha256').update(`${wallet}:${latest}:${i}`).digest('hex')}`,
+            from: i % 2 === 0 ? wallet : counterparty,
+            to: i % 2 === 0 ? counterparty : wallet,
+            token: token ? token.address.toLowerCase() : null,
+            value: String((i + 1) * 1000000),
+            timestamp: latest - i * HOUR_MS
+        };
+    });
+}
+
+// [{ time (ms), price }] from `from` to `to`, one point per step
+function pricePoints(from, to, stepMs, quote) {
+    const points = [];
+    for (let time = Math.ceil(from / stepMs) * stepMs; time <= to && points.length < 5000; time += stepMs) {
+        points.push({ time, price: quote() });
+    }
+    return points;
+}
+
+// ====================================
+// Provider routes
+// ====================================
+
+function providerRoutes(name, ctx) {
+    const router = express.Router();
+    const quote = address => ctx.quote(name, address);
+    const updatedAt = () => Date.now() - ctx.settings(name).quoteAgeMs;
+
+    if (name === 'alchemy') {
+        router.post('/prices/v1/tokens/by-address', (req, res) => {
+            res.json({
+                data: (req.body.addresses || []).map(({ network, address }) => ({
+                    network,
+                    address,
+                    prices: [{ currency: 'usd', value: quote(address).toFixed(8), lastUpdatedAt: new Date(updatedAt()).toISOString() }]
+                }))
+            });
+        });
+
+        router.post('/prices/v1/tokens/historical', (req, res) => {
+            const step = req.body.interval === '1d' ? DAY_MS : HOUR_MS;
+            const points = pricePoints(new Date(req.body.startTime).getTime(), new Date(req.body.endTime).getTime(), step, () => quote(req.body.address));
+            res.json({
+                symbol: tokenInfo(tokenByAddress(req.body.address), req.body.address).symbol,
+                data: points.map(p => ({ value: p.price.toFixed(8), timestamp: new Date(p.time).toISOString() }))
+            });
+        });
+
+        // JSON-RPC, single or batched
+        router.post('/v2/:key', (req, res) => {
+            const answer = call => {
+                const params = call.params || [];
+                if (call.method === 'alchemy_getTokenBalances') {
+                    return {
+                        address: params[0],
+                        tokenBalances: walletHoldings(ctx.scenario).map(h => ({
+                            contractAddress: h.address,
+                            tokenBalance: `0x${BigInt(h.raw).toString(16)}`
+                        }))
+                    };
+                }
+                if (call.method === 'alchemy_getTokenMetadata') {
+                    const info = tokenInfo(tokenByAddress(params[0]), params[0]);
+                    return { name: info.name, symbol: info.symbol, decimals: info.decimals, logo: null };
+                }
+                if (call.method === 'alchemy_getAssetTransfers') {
+                    const filter = params[0] || {};
+                    const transfers = walletTransfers(filter.fromAddress || filter.toAddress)
+                        .filter(t => filter.fromAddress ? t.from === filter.fromAddress.toLowerCase() : t.to === filter.toAddress.toLowerCase());
+                    return {
+                        transfers: transfers.map(t => ({
+                            hash: t.hash,
+                            from: t.from,
+                            to: t.to,
+                            category: 'erc20',
+                            rawContract: { address: t.token, value: `0x${BigInt(t.value).toString(16)}` },
+                            metadata: { blockTimestamp: new Date(t.timestamp).toISOString() }
+                        }))
+                    };
+                }
+                return undefined;
+            };
+            const respond = call => {
+                const result = answer(call);
+                return result === undefined
+                    ? { jsonrpc: '2.0', id: call.id, error: { code: -32601, message: `Method not found: ${call.method}` } }
+                    : { jsonrpc: '2.0', id: call.id, result };
+            };
+            res.json(Array.isArray(req.body) ? req.body.map(respond) : respond(req.body));
+        });
+    }
+
+    if (name === 'mobula') {
+        router.get('/api/2/token/price', (req, res) => {
+            res.json({ data: { priceUSD: quote(req.query.address), address: req.query.address } });
+        });
+
+        router.get('/api/1/wallet/portfolio', (req, res) => {
+            const holdings = walletHoldings(ctx.scenario);
+            res.json({
+                data: {
+                    wallet: req.query.wallet,
+                    total_wallet_balance: holdings.reduce((sum, h) => sum + h.usdValue, 0),
+                    assets: holdings.map(h => ({
+                        asset: { name: h.name, symbol: h.symbol },
+                        price: h.price,
+                        token_balance: h.amount,
+                        contracts_balances: [{ address: h.address, balance: h.amount, balanceRaw: h.raw, decimals: h.decimals, chainId: 'evm:1' }]
+                    }))
+                }
+            });
+        });
+
+        router.get('/api/1/metadata', (req, res) => {
+            const info = tokenInfo(tokenByAddress(req.query.asset), req.query.asset);
+            res.json({ data: { name: info.name, symbol: info.symbol, decimals: info.decimals } });
+        });
+
+        router.get('/api/1/market/history', (req, res) => {
+            const points = pricePoints(Number(req.query.from), Number(req.query.to), HOUR_MS, () => quote(req.query.asset));
+            res.json({ data: { price_history: points.map(p => [p.time, p.price]) } });
+        });
+
+        router.get('/api/1/wallet/transactions', (req, res) => {
+            const transfers = walletTransfers(req.query.wallet).slice(0, Number(req.query.limit) || TRANSFER_COUNT);
+            res.json({
+                data: {
+                    transactions: transfers.map(t => ({
+                        hash: t.hash,
+                        from: t.from,
+                        to: t.to,
+                        type: t.from === req.query.wallet.toLowerCase() ? 'sell' : 'buy',
+                        asset: { contract: t.token },
+                        timestamp: t.timestamp
+                    }))
+                }
+            });
+        });
+    }
+
+    if (name === 'codex') {
+        router.post('/graphql', (req, res) => {
+            const query = String(req.body.query || '');
+            const variables = req.body.variables || {};
+
+            if (query.includes('getTokenPrices')) {
+                const address = variables.inputs?.[0]?.address;
+                return res.json({
+                    data: { getTokenPrices: [{ priceUsd: quote(address), address, timestamp: Math.floor(updatedAt() / 1000) }] }
+                });
+            }
+            if (query.includes('balances(')) {
+                return res.json({
+                    data: {
+                        balances: {
+                            items: walletHoldings(ctx.scenario).map(h => ({
+                                tokenAddress: h.address,
+                                balance: h.raw,
+                                balanceUsd: String(h.usdValue),
+                                token: { symbol: h.symbol, name: h.name, decimals: h.decimals }
+                            }))
+                        }
+                    }
+                });
+            }
+            if (query.includes('getBars')) {
+                const [address] = String(variables.symbol || '').split(':');
+                const step = variables.resolution === '1D' ? DAY_MS : HOUR_MS;
+                const points = pricePoints(Number(variables.from) * 1000, Number(variables.to) * 1000, step, () => quote(address));
+                const prices = points.map(p => p.price);
+                return res.json({
+                    data: {
+                        getBars: {
+                            t: points.map(p => Math.floor(p.time / 1000)),
+                            o: prices,
+                            h: prices,
+                            l: prices,
+                            c: prices,
+                            v: points.map(() => 1000000)
+                        }
+                    }
+                });
+            }
+            if (query.includes('token(')) {
+                const address = variables.input?.address;
+                const info = tokenInfo(tokenByAddress(address), address);
+                return res.json({ data: { token: { name: info.name, symbol: info.symbol, decimals: info.decimals } } });
+            }
+            res.json({ errors: [{ message: 'Mock: unsupported query' }] });
+        });
+    }
+
+    if (name === 'coingecko') {
+        router.get('/api/v3/simple/token_price/:platform', (req, res) => {
+            const body = {};
+            String(req.query.contract_addresses || '').split(',').filter(Boolean).forEach(address => {
+                body[address.toLowerCase()] = { usd: quote(address), last_updated_at: Math.floor(updatedAt() / 1000) };
+            });
+            res.json(body);
+        });
+
+        router.get('/api/v3/coins/:platform/contract/:address/market_chart/range', (req, res) => {
+            const points = pricePoints(Number(req.query.from) * 1000, Number(req.query.to) * 1000, HOUR_MS, () => quote(req.params.address));
+            res.json({
+                prices: points.map(p => [p.time, p.price]),
+                market_caps: points.map(p => [p.time, p.price * 1e9]),
+                total_volumes: points.map(p => [p.time, 1000000])
+            });
+        });
+
+        router.get('/api/v3/coins/:platform/contract/:address', (req, res) => {
+            const address = req.params.address.toLowerCase();
+            const info = tokenInfo(tokenByAddress(address), address);
+            res.json({
+                id: info.name.toLowerCase().replace(/\s+/g, '-'),
+                name: info.name,
+                symbol: info.symbol.toLowerCase(),
+                contract_address: address,
+                detail_platforms: { [req.params.platform]: { contract_address: address, decimal_place: info.decimals } }
+            });
+        });
+    }
+
+    if (name === 'goldrush') {
+        router.get('/v1/pricing/historical_by_addresses_v2/:chain/USD/:address', (req, res) => {
+            res.json({
+                data: [{
+                    contract_address: req.params.address,
+                    prices: [{ date: new Date(updatedAt()).toISOString().slice(0, 10), price: quote(req.params.address) }]
+                }],
+                error: false
+            });
+        });
+
+        router.get('/v1/:chain/address/:wallet/balances_v2', (req, res) => {
+            res.json({
+                data: {
+                    address: req.params.wallet,
+                    items: walletHoldings(ctx.scenario).map(h => ({
+                        contract_address: h.address,
+                        contract_ticker_symbol: h.symbol,
+                        contract_name: h.name,
+                        contract_decimals: h.decimals,
+                        balance: h.raw,
+                        quote: h.usdValue
+                    }))
+                },
+                error: false
+            });
+        });
+
+        router.get('/v1/:chain/address/:wallet/transactions_v3', (req, res) => {
+            const transfers = walletTransfers(req.params.wallet).slice(0, Number(req.query['page-size']) || TRANSFER_COUNT);
+            res.json({
+                data: {
+                    items: transfers.map(t => ({
+                        tx_hash: t.hash,
+                        from_address: t.from,
+                        to_address: t.to,
+                        value: t.value,
+                        block_signed_at: new Date(t.timestamp).toISOString()
+                    }))
+                },
+                error: false
+            });
+        });
+    }
+
+    return router;
+}
+
+// ====================================
+// Failure injection
+// ====================================
+
+function sendFailure(res, outcome) {
+    if (outcome === '429') {
+        return res.status(429).set('Retry-After', '1').json({ message: 'Rate limit exceeded' });
+    }
+    if (outcome === '401') {
+        return res.status(401).json({ message: 'Unauthorized: invalid API key' });
+    }
+    if (outcome === '500') {
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+    if (outcome === '502' || outcome === '503') {
+        const title = outcome === '502' ? '502 Bad Gateway' : '503 Service Temporarily Unavailable';
+        return res.status(Number(outcome)).type('html').send(`<html><head><title>${title}</title></head><body><h1>${title}</h1></body></html>`);
+    }
+    if (outcome === 'graphql_error') {
+        return res.status(200).json({ data: null, errors: [{ message: 'Mock: internal error', extensions: { code: 'INTERNAL_SERVER_ERROR' } }] });
+    }
+    if (outcome === 'hang') {
+        // Never answers; the client's timeout (or close()) ends the request
+        return;
+    }
+    // malformed: a 200 whose JSON body is cut off
+    return res.status(200).type('json').send('{"data": {"price');
+}
+
+function createMockServer(initialScenario = {}) {
+    const startup = normalizeScenario(initialScenario);
+    const ctx = {
+        scenario: startup,
+        cursors: {},
+        requests: {},
+        settings(name) {
+            return { ...this.scenario, ...(this.scenario.providers[name] || {}) };
+        },
+        quote(name, address) {
+            const { driftBps, noiseBps } = this.settings(name);
+            const noise = (Math.random() * 2 - 1) * noiseBps;
+            return truePrice(this.scenario, address) * (1 + (driftBps + noise) / 10000);
+        },
+        // Next scripted outcome, else a draw from the failure probabilities
+        outcome(name) {
+            const own = this.scenario.providers[name] || {};
+            const key = own.sequence ? name : '*';
+            const sequence = own.sequence || this.scenario.sequence;
+            const cursor = this.cursors[key] || 0;
+            if (cursor < sequence.length) {
+                this.cursors[key] = cursor + 1;
+                return sequence[cursor];
+            }
+
+            let draw = Math.random();
+            for (const [outcome, probability] of Object.entries(this.settings(name).failures)) {
+                if (draw < probability) return outcome;
+                draw -= probability;
+            }
+            return 'ok';
+        },
+        reset(scenario) {
+            this.scenario = scenario;
+            this.cursors = {};
+            this.requests = {};
+        }
+    };
+
+    const app = express();
+    app.use(express.json({ type: () => true }));
+
+    app.get('/__mock/scenario', (req, res) => res.json(ctx.scenario));
+
+    app.put('/__mock/scenario', (req, res) => {
+        try {
+            ctx.reset(normalizeScenario(req.body));
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+        res.json(ctx.scenario);
+    });
+
+    app.post('/__mock/reset', (req, res) => {
+        ctx.reset(startup);
+        res.json(ctx.scenario);
+    });
+
+    app.get('/__mock/requests', (req, res) => res.json(ctx.requests));
+
+    PROVIDERS.forEach(name => {
+        app.use(`/${name}`, (req, res, next) => {
+            const { latencyMs, jitterMs } = ctx.settings(name);
+            const outcome = ctx.outcome(name);
+            const delay = Math.max(0, latencyMs + (Math.random() * 2 - 1) * jitterMs);
+
+            ctx.requests[name] = ctx.requests[name] || {};
+            ctx.requests[name][outcome] = (ctx.requests[name][outcome] || 0) + 1;
+
+            setTimeout(() => (outcome === 'ok' ? next() : sendFailure(res, outcome)), delay);
+        }, providerRoutes(name, ctx));
+    });
+
+    app.use((req, res) => res.status(404).json({ error: `Mock: no route for ${req.method} ${req.path}` }));
+
+    // A body that isn't JSON never reaches the providers' parsers
+    app.use((error, req, res, next) => res.status(400).json({ error: `Mock: ${error.message}` }));
+
+    return app;
+}
+
+// Resolves with { url, close() } once listening; port 0 picks a free port
+function startMockServer({ port = 0, scenario = {} } = {}) {
+    const app = createMockServer(scenario);
+    return new Promise((resolve, reject) => {
+        const server = app.listen(port, '127.0.0.1', () => {
+            resolve({
+                url: `http://127.0.0.1:${server.address().port}`,
+                // Benchmark agents keep connections alive; don't wait for them
+                close: () => new Promise(done => {
+                    server.close(done);
+                    server.closeAllConnections();
+                })
+            });
+        });
+        server.on('error', reject);
+    });
+}
+
+module.exports = {
+    PROVIDERS,
+    OUTCOMES,
+    DEFAULT_SCENARIO,
+    normalizeScenario,
+    createMockServer,
+    startMockServer
+};
+
+if (require.main === module) {
+    const port = Number(process.env.MOCK_PORT || 4010);
+    const scenario = process.env.MOCK_SCENARIO_FILE
+        ? JSON.parse(fs.readFileSync(process.env.MOCK_SCENARIO_FILE, 'utf8'))
+        : {};
+
+    startMockServer({ port, scenario })
+        .then(({ url }) => {
+            console.log(`🧪 Mock provider server on ${url}`);
+            console.log(`   Point the benchmark at it: PROVIDER_BASE_URL=${url} npm start`);
+        })
+        .catch(error => {
+            console.error('❌ Mock provider server failed to start:', error.message);
+            process.exit(1);
+        });
+}
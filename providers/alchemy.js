@@ -0,0 +1,152 @@
+// providers/alchemy.js - Alchemy Prices API + Token API adapter
+
+module.exports = {
+    name: 'alchemy',
+    label: 'Alchemy',
+    apiKeyEnv: 'ALCHEMY_API_KEY',
+    capabilities: ['price', 'wallet', 'metadata', 'ohlcv', 'transfers'],
+    networks: {
+        ethereum: 'eth-mainnet',
+        base: 'base-mainnet',
+        arbitrum: 'arb-mainnet',
+        polygon: 'polygon-mainnet',
+        solana: 'solana-mainnet'
+    },
+    // alchemy_getTokenMetadata is an EVM JSON-RPC method; Solana nodes don't have it
+    capabilityChains: {
+        metadata: ['ethereum', 'base', 'arbitrum', 'polygon']
+    },
+
+    buildPriceRequest(token, network) {
+        // Look up by address rather than symbol so tokens sharing a ticker on different chains stay distinct
+        return {
+            url: 'https://api.g.alchemy.com/prices/v1/tokens/by-address',
+            options: {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${process.env.ALCHEMY_API_KEY}`,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    addresses: [{ network, address: token.address }]
+                })
+            }
+        };
+    },
+
+    extractPrice(responseData) {
+        return responseData?.data?.[0]?.prices?.[0]?.value;
+    },
+
+    extractPriceTimestamp(responseData) {
+        return responseData?.data?.[0]?.prices?.[0]?.lastUpdatedAt; // ISO 8601
+    },
+
+    buildWalletRequest(walletAddress) {
+        return {
+            url: `https://eth-mainnet.g.alchemy.com/v2/${encodeURIComponent(process.env.ALCHEMY_API_KEY)}`,
+            options: {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    jsonrpc: '2.0',
+                    method: 'alchemy_getTokenBalances',
+                    params: [walletAddress, 'DEFAULT_TOKENS'],
+                    id: 1
+                })
+            }
+        };
+    },
+
+    // Balances only; the endpoint reports neither decimals nor USD value
+    extractHoldings(responseData) {
+        return (responseData?.result?.tokenBalances || []).map(item => ({
+            address: item.contractAddress,
+            balance: item.tokenBalance
+        }));
+    },
+
+    buildMetadataRequest(token, network) {
+        return {
+            url: `https://${network}.g.alchemy.com/v2/${encodeURIComponent(process.env.ALCHEMY_API_KEY)}`,
+            options: {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    jsonrpc: '2.0',
+                    method: 'alchemy_getTokenMetadata',
+                    params: [token.address],
+                    id: 1
+                })
+            }
+        };
+    },
+
+    extractMetadata(responseData) {
+        return responseData?.result;
+    },
+
+    // Historical prices are close-only points; lib/datasets.js folds them into candles
+    buildOhlcvRequest(token, network, { interval, from, to }) {
+        return {
+            url: 'https://api.g.alchemy.com/prices/v1/tokens/historical',
+            options: {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${process.env.ALCHEMY_API_KEY}`,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    network,
+                    address: token.address,
+                    startTime: new Date(from).toISOString(),
+                    endTime: new Date(to).toISOString(),
+                    interval
+                })
+            }
+        };
+    },
+
+    extractCandles(responseData) {
+        return (responseData?.data || []).map(point => ({
+            time: point.timestamp,
+            close: point.value
+        }));
+    },
+
+    // getAssetTransfers filters on one direction per call, so incoming and
+    // outgoing transfers are fetched as a JSON-RPC batch
+    buildTransfersRequest(walletAddress, { limit }) {
+        const params = direction => [{
+            [direction]: walletAddress,
+            category: ['external', 'erc20'],
+            order: 'desc',
+            withMetadata: true,
+            maxCount: `0x${limit.toString(16)}`
+        }];
+        return {
+            url: `https://eth-mainnet.g.alchemy.com/v2/${encodeURIComponent(process.env.ALCHEMY_API_KEY)}`,
+            options: {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify([
+                    { jsonrpc: '2.0', method: 'alchemy_getAssetTransfers', params: params('fromAddress'), id: 1 },
+                    { jsonrpc: '2.0', method: 'alchemy_getAssetTransfers', params: params('toAddress'), id: 2 }
+                ])
+            }
+        };
+    },
+
+    extractTransfers(responseData) {
+        return (Array.isArray(responseData) ? responseData : [])
+            .flatMap(call => call?.result?.transfers || [])
+            .map(transfer => ({
+                hash: transfer.hash,
+                from: transfer.from,
+                to: transfer.to,
+                token: transfer.rawContract?.address,
+                value: transfer.rawContract?.value,
+                timestamp: transfer.metadata?.blockTimestamp
+            }));
+    }
+};
@@ -0,0 +1,162 @@
+// providers/codex.js - Codex GraphQL API adapter
+//
+// Inputs go in GraphQL variables, never into the query text.
+
+module.exports = {
+    name: 'codex',
+    label: 'Codex',
+    apiKeyEnv: 'CODEX_API_KEY',
+    capabilities: ['price', 'wallet', 'metadata', 'ohlcv'],
+    networks: {
+        ethereum: 1,
+        base: 8453,
+        arbitrum: 42161,
+        polygon: 137,
+        solana: 1399811149
+    },
+
+    buildPriceRequest(token, network) {
+        return {
+            url: 'https://graph.codex.io/graphql',
+            options: {
+                method: 'POST',
+                headers: {
+                    'Authorization': process.env.CODEX_API_KEY,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    query: `query TokenPrices($inputs: [GetPriceInput]) {
+                        getTokenPrices(inputs: $inputs) {
+                            priceUsd
+                            address
+                            timestamp
+                        }
+                    }`,
+                    variables: { inputs: [{ address: token.address, networkId: network }] }
+                })
+            }
+        };
+    },
+
+    extractPrice(responseData) {
+        return responseData?.data?.getTokenPrices?.[0]?.priceUsd;
+    },
+
+    extractPriceTimestamp(responseData) {
+        const timestamp = responseData?.data?.getTokenPrices?.[0]?.timestamp; // unix seconds
+        return timestamp ? timestamp * 1000 : null;
+    },
+
+    buildWalletRequest(walletAddress) {
+        return {
+            url: 'https://graph.codex.io/graphql',
+            options: {
+                method: 'POST',
+                headers: {
+                    'Authorization': process.env.CODEX_API_KEY,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    query: `query Balances($input: BalancesInput!) {
+                        balances(input: $input) {
+                            items {
+                                tokenAddress
+                                balance
+                                balanceUsd
+                                token {
+                                    symbol
+                                    name
+                                    decimals
+                                }
+                            }
+                        }
+                    }`,
+                    variables: { input: { walletAddress, networks: [1], removeScams: true, limit: 10 } }
+                })
+            }
+        };
+    },
+
+    extractHoldings(responseData) {
+        return (responseData?.data?.balances?.items || []).map(item => ({
+            address: item.tokenAddress,
+            symbol: item.token?.symbol,
+            balance: item.balance,
+            decimals: item.token?.decimals,
+            usdValue: item.balanceUsd
+        }));
+    },
+
+    buildMetadataRequest(token, network) {
+        return {
+            url: 'https://graph.codex.io/graphql',
+            options: {
+                method: 'POST',
+                headers: {
+                    'Authorization': process.env.CODEX_API_KEY,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    query: `query Token($input: TokenInput!) {
+                        token(input: $input) {
+                            name
+                            symbol
+                            decimals
+                        }
+                    }`,
+                    variables: { input: { address: token.address, networkId: network } }
+                })
+            }
+        };
+    },
+
+    extractMetadata(responseData) {
+        return responseData?.data?.token;
+    },
+
+    buildOhlcvRequest(token, network, { interval, from, to }) {
+        const resolution = interval === '1d' ? '1D' : '60';
+        return {
+            url: 'https://graph.codex.io/graphql',
+            options: {
+                method: 'POST',
+                headers: {
+                    'Authorization': process.env.CODEX_API_KEY,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    query: `query Bars($symbol: String!, $from: Int!, $to: Int!, $resolution: String!) {
+                        getBars(symbol: $symbol, from: $from, to: $to, resolution: $resolution) {
+                            t
+                            o
+                            h
+                            l
+                            c
+                            v
+                        }
+                    }`,
+                    variables: {
+                        symbol: `${token.address}:${network}`,
+                        from: Math.floor(from / 1000),
+                        to: Math.floor(to / 1000),
+                        resolution
+                    }
+                })
+            }
+        };
+    },
+
+    // Bars come back as parallel arrays; t is unix seconds
+    extractCandles(responseData) {
+        const bars = responseData?.data?.getBars;
+        if (!bars || !Array.isArray(bars.t)) return [];
+        return bars.t.map((t, i) => ({
+            time: t * 1000,
+            open: bars.o[i],
+            high: bars.h[i],
+            low: bars.l[i],
+            close: bars.c[i],
+            volume: bars.v?.[i]
+        }));
+    }
+};
@@ -0,0 +1,83 @@
+// providers/coingecko.js - CoinGecko adapter (also used as the accuracy reference)
+
+module.exports = {
+    name: 'coingecko',
+    label: 'CoinGecko',
+    apiKeyEnv: 'COINGECKO_API_KEY',
+    apiKeyOptional: true, // public API works without a key, just with lower rate limits
+    capabilities: ['price', 'metadata', 'ohlcv'],
+    // CoinGecko asset platform ids
+    networks: {
+        ethereum: 'ethereum',
+        base: 'base',
+        arbitrum: 'arbitrum-one',
+        polygon: 'polygon-pos',
+        solana: 'solana'
+    },
+
+    buildPriceRequest(token, network) {
+        const headers = {
+            'Content-Type': 'application/json'
+        };
+
+        if (process.env.COINGECKO_API_KEY) {
+            headers['x-cg-demo-api-key'] = process.env.COINGECKO_API_KEY;
+        }
+
+        return {
+            url: `https://api.coingecko.com/api/v3/simple/token_price/${encodeURIComponent(network)}?${new URLSearchParams({ contract_addresses: token.address, vs_currencies: 'usd', include_last_updated_at: 'true' })}`,
+            options: { headers }
+        };
+    },
+
+    extractPrice(responseData) {
+        const contractAddr = Object.keys(responseData)[0];
+        return responseData[contractAddr]?.usd;
+    },
+
+    extractPriceTimestamp(responseData) {
+        const contractAddr = Object.keys(responseData)[0];
+        const updatedAt = responseData[contractAddr]?.last_updated_at; // unix seconds
+        return updatedAt ? updatedAt * 1000 : null;
+    },
+
+    buildMetadataRequest(token, network) {
+        const headers = {};
+        if (process.env.COINGECKO_API_KEY) {
+            headers['x-cg-demo-api-key'] = process.env.COINGECKO_API_KEY;
+        }
+
+        return {
+            url: `https://api.coingecko.com/api/v3/coins/${encodeURIComponent(network)}/contract/${encodeURIComponent(token.address)}`,
+            options: { headers }
+        };
+    },
+
+    extractMetadata(responseData) {
+        const platform = Object.values(responseData?.detail_platforms || {})
+            .find(p => p.contract_address?.toLowerCase() === responseData.contract_address?.toLowerCase());
+        return {
+            name: responseData?.name,
+            symbol: responseData?.symbol,
+            decimals: platform?.decimal_place
+        };
+    },
+
+    // market_chart/range returns close-only price points, hourly for ranges under 90 days
+    buildOhlcvRequest(token, network, { from, to }) {
+        const headers = {};
+        if (process.env.COINGECKO_API_KEY) {
+            headers['x-cg-demo-api-key'] = process.env.COINGECKO_API_KEY;
+        }
+
+        return {
+            url: `https://api.coingecko.com/api/v3/coins/${encodeURIComponent(network)}/contract/${encodeURIComponent(token.address)}/market_chart/range?${new URLSearchParams({ vs_currency: 'usd', from: Math.floor(from / 1000), to: Math.floor(to / 1000) })}`,
+            options: { headers }
+        };
+    },
+
+    extractCandles(responseData) {
+        const volumes = new Map((responseData?.total_volumes || []).map(([time, volume]) => [time, volume]));
+        return (responseData?.prices || []).map(([time, price]) => ({ time, close: price, volume: volumes.get(time) }));
+    }
+};
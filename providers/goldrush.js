@@ -0,0 +1,82 @@
+// providers/goldrush.js - GoldRush (Covalent) API adapter
+
+module.exports = {
+    name: 'goldrush',
+    label: 'GoldRush',
+    apiKeyEnv: 'GOLDRUSH_API_KEY',
+    capabilities: ['price', 'wallet', 'transfers'],
+    networks: {
+        ethereum: 'eth-mainnet',
+        base: 'base-mainnet',
+        arbitrum: 'arbitrum-mainnet',
+        polygon: 'matic-mainnet',
+        solana: 'solana-mainnet'
+    },
+
+    buildPriceRequest(token, network) {
+        // Historical prices endpoint - returns most recent price data when no date range specified
+        return {
+            url: `https://api.covalenthq.com/v1/pricing/historical_by_addresses_v2/${encodeURIComponent(network)}/USD/${encodeURIComponent(token.address)}/`,
+            options: {
+                headers: {
+                    'Authorization': `Bearer ${process.env.GOLDRUSH_API_KEY}`
+                }
+            }
+        };
+    },
+
+    extractPrice(responseData) {
+        // Response structure: { data: [{ prices: [{ price: 123 }] }] } OR { prices: [{ price: 123 }] }
+        // Try data wrapper first (from pricing endpoint)
+        if (responseData?.data?.[0]?.prices?.[0]?.price) {
+            return responseData.data[0].prices[0].price;
+        }
+        // Fallback to direct prices array
+        return responseData?.prices?.[0]?.price;
+    },
+
+    buildWalletRequest(walletAddress) {
+        // balances_v2 endpoint - returns all token balances with metadata
+        return {
+            url: `https://api.covalenthq.com/v1/eth-mainnet/address/${encodeURIComponent(walletAddress)}/balances_v2/`,
+            options: {
+                headers: {
+                    'Authorization': `Bearer ${process.env.GOLDRUSH_API_KEY}`
+                }
+            }
+        };
+    },
+
+    extractHoldings(responseData) {
+        return (responseData?.data?.items || []).map(item => ({
+            address: item.contract_address,
+            symbol: item.contract_ticker_symbol,
+            balance: item.balance,
+            decimals: item.contract_decimals,
+            usdValue: item.quote
+        }));
+    },
+
+    buildTransfersRequest(walletAddress, { limit }) {
+        return {
+            url: `https://api.covalenthq.com/v1/eth-mainnet/address/${encodeURIComponent(walletAddress)}/transactions_v3/?${new URLSearchParams({ 'page-size': limit })}`,
+            options: {
+                headers: {
+                    'Authorization': `Bearer ${process.env.GOLDRUSH_API_KEY}`
+                }
+            }
+        };
+    },
+
+    // Transaction level: the native value transfer of each transaction
+    extractTransfers(responseData) {
+        return (responseData?.data?.items || []).map(tx => ({
+            hash: tx.tx_hash,
+            from: tx.from_address,
+            to: tx.to_address,
+            token: null,
+            value: tx.value,
+            timestamp: tx.block_signed_at
+        }));
+    }
+};
@@ -0,0 +1,214 @@
+// providers/index.js - Provider adapter registry
+//
+// An adapter is a plain object:
+//   name               unique id, stored in benchmark_results.provider
+//   label              display name
+//   apiKeyEnv          env var holding the API key (optional)
+//   apiKeyOptional     true if the provider works without a key
+//   capabilities       subset of CAPABILITIES
+//   networks           chain name -> provider network id (see lib/tokens.js)
+//   capabilityChains   capability -> the only chains it works on (optional; by
+//                      default a capability covers every chain in networks)
+//   buildPriceRequest(token, network)  -> { url, options }   ('price')
+//   extractPrice(responseData, token)  -> raw price value    ('price')
+//   buildWalletRequest(walletAddress)  -> { url, options }   ('wallet')
+//   extractHoldings(responseData)      -> raw holdings list  ('wallet')
+//       each { address, symbol, balance, decimals, usdValue }; balance is the raw
+//       integer amount (string, number or 0x hex), anything unknown may be null
+//   buildMetadataRequest(token, network) / extractMetadata(responseData)     ('metadata')
+//   buildOhlcvRequest(token, network, { interval, from, to }) / extractCandles(responseData)  ('ohlcv')
+//   buildTransfersRequest(walletAddress, { limit }) / extractTransfers(responseData)        ('transfers')
+//       see lib/datasets.js for the normalized shapes
+//
+// Built-in adapters are registered in the order below. Extra adapters (e.g. an
+// in-house provider) can be loaded by listing module paths in PROVIDER_MODULES.
+//
+// Base URL overrides (e.g. to benchmark against mock/provider-server.js) swap
+// the scheme and host of every request an adapter builds, keeping the path:
+//   <NAME>_BASE_URL     one provider, e.g. ALCHEMY_BASE_URL=http://localhost:4010/alchemy
+//   PROVIDER_BASE_URL   every provider, as PROVIDER_BASE_URL/<name>
+const path = require('path');
+
+const CAPABILITIES = {
+    price: ['buildPriceRequest', 'extractPrice'],
+    wallet: ['buildWalletRequest', 'extractHoldings'],
+    metadata: ['buildMetadataRequest', 'extractMetadata'],
+    ohlcv: ['buildOhlcvRequest', 'extractCandles'],
+    transfers: ['buildTransfersRequest', 'extractTransfers']
+};
+
+const BUILT_IN = ['alchemy', 'mobula', 'codex', 'coingecko', 'goldrush'];
+
+const BUILDERS = ['buildPriceRequest', 'buildWalletRequest', 'buildMetadataRequest', 'buildOhlcvRequest', 'buildTransfersRequest'];
+
+const registry = new Map();
+
+function baseUrlFor(name) {
+    const own = process.env[`${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_BASE_URL`];
+    if (own) return own;
+    return process.env.PROVIDER_BASE_URL ? `${process.env.PROVIDER_BASE_URL.replace(/\/+$/, '')}/${name}` : null;
+}
+
+// https://api.example.com/v1/x?y=1 -> <base>/v1/x?y=1
+function rebase(url, baseUrl) {
+    const target = new URL(url);
+    return `${baseUrl.replace(/\/+$/, '')}${target.pathname}${target.search}`;
+}
+
+// Read at call time, so an override set after startup (tests) still applies
+function withBaseUrl(adapter, build) {
+    return (...args) => {
+        const request = build.apply(adapter, args);
+        const baseUrl = baseUrlFor(adapter.name);
+        return baseUrl ? { ...request, url: rebase(request.url, baseUrl) } : request;
+    };
+}
+
+function registerProvider(adapter) {
+    if (!adapter || typeof adapter.name !== 'string' || !adapter.name) {
+        throw new Error('Provider adapter must have a name');
+    }
+    if (!Array.isArray(adapter.capabilities) || adapter.capabilities.length === 0) {
+        throw new Error(`Provider "${adapter.name}" must declare at least one capability`);
+    }
+
+    adapter.capabilities.forEach(capability => {
+        const required = CAPABILITIES[capability];
+        if (!required) {
+            throw new Error(`Provider "${adapter.name}" declares unknown capability "${capability}"`);
+        }
+        required.forEach(fn => {
+            if (typeof adapter[fn] !== 'function') {
+                throw new Error(`Provider "${adapter.name}" declares "${capability}" but does not implement ${fn}()`);
+            }
+        });
+    });
+
+    Object.keys(adapter.capabilityChains || {}).forEach(capability => {
+        if (!adapter.capabilities.includes(capability)) {
+            throw new Error(`Provider "${adapter.name}" limits the chains of "${capability}" but does not declare it`);
+        }
+    });
+
+    const entry = { label: adapter.name, ...adapter };
+    BUILDERS
+        .filter(fn => typeof adapter[fn] === 'function')
+        .forEach(fn => { entry[fn] = withBaseUrl(adapter, adapter[fn]); });
+
+    registry.set(adapter.name, entry);
+    return entry;
+}
+
+function getProvider(name) {
+    return registry.get(name) || null;
+}
+
+function listProviders(capability) {
+    const adapters = Array.from(registry.values());
+    return capability ? adapters.filter(a => a.capabilities.includes(capability)) : adapters;
+}
+
+function getProviderNames(capability) {
+    return listProviders(capability).map(a => a.name);
+}
+
+// Numeric USD price from a provider response, or null
+function extractPrice(provider, responseData, token) {
+    try {
+        const adapter = getProvider(provider);
+        const price = adapter ? adapter.extractPrice(responseData, token) : null;
+
+        if (price === null || price === undefined) {
+            return null;
+        }
+
+        const numPrice = parseFloat(price);
+        return isNaN(numPrice) ? null : numPrice;
+    } catch (e) {
+        return null;
+    }
+}
+
+// When the quoted price was last updated, as epoch ms, or null if the adapter
+// (optional extractPriceTimestamp hook) or the response doesn't say
+function extractPriceTimestamp(provider, responseData, token) {
+    try {
+        const adapter = getProvider(provider);
+        if (!adapter || !adapter.extractPriceTimestamp) {
+            return null;
+        }
+
+        const timestamp = adapter.extractPriceTimestamp(responseData, token);
+        if (timestamp === null || timestamp === undefined) {
+            return null;
+        }
+
+        const ms = new Date(timestamp).getTime();
+        return isNaN(ms) ? null : ms;
+    } catch (e) {
+        return null;
+    }
+}
+
+function toRawBalance(value) {
+    if (value === null || value === undefined || value === '') return null;
+    try {
+        return BigInt(value).toString();
+    } catch (e) {
+        return null; // not an integer amount
+    }
+}
+
+// Common holdings model: [{ address (lowercase), symbol, balance (raw integer
+// string), decimals, usdValue }]. Zero balances are dropped; null on bad responses.
+function extractHoldings(provider, responseData) {
+    try {
+        const adapter = getProvider(provider);
+        const holdings = adapter ? adapter.extractHoldings(responseData) : null;
+        if (!Array.isArray(holdings)) {
+            return null;
+        }
+
+        return holdings
+            .filter(h => h && typeof h.address === 'string')
+            .map(h => {
+                const decimals = h.decimals === null || h.decimals === undefined ? null : Number(h.decimals);
+                const usdValue = h.usdValue === null || h.usdValue === undefined ? null : parseFloat(h.usdValue);
+                return {
+                    address: h.address.toLowerCase(),
+                    symbol: h.symbol || null,
+                    balance: toRawBalance(h.balance),
+                    decimals: Number.isInteger(decimals) ? decimals : null,
+                    usdValue: isNaN(usdValue) ? null : usdValue
+                };
+            })
+            .filter(h => h.balance !== '0');
+    } catch (e) {
+        return null;
+    }
+}
+
+function isConfigured(adapter) {
+    return !adapter.apiKeyEnv || adapter.apiKeyOptional || Boolean(process.env[adapter.apiKeyEnv]);
+}
+
+BUILT_IN.forEach(name => registerProvider(require(`./${name}`)));
+
+(process.env.PROVIDER_MODULES || '')
+    .split(',')
+    .map(p => p.trim())
+    .filter(Boolean)
+    .forEach(modulePath => registerProvider(require(path.resolve(modulePath))));
+
+module.exports = {
+    CAPABILITIES,
+    baseUrlFor,
+    registerProvider,
+    getProvider,
+    listProviders,
+    getProviderNames,
+    extractPrice,
+    extractPriceTimestamp,
+    extractHoldings,
+    isConfigured
+};
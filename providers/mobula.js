@@ -0,0 +1,112 @@
+// providers/mobula.js - Mobula REST API adapter
+
+module.exports = {
+    name: 'mobula',
+    label: 'Mobula',
+    apiKeyEnv: 'MOBULA_API_KEY',
+    capabilities: ['price', 'wallet', 'metadata', 'ohlcv', 'transfers'],
+    networks: {
+        ethereum: 'Ethereum',
+        base: 'Base',
+        arbitrum: 'Arbitrum',
+        polygon: 'Polygon',
+        solana: 'Solana'
+    },
+
+    buildPriceRequest(token, network) {
+        return {
+            url: `https://api.mobula.io/api/2/token/price?${new URLSearchParams({ address: token.address, blockchain: network })}`,
+            options: {
+                headers: {
+                    'Authorization': process.env.MOBULA_API_KEY,
+                    'Content-Type': 'application/json'
+                }
+            }
+        };
+    },
+
+    extractPrice(responseData) {
+        return responseData?.data?.priceUSD;
+    },
+
+    buildWalletRequest(walletAddress) {
+        return {
+            url: `https://api.mobula.io/api/1/wallet/portfolio?${new URLSearchParams({ wallet: walletAddress, blockchains: 'ethereum' })}`,
+            options: {
+                headers: {
+                    'Authorization': process.env.MOBULA_API_KEY,
+                    'Content-Type': 'application/json'
+                }
+            }
+        };
+    },
+
+    // One holding per contract; assets bridged to several chains list each contract
+    extractHoldings(responseData) {
+        return (responseData?.data?.assets || []).flatMap(asset =>
+            (asset.contracts_balances || []).map(contract => ({
+                address: contract.address,
+                symbol: asset.asset?.symbol,
+                balance: contract.balanceRaw,
+                decimals: contract.decimals,
+                usdValue: asset.price ? contract.balance * asset.price : null
+            }))
+        );
+    },
+
+    buildMetadataRequest(token, network) {
+        return {
+            url: `https://api.mobula.io/api/1/metadata?${new URLSearchParams({ asset: token.address, blockchain: network })}`,
+            options: {
+                headers: {
+                    'Authorization': process.env.MOBULA_API_KEY,
+                    'Content-Type': 'application/json'
+                }
+            }
+        };
+    },
+
+    extractMetadata(responseData) {
+        return responseData?.data;
+    },
+
+    buildOhlcvRequest(token, network, { from, to }) {
+        return {
+            url: `https://api.mobula.io/api/1/market/history?${new URLSearchParams({ asset: token.address, blockchain: network, from, to })}`,
+            options: {
+                headers: {
+                    'Authorization': process.env.MOBULA_API_KEY,
+                    'Content-Type': 'application/json'
+                }
+            }
+        };
+    },
+
+    // price_history is [[ms, price], ...]; close-only points
+    extractCandles(responseData) {
+        return (responseData?.data?.price_history || []).map(([time, price]) => ({ time, close: price }));
+    },
+
+    buildTransfersRequest(walletAddress, { limit }) {
+        return {
+            url: `https://api.mobula.io/api/1/wallet/transactions?${new URLSearchParams({ wallet: walletAddress, blockchains: 'ethereum', limit, order: 'desc' })}`,
+            options: {
+                headers: {
+                    'Authorization': process.env.MOBULA_API_KEY,
+                    'Content-Type': 'application/json'
+                }
+            }
+        };
+    },
+
+    extractTransfers(responseData) {
+        return (responseData?.data?.transactions || []).map(tx => ({
+            hash: tx.hash,
+            from: tx.from,
+            to: tx.to,
+            token: tx.asset?.contract,
+            value: null, // reported decimal-shifted only
+            timestamp: tx.timestamp
+        }));
+    }
+};
@@ -1,684 +1,1336 @@
-// server.js - Enhanced with CoinGecko as accuracy reference + GoldRush
+// server.js - Provider benchmark server with consensus reference pricing
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
-const { createClient } = require('@supabase/supabase-js');
 const path = require('path');
+const { baseUrlFor, getProvider, listProviders, getProviderNames, extractPrice, extractPriceTimestamp, extractHoldings, isConfigured } = require('./providers');
+const { listTokens, getToken, addToken, updateToken, removeToken, resolveNetwork, toleranceFor } = require('./lib/tokens');
+const { parseRunOptions, parseLoadOptions } = require('./lib/run-options');
+const { RUN_ID_PATTERN, parseReadOptions } = require('./lib/read-options');
+const { parseWeights, buildScorecard } = require('./lib/scorecard');
+const { DEFAULT_MONTHLY_REQUESTS, listCostModels, callCost, projectMonthlyCost, parseMonthlyRequests } = require('./lib/costs');
+const { runLoadTest } = require('./lib/load-test');
+const { DEFAULT_REFERENCE, fetchReferenceQuotes, buildConsensus } = require('./lib/reference');
+const { referenceSource, fetchWalletReference, compareHoldings } = require('./lib/wallet-reference');
+const { DATASETS, extractDataset } = require('./lib/datasets');
+const { createJob, cancelJob, getJob, listJobs, onJobStarted, onJobFinished } = require('./lib/jobs');
+const { startRun, finishRun, parseRunListQuery, parseCompareQuery, parseRunUpdate, compareRuns } = require('./lib/runs');
+const { createStorage } = require('./lib/storage');
+const { callProvider, pause } = require('./lib/provider-call');
+const { createCircuitBreaker } = require('./lib/circuit-breaker');
+const { fixtureMode, fixturesDir } = require('./lib/fixtures');
+const { applyReference } = require('./lib/grading');
+const { percentile, mean, bootstrapCI } = require('./lib/stats');
+const { startScheduler, listSchedules, getSchedule, createSchedule, setScheduleStatus, deleteSchedule } = require('./lib/scheduler');
+const { startAlerts, evaluateAlerts, listAlertRules, getAlertRule, createAlertRule, setAlertRuleStatus, deleteAlertRule, testAlertRule, listAlertEvents } = require('./lib/alerts');
+const { authEnabled, apiAuth, requireRole } = require('./lib/auth');
+const { hasBudget, spendBudget, exhaustedProviders, budgetStatus } = require('./lib/budgets');
+const { auditLog, parseAuditQuery, readAuditLog } = require('./lib/audit');
+const { validationError, parseAll, addressProblem } = require('./lib/validation');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-app.use(cors());
+// CORS_ORIGINS limits which sites may call the API from a browser (default: any)
+const corsOrigins = (process.env.CORS_ORIGINS || '').split(',').map(o => o.trim()).filter(Boolean);
+app.use(cors(corsOrigins.length > 0 ? { origin: corsOrigins } : undefined));
 app.use(express.json());
 app.use(express.static('public'));
 
-// Supabase
-const supabase = createClient(
-    process.env.SUPABASE_URL,
-    process.env.SUPABASE_KEY
-);
-
-// Token configurations for PRICE testing
-const TOKENS = {
-    USDT: {
-        symbol: 'USDT',
-        address: '0xdac17f958d2ee523a2206206994597c13d831ec7',
-        blockchain: 'Ethereum',
-        coingeckoId: 'ethereum', // asset platform for CoinGecko
-        contractAddress: '0xdac17f958d2ee523a2206206994597c13d831ec7',
-        goldrushChain: 'eth-mainnet'
-    },
-    ETH: {
-        symbol: 'ETH',
-        address: '0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2',
-        blockchain: 'Ethereum',
-        coingeckoId: 'ethereum',
-        contractAddress: '0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2',
-        goldrushChain: 'eth-mainnet'
-    }
-};
+// API keys, roles and rate limits (lib/auth.js); changes are audit logged
+app.use('/api', auditLog);
+app.use('/api', apiAuth);
+if (!authEnabled()) {
+    console.log('⚠️  No API keys configured (config/api-keys.json): the API is open to anyone who can reach it');
+}
+
+// Result storage (Supabase or local JSONL, see lib/storage)
+const storage = createStorage();
+console.log(`💾 Storage backend: ${storage.name}`);
 
 console.log('🔧 API Configuration:');
-console.log('Alchemy:', process.env.ALCHEMY_API_KEY ? '✓ Configured' : '✗ Missing');
-console.log('Mobula:', process.env.MOBULA_API_KEY ? '✓ Configured' : '✗ Missing');
-console.log('Codex:', process.env.CODEX_API_KEY ? '✓ Configured' : '✗ Missing');
-console.log('CoinGecko:', process.env.COINGECKO_API_KEY ? '✓ Configured' : '✗ Missing (will use public API)');
-console.log('GoldRush:', process.env.GOLDRUSH_API_KEY ? '✓ Configured' : '✗ Missing');
+listProviders().forEach(adapter => {
+    if (adapter.apiKeyEnv && process.env[adapter.apiKeyEnv]) {
+        console.log(`${adapter.label}:`, '✓ Configured');
+    } else {
+        console.log(`${adapter.label}:`, isConfigured(adapter) ? '✗ Missing (will use public API)' : '✗ Missing');
+    }
+    if (baseUrlFor(adapter.name)) {
+        console.log(`   ↳ requests go to ${baseUrlFor(adapter.name)}`);
+    }
+});
+if (fixtureMode()) {
+    console.log(`📼 HTTP fixtures: ${fixtureMode()} (${fixturesDir()})`);
+}
 
 // ====================================
-// COINGECKO REFERENCE PRICE FETCHER
+// TEST 1: TOKEN PRICE FETCHING (validated against a consensus reference)
 // ====================================
-async function getCoinGeckoReferencePrice(tokenSymbol) {
-    const token = TOKENS[tokenSymbol];
-    
-    try {
-        const headers = {
-            'Content-Type': 'application/json'
-        };
-        
-        // Add API key if available (for higher rate limits)
-        if (process.env.COINGECKO_API_KEY) {
-            headers['x-cg-demo-api-key'] = process.env.COINGECKO_API_KEY;
+
+async function testTokenPrice(provider, tokenId, reference = null, { timeoutMs, connectionMode, retry, signal } = {}) {
+    const token = getToken(tokenId);
+    const startTime = performance.now();
+
+    const call = await providerCall(() => {
+        const adapter = getProvider(provider);
+        if (!adapter || !adapter.capabilities.includes('price')) {
+            throw new Error(`Unknown price provider: ${provider}`);
         }
-        
-        const url = `https://api.coingecko.com/api/v3/simple/token_price/${token.coingeckoId}?contract_addresses=${token.contractAddress}&vs_currencies=usd`;
-        
-        const response = await fetch(url, { headers });
-        
-        if (!response.ok) {
-            console.error(`CoinGecko API error: ${response.status}`);
-            return null;
+
+        const network = resolveNetwork(adapter, token);
+        if (network === null) {
+            throw new Error(`${adapter.label} does not support chain ${token.chain}`);
         }
-        
-        const data = await response.json();
-        const price = data[token.contractAddress.toLowerCase()]?.usd;
-        
-        return price || null;
-        
-    } catch (error) {
-        console.error('Error fetching CoinGecko reference price:', error.message);
-        return null;
-    }
+
+        return adapter.buildPriceRequest(token, network);
+    }, { provider, timeoutMs, connectionMode, retry, signal });
+
+    const endTime = performance.now();
+    const latency = endTime - startTime;
+    const responseData = call.data;
+    
+    // Extract price value
+    const priceValue = call.success ? extractPrice(provider, responseData, token) : null;
+    
+    // Calculate response size
+    const responseSize = responseData ? JSON.stringify(responseData).length : 0;
+    
+    // Age of the quote when it reached us, for providers that report their update time.
+    // Clamped at 0 so a provider clock running ahead of ours doesn't read as negative staleness.
+    const priceTimestamp = priceValue !== null ? extractPriceTimestamp(provider, responseData, token) : null;
+    const stalenessMs = priceTimestamp !== null ? Math.max(0, call.receivedAt - priceTimestamp) : null;
+
+    return applyReference({
+        latency,
+        success: call.success,
+        errorMessage: call.errorMessage,
+        responseData,
+        priceValue,
+        priceTimestamp,
+        stalenessMs,
+        toleranceBps: toleranceFor(token),
+        responseSize,
+        errorType: call.errorType,
+        statusCode: call.statusCode,
+        retries: call.retries,
+        timings: call.timings,
+        connectionReused: call.connectionReused
+    }, reference);
 }
 
 // ====================================
-// HELPER: Extract price from different API responses
+// TEST 2: WALLET BALANCE FETCHING (holdings graded against a wallet reference)
 // ====================================
-function extractPrice(provider, responseData) {
-    try {
-        let price = null;
-        
-        if (provider === 'alchemy') {
-            price = responseData?.data?.[0]?.prices?.[0]?.value;
-        } else if (provider === 'mobula') {
-            price = responseData?.data?.priceUSD;
-        } else if (provider === 'codex') {
-            price = responseData?.data?.getTokenPrices?.[0]?.priceUsd;
-        } else if (provider === 'coingecko') {
-            // Extract from CoinGecko response
-            const contractAddr = Object.keys(responseData)[0];
-            price = responseData[contractAddr]?.usd;
-        } else if (provider === 'goldrush') {
-            // GoldRush/Covalent returns prices in data wrapper OR directly
-            // Response structure: { data: [{ prices: [{ price: 123 }] }] } OR { prices: [{ price: 123 }] }
-            // Try data wrapper first (from pricing endpoint)
-            if (responseData?.data?.[0]?.prices?.[0]?.price) {
-                price = responseData.data[0].prices[0].price;
-            } 
-            // Fallback to direct prices array
-            else if (responseData?.prices?.[0]?.price) {
-                price = responseData.prices[0].price;
-            }
-        }
-        
-        if (price === null || price === undefined) {
-            return null;
+
+async function testWalletBalance(provider, walletAddress, { timeoutMs, connectionMode, retry, signal } = {}) {
+    const startTime = performance.now();
+
+    const call = await providerCall(() => {
+        const adapter = getProvider(provider);
+        if (!adapter || !adapter.capabilities.includes('wallet')) {
+            throw new Error(`Unknown wallet provider: ${provider}`);
         }
-        
-        const numPrice = parseFloat(price);
-        return isNaN(numPrice) ? null : numPrice;
-    } catch (e) {
-        return null;
-    }
+
+        return adapter.buildWalletRequest(walletAddress);
+    }, { provider, timeoutMs, connectionMode, retry, signal });
+
+    const endTime = performance.now();
+    const latency = endTime - startTime;
+    
+    const responseSize = call.data ? JSON.stringify(call.data).length : 0;
+    
+    // Normalized holdings, graded later once every provider's tokens are known
+    const holdings = call.success ? extractHoldings(provider, call.data) : null;
+
+    return {
+        latency,
+        success: call.success,
+        errorMessage: call.errorMessage,
+        holdings,
+        responseSize,
+        errorType: call.errorType,
+        statusCode: call.statusCode,
+        retries: call.retries,
+        timings: call.timings,
+        connectionReused: call.connectionReused
+    };
 }
 
 // ====================================
-// HELPER: Classify error types
+// TEST 3: TOKEN METADATA, OHLCV HISTORY, TRANSFER HISTORY
 // ====================================
-function classifyError(errorMessage, statusCode) {
-    if (!errorMessage) return 'success';
-    
-    const msg = errorMessage.toLowerCase();
-    
-    if (msg.includes('429') || msg.includes('rate limit')) return 'rate_limit';
-    if (msg.includes('401') || msg.includes('403') || msg.includes('unauthorized')) return 'auth_error';
-    if (msg.includes('404') || msg.includes('not found')) return 'not_found';
-    if (msg.includes('500') || msg.includes('502') || msg.includes('503')) return 'server_error';
-    if (msg.includes('timeout') || msg.includes('econnrefused')) return 'network_error';
-    if (msg.includes('parse') || msg.includes('json')) return 'parse_error';
+// `kind` is a dataset from lib/datasets.js; `subject` is a token for
+// metadata/ohlcv and a wallet address for transfers.
+
+async function testDataset(provider, kind, subject, params, { timeoutMs, connectionMode, retry, signal } = {}) {
+    const dataset = DATASETS[kind];
+    const startTime = performance.now();
+
+    const call = await providerCall(() => {
+        const adapter = getProvider(provider);
+        if (!adapter || !adapter.capabilities.includes(kind)) {
+            throw new Error(`Unknown ${kind} provider: ${provider}`);
+        }
+
+        let network = null;
+        if (dataset.subject === 'token') {
+            network = resolveNetwork(adapter, subject, kind);
+            if (network === null) {
+                throw new Error(`${adapter.label} does not support ${kind} on chain ${subject.chain}`);
+            }
+        }
+
+        return dataset.buildRequest(adapter, subject, network, params);
+    }, { provider, timeoutMs, connectionMode, retry, signal });
+
+    const endTime = performance.now();
+    const latency = endTime - startTime;
     
-    return 'unknown_error';
+    const responseSize = call.data ? JSON.stringify(call.data).length : 0;
+
+    return {
+        latency,
+        success: call.success,
+        errorMessage: call.errorMessage,
+        // Normalized output, compared across providers once the iteration is done
+        data: call.success ? extractDataset(kind, provider, call.data, params) : null,
+        responseSize,
+        errorType: call.errorType,
+        statusCode: call.statusCode,
+        retries: call.retries,
+        timings: call.timings,
+        connectionReused: call.connectionReused
+    };
 }
 
 // ====================================
-// HELPER: Validate price accuracy against CoinGecko
+// HELPER: Send one provider request
 // ====================================
-function validatePriceAccuracy(priceValue, referencePrice, tolerance = 0.05) {
-    if (!priceValue || !referencePrice || priceValue <= 0 || referencePrice <= 0) {
-        return false;
+// `build` returns the adapter's { url, options }. It throws for calls that
+// can't be made (unknown provider, unsupported chain), which fail as
+// unknown_error without sending anything. Every attempt sent counts toward
+// the provider's daily budget; the first is counted before it goes out so
+// concurrent callers checking hasBudget() see requests still in flight.
+async function providerCall(build, { provider, timeoutMs, connectionMode, retry, signal }) {
+    let request;
+    try {
+        request = build();
+    } catch (error) {
+        return {
+            success: false,
+            data: null,
+            statusCode: null,
+            errorType: 'unknown_error',
+            errorMessage: error.message,
+            timings: null,
+            connectionReused: null,
+            receivedAt: null,
+            retries: 0
+        };
     }
-    
-    const deviation = Math.abs(priceValue - referencePrice) / referencePrice;
-    return deviation <= tolerance; // 5% tolerance by default
+    spendBudget(provider);
+    const call = await callProvider(request.url, request.options, { timeoutMs, connectionMode, retry, signal });
+    spendBudget(provider, call.retries);
+    return call;
 }
 
 // ====================================
-// HELPER: Calculate price deviation percentage
+// HELPER: Request columns (phase timings, status, retries) for a result row
 // ====================================
-function calculateDeviation(priceValue, referencePrice) {
-    if (!priceValue || !referencePrice || referencePrice === 0) {
-        return null;
+function requestColumns(result, connectionMode) {
+    const t = result.timings || {};
+    return {
+        dns_ms: t.dns ?? null,
+        connect_ms: t.connect ?? null,
+        tls_ms: t.tls ?? null,
+        ttfb_ms: t.ttfb ?? null,
+        download_ms: t.download ?? null,
+        parse_ms: t.parse ?? null,
+        connection_reused: result.connectionReused,
+        connection_mode: connectionMode,
+        status_code: result.statusCode ?? null,
+        retries: result.retries ?? 0
+    };
+}
+
+// ====================================
+// HELPER: Persist one result row
+// ====================================
+// A storage hiccup shouldn't abort the rest of the run
+async function saveResult(row) {
+    try {
+        await storage.insertResult(row);
+    } catch (error) {
+        console.error('Error storing result:', error.message);
     }
-    
-    return ((priceValue - referencePrice) / referencePrice) * 100;
 }
 
 // ====================================
-// TEST 1: TOKEN PRICE FETCHING (Enhanced with CoinGecko + GoldRush)
+// HELPER: Circuit breaker of one run
 // ====================================
+// Skipped calls are logged and reported as progress.skipped; they store no row.
+// Providers out of daily budget are skipped the same way.
+function runBreaker({ breakerThreshold, breakerCooldownMs }, progress) {
+    let overBudget = 0;
+
+    const breaker = createCircuitBreaker({
+        threshold: breakerThreshold,
+        cooldownMs: breakerCooldownMs,
+        onChange: (provider, state, failures) => {
+            if (state === 'open') {
+                console.log(`    🔌 ${provider} circuit open after ${failures} consecutive failures, skipping it for ${breakerCooldownMs / 1000}s`);
+            } else if (state === 'half_open') {
+                console.log(`    🔌 ${provider} circuit half-open, sending a trial request`);
+            } else {
+                console.log(`    🔌 ${provider} circuit closed`);
+            }
+        }
+    });
 
-async function testTokenPrice(provider, tokenSymbol, coinGeckoReference = null) {
-    const token = TOKENS[tokenSymbol];
-    const startTime = performance.now();
-    let success = false;
-    let errorMessage = null;
-    let responseData = null;
-    let statusCode = null;
-
-    try {
-        let response;
-
-        if (provider === 'alchemy') {
-            response = await fetch(
-                `https://api.g.alchemy.com/prices/v1/tokens/by-symbol?symbols=${tokenSymbol}`,
-                {
-                    headers: {
-                        'Authorization': `Bearer ${process.env.ALCHEMY_API_KEY}`,
-                        'Content-Type': 'application/json'
-                    }
-                }
-            );
+    return {
+        callable(provider) {
+            if (!hasBudget(provider)) {
+                overBudget++;
+                console.log(`    ${provider.padEnd(10)} ⏭ skipped (daily budget exhausted)`);
+                progress({ skipped: breaker.skipped() + overBudget });
+                return false;
+            }
+            if (breaker.allow(provider)) return true;
+
+            console.log(`    ${provider.padEnd(10)} ⏭ skipped (circuit open)`);
+            progress({ skipped: breaker.skipped() + overBudget });
+            return false;
+        },
+        record: breaker.record,
+        skipped: () => breaker.skipped() + overBudget,
+        report: breaker.report
+    };
+}
+
+// ====================================
+// BENCHMARK RUNNERS
+// ====================================
+// Runners take a job context ({ runId, signal, progress }) from lib/jobs.js,
+// tag every row with the run, and stop cleanly between requests once the job
+// is cancelled.
+
+async function runPriceBenchmark(options, { runId, signal, progress }) {
+    const { providers, tokens, iterations, delayMs, timeoutMs, connectionMode, retries, retryDelayMs, reference, accuracyMode } = options;
+    const retry = { retries, retryDelayMs };
+    const breaker = runBreaker(options, progress);
+    
+    console.log(`\n🔄 Starting PRICE benchmark with ${reference.method} reference of ${reference.sources.join(', ')}...`);
+    console.log(`Testing: Token price fetching for ${tokens.join(', ')}`);
+    console.log('Providers:', providers.map(p => getProvider(p).label).join(', '));
+    console.log(`Iterations: ${iterations} per token per provider (delay ${delayMs}ms, timeout ${timeoutMs}ms, ${retries} retries, ${connectionMode} connections, ${accuracyMode} accuracy)\n`);
+    
+    // Only providers that know each token's chain
+    const tokenProviders = {};
+    tokens.forEach(token => {
+        tokenProviders[token] = providers.filter(provider => resolveNetwork(getProvider(provider), getToken(token)) !== null);
+    });
+    
+    const testStartTime = Date.now();
+    let totalRequests = 0;
+    let errors = 0;
+    
+    progress({
+        requestsTotal: tokens.reduce((sum, token) => sum + tokenProviders[token].length * iterations, 0)
+    });
+    
+    // Reference requests are stored too, so their cost shows up in spend
+    const recordReference = row => saveResult({ ...row, run_id: runId });
+    
+    const logQuotes = quotes => {
+        if (quotes.length > 0) {
+            console.log(`  ✓ Reference quotes: ${quotes.map(q => `${q.source} $${q.price.toFixed(4)}`).join(', ')}`);
+        } else {
+            console.log(`  ⚠ Reference unavailable (no source answered)`);
+        }
+    };
+    
+    const record = async (provider, token, result) => {
+        totalRequests++;
+        if (!result.success) errors++;
+        
+        const priceStr = result.priceValue !== null ? `$${result.priceValue.toFixed(4)}` : 'N/A';
+        const accurateStr = result.isAccurate === true ? `✓ (±${result.toleranceBps}bps)` : result.isAccurate === false ? `✗ (±${result.toleranceBps}bps)` : '-';
+        const deviationStr = result.deviation !== null ? `${result.deviation > 0 ? '+' : ''}${result.deviation.toFixed(2)}%` : 'N/A';
+        const stalenessStr = result.stalenessMs !== null ? ` - Age: ${(result.stalenessMs / 1000).toFixed(1)}s` : '';
+        
+        console.log(`    ${provider.padEnd(10)} ${result.latency.toFixed(0).padStart(4)}ms - ${result.success ? '✓' : '✗'} - ${priceStr} - Accurate: ${accurateStr} - Deviation: ${deviationStr}${stalenessStr}`);
+        
+        // Store with ALL fields including reference price and deviation
+        await saveResult({
+            provider,
+            run_id: runId,
+            test_type: `price_${token}`,
+            latency: result.latency,
+            success: result.success,
+            error_message: result.errorMessage,
+            price_value: result.priceValue,
+            response_size: result.responseSize,
+            error_type: result.errorType,
+            is_accurate: result.isAccurate,
+            reference_price: result.referencePrice,
+            reference_sources: result.referenceSources ? result.referenceSources.join(',') : null,
+            reference_method: result.referenceMethod,
+            deviation: result.deviation,
+            // Tolerance the row was graded with, so past accuracy rates survive tolerance changes
+            tolerance_bps: result.isAccurate !== null ? result.toleranceBps : null,
+            price_timestamp: result.priceTimestamp !== null ? new Date(result.priceTimestamp).toISOString() : null,
+            staleness_ms: result.stalenessMs,
+            accuracy_mode: accuracyMode,
+            cost_usd: callCost(provider, 'price', result.success),
+            ...requestColumns(result, connectionMode)
+        });
+        
+        breaker.record(provider, result.success);
+        progress({ requestsDone: totalRequests, errors });
+    };
+    
+    for (const token of tokens) {
+        if (signal.aborted) break;
+        console.log(`\n📊 Testing ${token}...`);
+        
+        for (let i = 0; i < iterations && !signal.aborted; i++) {
+            console.log(`  Iteration ${i+1}/${iterations}`);
+            progress({ token, iteration: i + 1, iterations });
             
-        } else if (provider === 'mobula') {
-            response = await fetch(
-                `https://api.mobula.io/api/2/token/price?address=${token.address}&blockchain=${token.blockchain}`,
-                {
-                    headers: {
-                        'Authorization': process.env.MOBULA_API_KEY,
-                        'Content-Type': 'application/json'
-                    }
+            if (accuracyMode === 'synchronized') {
+                // Reference and every provider in flight at once, so all of them
+                // quote the same moment and provider order doesn't skew deviation
+                const active = tokenProviders[token].filter(provider => breaker.callable(provider));
+                const [quotes, ...results] = await Promise.all([
+                    fetchReferenceQuotes(token, reference, { timeoutMs, signal, record: recordReference }),
+                    ...active.map(provider => testTokenPrice(provider, token, null, { timeoutMs, connectionMode, retry, signal }))
+                ]);
+                // Calls cut off by a cancel say nothing about the providers
+                if (signal.aborted) break;
+                logQuotes(quotes);
+                
+                for (const [index, provider] of active.entries()) {
+                    const result = applyReference(results[index], buildConsensus(quotes, reference, provider));
+                    await record(provider, token, result);
                 }
-            );
+                
+                await pause(delayMs, signal);
+                continue;
+            }
             
-        } else if (provider === 'codex') {
-            response = await fetch('https://graph.codex.io/graphql', {
-                method: 'POST',
-                headers: {
-                    'Authorization': process.env.CODEX_API_KEY,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    query: `{
-                        getTokenPrices(inputs: [{address: "${token.address}", networkId: 1}]) {
-                            priceUsd
-                            address
-                        }
-                    }`
-                })
-            });
-        } else if (provider === 'coingecko') {
-            const headers = {
-                'Content-Type': 'application/json'
-            };
+            // First, quote every reference source
+            const quotes = await fetchReferenceQuotes(token, reference, { timeoutMs, signal, record: recordReference });
+            if (signal.aborted) break;
+            logQuotes(quotes);
             
-            if (process.env.COINGECKO_API_KEY) {
-                headers['x-cg-demo-api-key'] = process.env.COINGECKO_API_KEY;
+            // Test each provider
+            for (const provider of tokenProviders[token]) {
+                if (signal.aborted) break;
+                if (!breaker.callable(provider)) continue;
+                progress({ provider });
+                
+                // Consensus without the provider's own quote when excludeSelf is on
+                const consensus = buildConsensus(quotes, reference, provider);
+                const result = await testTokenPrice(provider, token, consensus, { timeoutMs, connectionMode, retry, signal });
+                if (signal.aborted) break;
+                await record(provider, token, result);
+
+                await pause(delayMs, signal);
             }
+        }
+        
+        console.log(`✓ ${token} complete\n`);
+    }
+    
+    const testEndTime = Date.now();
+    const totalDuration = (testEndTime - testStartTime) / 1000;
+    const throughput = totalRequests / totalDuration;
+    
+    console.log(signal.aborted ? `⏹ Price benchmark cancelled` : `✅ Price benchmark complete!`);
+    console.log(`Total requests: ${totalRequests}`);
+    console.log(`Duration: ${totalDuration.toFixed(2)}s`);
+    console.log(`Throughput: ${throughput.toFixed(2)} req/s\n`);
+    
+    return {
+        totalRequests,
+        errors,
+        skipped: breaker.skipped(),
+        circuits: breaker.report(),
+        duration: totalDuration,
+        throughput
+    };
+}
+
+async function runWalletBenchmark(walletAddress, options, { runId, signal, progress }) {
+    const { providers, iterations, delayMs, timeoutMs, connectionMode, retries, retryDelayMs } = options;
+    const source = referenceSource(walletAddress);
+    const retry = { retries, retryDelayMs };
+    const breaker = runBreaker(options, progress);
+
+    console.log('\n🔄 Starting WALLET BALANCE benchmark...');
+    console.log('Testing: Wallet token holdings');
+    console.log('Wallet:', walletAddress);
+    console.log('Providers:', providers.map(p => getProvider(p).label).join(', '));
+    console.log(`Reference: ${source || 'none (set WALLET_RPC_URL or add a fixture to grade holdings)'}`);
+    console.log(`Iterations: ${iterations} per provider (delay ${delayMs}ms, timeout ${timeoutMs}ms, ${retries} retries, ${connectionMode} connections)\n`);
+    
+    const testStartTime = Date.now();
+    let totalRequests = 0;
+    let errors = 0;
+    
+    progress({ requestsTotal: providers.length * iterations, iterations });
+    
+    // Every provider is queried before grading, so the RPC reference can check
+    // tokens that only some providers reported
+    for (let i = 0; i < iterations && !signal.aborted; i++) {
+        console.log(`  Iteration ${i+1}/${iterations}`);
+        progress({ iteration: i + 1 });
+        
+        const results = [];
+        for (const provider of providers) {
+            if (signal.aborted) break;
+            if (!breaker.callable(provider)) continue;
+            progress({ provider });
             
-            response = await fetch(
-                `https://api.coingecko.com/api/v3/simple/token_price/${token.coingeckoId}?contract_addresses=${token.contractAddress}&vs_currencies=usd`,
-                { headers }
-            );
-        } else if (provider === 'goldrush') {
-            // GoldRush/Covalent API - historical prices endpoint
-            // Returns most recent price data when no date range specified
-            response = await fetch(
-                `https://api.covalenthq.com/v1/pricing/historical_by_addresses_v2/${token.goldrushChain}/USD/${token.address}/`,
-                {
-                    headers: {
-                        'Authorization': `Bearer ${process.env.GOLDRUSH_API_KEY}`
-                    }
-                }
-            );
+            const result = await testWalletBalance(provider, walletAddress, { timeoutMs, connectionMode, retry, signal });
+            if (signal.aborted) break;
+            results.push({ provider, result });
+            await pause(delayMs, signal);
+        }
+        
+        const candidates = Array.from(new Set(results.flatMap(({ result }) => (result.holdings || []).map(h => h.address))));
+        let reference = null;
+        try {
+            reference = await fetchWalletReference(walletAddress, candidates, {
+                timeoutMs,
+                signal,
+                record: row => saveResult({ ...row, run_id: runId })
+            });
+        } catch (error) {
+            if (!signal.aborted) console.error('Error fetching wallet reference:', error.message);
         }
+        if (signal.aborted) break;
+        
+        for (const { provider, result } of results) {
+            totalRequests++;
+            if (!result.success) errors++;
+            
+            const check = reference && result.holdings ? compareHoldings(result.holdings, reference) : null;
+            const checkStr = check
+                ? ` - ${check.holdingsCount} tokens, ${check.missingTokens} missing, ${check.spamTokens} spam, ${check.balanceMismatches} mismatched`
+                : '';
+            
+            console.log(`    ${provider.padEnd(10)} ${result.latency.toFixed(0).padStart(4)}ms - ${result.success ? '✓' : '✗ ' + result.errorMessage}${checkStr}`);
+            
+            await saveResult({
+                provider,
+                run_id: runId,
+                test_type: 'wallet_balance',
+                latency: result.latency,
+                success: result.success,
+                error_message: result.errorMessage,
+                response_size: result.responseSize,
+                error_type: result.errorType,
+                // Correct means every reference token is present with the right balance
+                is_accurate: check ? check.missingTokens === 0 && check.balanceMismatches === 0 : null,
+                holdings_count: check ? check.holdingsCount : null,
+                missing_tokens: check ? check.missingTokens : null,
+                spam_tokens: check ? check.spamTokens : null,
+                balance_mismatches: check ? check.balanceMismatches : null,
+                usd_deviation: check ? check.usdDeviation : null,
+                wallet_reference: check ? reference.source : null,
+                cost_usd: callCost(provider, 'wallet', result.success),
+                ...requestColumns(result, connectionMode)
+            });
+            
+            breaker.record(provider, result.success);
+            progress({ requestsDone: totalRequests, errors });
+        }
+    }
+    
+    const testEndTime = Date.now();
+    const totalDuration = (testEndTime - testStartTime) / 1000;
+    const throughput = totalRequests / totalDuration;
 
-        statusCode = response.status;
-        const data = await response.json();
-        responseData = data;
-        success = response.ok && !data.error;
+    console.log(signal.aborted ? `⏹ Wallet balance benchmark cancelled` : `✅ Wallet balance benchmark complete!`);
+    console.log(`Total requests: ${totalRequests}`);
+    console.log(`Duration: ${totalDuration.toFixed(2)}s`);
+    console.log(`Throughput: ${throughput.toFixed(2)} req/s\n`);
+    
+    return {
+        totalRequests,
+        errors,
+        skipped: breaker.skipped(),
+        circuits: breaker.report(),
+        duration: totalDuration,
+        throughput
+    };
+}
+
+// Metadata, OHLCV and transfers runs. Each iteration queries every provider,
+// then grades each normalized response against the others (lib/datasets.js).
+async function runDatasetBenchmark(kind, options, { runId, signal, progress }) {
+    const { providers, iterations, delayMs, timeoutMs, connectionMode, retries, retryDelayMs } = options;
+    const dataset = DATASETS[kind];
+    const retry = { retries, retryDelayMs };
+    const breaker = runBreaker(options, progress);
+    const subjects = dataset.subject === 'token' ? options.tokens : [options.walletAddress];
+
+    console.log(`\n🔄 Starting ${kind.toUpperCase()} benchmark...`);
+    console.log(`Testing: ${subjects.join(', ')}`);
+    console.log('Providers:', providers.map(p => getProvider(p).label).join(', '));
+    console.log(`Iterations: ${iterations} per ${dataset.subject} per provider (delay ${delayMs}ms, timeout ${timeoutMs}ms, ${retries} retries, ${connectionMode} connections)\n`);
+    
+    // Only providers that support the dataset on each token's chain
+    const subjectProviders = {};
+    subjects.forEach(subject => {
+        subjectProviders[subject] = dataset.subject === 'token'
+            ? providers.filter(provider => resolveNetwork(getProvider(provider), getToken(subject), kind) !== null)
+            : providers;
+    });
+    
+    const testStartTime = Date.now();
+    let totalRequests = 0;
+    let errors = 0;
+    
+    progress({
+        requestsTotal: subjects.reduce((sum, subject) => sum + subjectProviders[subject].length * iterations, 0)
+    });
+    
+    for (const subject of subjects) {
+        if (signal.aborted) break;
+        console.log(`\n📊 Testing ${subject}...`);
+        
+        const token = dataset.subject === 'token' ? getToken(subject) : null;
+        const testType = dataset.testType(subject);
+        
+        for (let i = 0; i < iterations && !signal.aborted; i++) {
+            console.log(`  Iteration ${i+1}/${iterations}`);
+            progress({ [dataset.subject]: subject, iteration: i + 1, iterations });
+            
+            // Same window for every provider of the iteration so candles line up
+            const to = Date.now();
+            const params = kind === 'ohlcv'
+                ? { interval: options.interval, from: to - options.lookbackHours * 60 * 60 * 1000, to, toleranceBps: toleranceFor(token) }
+                : { limit: options.limit };
+            
+            const results = [];
+            for (const provider of subjectProviders[subject]) {
+                if (signal.aborted) break;
+                if (!breaker.callable(provider)) continue;
+                progress({ provider });
+                
+                const result = await testDataset(provider, kind, token || subject, params, { timeoutMs, connectionMode, retry, signal });
+                if (signal.aborted) break;
+                results.push({ provider, result });
+                await pause(delayMs, signal);
+            }
+            
+            const comparisons = dataset.compare(results.map(({ provider, result }) => ({ provider, data: result.data })), params);
+            
+            for (const { provider, result } of results) {
+                totalRequests++;
+                if (!result.success) errors++;
+                
+                const check = comparisons.get(provider);
+                const matchStr = check.consensusMatch !== null ? ` - ${check.consensusMatch.toFixed(0)}% match, ${check.mismatches} mismatched` : '';
+                
+                console.log(`    ${provider.padEnd(10)} ${result.latency.toFixed(0).padStart(4)}ms - ${result.success ? '✓' : '✗ ' + result.errorMessage} - ${check.recordCount ?? 0} records${matchStr}`);
+                
+                await saveResult({
+                    provider,
+                    run_id: runId,
+                    test_type: testType,
+                    latency: result.latency,
+                    success: result.success,
+                    error_message: result.errorMessage,
+                    response_size: result.responseSize,
+                    error_type: result.errorType,
+                    is_accurate: check.isAccurate,
+                    deviation: check.deviation,
+                    tolerance_bps: kind === 'ohlcv' && check.isAccurate !== null ? params.toleranceBps : null,
+                    record_count: check.recordCount,
+                    consensus_match: check.consensusMatch,
+                    mismatches: check.mismatches,
+                    cost_usd: callCost(provider, kind, result.success),
+                    ...requestColumns(result, connectionMode)
+                });
+                
+                breaker.record(provider, result.success);
+                progress({ requestsDone: totalRequests, errors });
+            }
+        }
         
-        if (!success) {
-            errorMessage = data.error || data.message || `HTTP ${response.status}`;
+        console.log(`✓ ${subject} complete\n`);
+    }
+    
+    const testEndTime = Date.now();
+    const totalDuration = (testEndTime - testStartTime) / 1000;
+    const throughput = totalRequests / totalDuration;
+    
+    console.log(signal.aborted ? `⏹ ${kind} benchmark cancelled` : `✅ ${kind} benchmark complete!`);
+    console.log(`Total requests: ${totalRequests}`);
+    console.log(`Duration: ${totalDuration.toFixed(2)}s`);
+    console.log(`Throughput: ${throughput.toFixed(2)} req/s\n`);
+    
+    return {
+        totalRequests,
+        errors,
+        skipped: breaker.skipped(),
+        circuits: breaker.report(),
+        duration: totalDuration,
+        throughput
+    };
+}
+
+// Ramp concurrency / request rate per provider to find its real limits.
+// Rows are stored under load_<test_type> so they stay apart from sequential runs.
+async function runLoadBenchmark(options, { runId, signal, progress }) {
+    const { kind, providers, token, walletAddress, mode, levels, stepDurationMs, timeoutMs, connectionMode, rateLimitThreshold, stopOnRateLimit } = options;
+    const testType = kind === 'price' ? `load_price_${token}` : 'load_wallet_balance';
+
+    console.log(`\n🔄 Starting LOAD test (${testType})...`);
+    console.log('Providers:', providers.map(p => getProvider(p).label).join(', '));
+    console.log(`Ramp: ${mode} ${levels.join(', ')} for ${stepDurationMs / 1000}s each (timeout ${timeoutMs}ms, ${connectionMode} connections)`);
+
+    const testStartTime = Date.now();
+
+    const execute = provider => kind === 'price'
+        ? testTokenPrice(provider, token, null, { timeoutMs, connectionMode, signal })
+        : testWalletBalance(provider, walletAddress, { timeoutMs, connectionMode, signal });
+
+    const reports = await runLoadTest({
+        providers,
+        mode,
+        levels,
+        stepDurationMs,
+        rateLimitThreshold,
+        stopOnRateLimit,
+        execute,
+        canSend: hasBudget,
+        signal,
+        progress,
+        onStepResults: async (provider, results) => {
+            for (const result of results) {
+                await saveResult({
+                    provider,
+                    run_id: runId,
+                    test_type: testType,
+                    latency: result.latency,
+                    success: result.success,
+                    error_message: result.errorMessage,
+                    price_value: result.priceValue ?? null,
+                    response_size: result.responseSize,
+                    error_type: result.errorType,
+                    cost_usd: callCost(provider, kind, result.success),
+                    ...requestColumns(result, connectionMode)
+                });
+            }
         }
+    });
+
+    const totalDuration = (Date.now() - testStartTime) / 1000;
+    console.log(signal.aborted ? `⏹ Load test cancelled\n` : `✅ Load test complete in ${totalDuration.toFixed(2)}s\n`);
 
+    return {
+        testType,
+        duration: totalDuration,
+        providers: reports
+    };
+}
+
+// ====================================
+// API ENDPOINTS
+// ====================================
+
+// 400 listing every problem found: { error, problems }. `error` is a
+// validation error from a parser (lib/validation.js) or a message.
+function badRequest(res, error) {
+    const problems = typeof error === 'string' ? [error] : (error.problems || [error.message]);
+    return res.status(400).json({ error: problems.join('; '), problems });
+}
+
+// Queue a job and answer immediately; clients poll /api/jobs/:id.
+// The run records the key that submitted it as its trigger (api:<name>).
+function submitJob(req, res, kind, params, run) {
+    const exhausted = exhaustedProviders(params.providers);
+    if (exhausted.length > 0) {
+        return res.status(429).json({ error: `Daily request budget exhausted for: ${exhausted.join(', ')}` });
+    }
+
+    const trigger = req.caller.name === 'anonymous' ? 'api' : `api:${req.caller.name}`;
+    let job;
+    try {
+        job = createJob(kind, params, run, { trigger });
     } catch (error) {
-        errorMessage = error.message;
+        return res.status(409).json({ error: error.message });
     }
 
-    const endTime = performance.now();
-    const latency = endTime - startTime;
-    
-    // Extract price value
-    const priceValue = success ? extractPrice(provider, responseData) : null;
+    res.locals.audit = { runId: job.id, kind };
     
-    // Calculate response size
-    const responseSize = responseData ? JSON.stringify(responseData).length : 0;
+    res.status(202).json({
+        success: true,
+        message: job.status === 'queued' ? `${kind} benchmark queued` : `${kind} benchmark started`,
+        jobId: job.id,
+        status: job.status
+    });
+}
+
+// Run price benchmark
+app.post('/api/run-price-benchmark', (req, res) => {
+    let options;
+    try {
+        options = parseRunOptions('price', req.body);
+    } catch (error) {
+        return badRequest(res, error);
+    }
     
-    // Classify error type
-    const errorType = classifyError(errorMessage, statusCode);
+    submitJob(req, res, 'price', options, context => runPriceBenchmark(options, context));
+});
+
+// Run wallet balance benchmark
+app.post('/api/run-wallet-benchmark', (req, res) => {
+    let options;
+    try {
+        options = parseRunOptions('wallet', req.body, { wallet: true });
+    } catch (error) {
+        return badRequest(res, error);
+    }
     
-    // Validate accuracy against CoinGecko reference
-    const isAccurate = (priceValue && coinGeckoReference) 
-        ? validatePriceAccuracy(priceValue, coinGeckoReference) 
-        : null;
+    submitJob(req, res, 'wallet', options, context => runWalletBenchmark(options.walletAddress, options, context));
+});
+
+// Run token metadata / OHLCV history benchmarks
+['metadata', 'ohlcv'].forEach(kind => {
+    app.post(`/api/run-${kind}-benchmark`, (req, res) => {
+        let options;
+        try {
+            options = parseRunOptions(kind, req.body);
+        } catch (error) {
+            return badRequest(res, error);
+        }
+        
+        submitJob(req, res, kind, options, context => runDatasetBenchmark(kind, options, context));
+    });
+});
+
+// Run transfer history benchmark
+app.post('/api/run-transfers-benchmark', (req, res) => {
+    let options;
+    try {
+        options = parseRunOptions('transfers', req.body, { wallet: true });
+    } catch (error) {
+        return badRequest(res, error);
+    }
     
-    // Calculate deviation from reference
-    const deviation = (priceValue && coinGeckoReference)
-        ? calculateDeviation(priceValue, coinGeckoReference)
-        : null;
+    submitJob(req, res, 'transfers', options, context => runDatasetBenchmark('transfers', options, context));
+});
+
+// Run load test (concurrency or request-rate ramp)
+app.post('/api/run-load-test', (req, res) => {
+    let options;
+    try {
+        options = parseLoadOptions(req.body);
+    } catch (error) {
+        return badRequest(res, error);
+    }
+
+    submitJob(req, res, 'load', options, context => runLoadBenchmark(options, context));
+});
+
+// Benchmark jobs
+app.get('/api/jobs', (req, res) => {
+    res.json(listJobs(req.query.kind));
+});
+
+app.get('/api/jobs/:id', (req, res) => {
+    const job = getJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: `Job ${req.params.id} not found` });
+    }
+    res.json(job);
+});
+
+app.delete('/api/jobs/:id', (req, res) => {
+    const job = cancelJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: `Job ${req.params.id} not found` });
+    }
+    res.json(job);
+});
+
+// Benchmark runs (lib/runs.js)
+app.get('/api/runs', async (req, res) => {
+    let options;
+    try {
+        options = parseRunListQuery(req.query);
+    } catch (error) {
+        return badRequest(res, error);
+    }
+
+    try {
+        res.json(await storage.listRuns(options));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Stats, latency sample and record of one run, for comparison
+async function loadRunData(id, limit) {
+    const run = await storage.getRun(id);
+    if (!run) return null;
+
+    const options = { since: run.started_at, until: null, filters: { runIds: [id] } };
+    const [stats, sample] = await Promise.all([
+        storage.summarize(options),
+        storage.latencySample({ ...options, limit })
+    ]);
+    return { run, stats, sample };
+}
+
+// Must be registered before /api/runs/:id
+app.get('/api/runs/compare', async (req, res) => {
+    let options;
+    try {
+        options = parseCompareQuery(req.query);
+    } catch (error) {
+        return badRequest(res, error);
+    }
+
+    try {
+        const [a, b] = await Promise.all([
+            loadRunData(options.a, BOOTSTRAP_SAMPLE_SIZE),
+            loadRunData(options.b, BOOTSTRAP_SAMPLE_SIZE)
+        ]);
+        const missing = [[options.a, a], [options.b, b]].find(([, data]) => !data);
+        if (missing) {
+            return res.status(404).json({ error: `Run ${missing[0]} not found` });
+        }
+
+        res.json(compareRuns(a, b, { alpha: options.alpha }));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/runs/:id', async (req, res) => {
+    if (!RUN_ID_PATTERN.test(req.params.id)) {
+        return badRequest(res, `Invalid run id "${req.params.id}"`);
+    }
+
+    try {
+        const run = await storage.getRun(req.params.id);
+        if (!run) {
+            return res.status(404).json({ error: `Run ${req.params.id} not found` });
+        }
+
+        const stats = await storage.summarize({ since: run.started_at, until: null, filters: { runIds: [run.id] } });
+        res.json({
+            ...run,
+            summary: stats.map(row => ({ provider: row.provider, ...summaryStats(row, DEFAULT_MONTHLY_REQUESTS) }))
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Edit a run's notes
+app.patch('/api/runs/:id', async (req, res) => {
+    let changes;
+    try {
+        changes = parseRunUpdate(req.body);
+    } catch (error) {
+        return badRequest(res, error);
+    }
+
+    try {
+        const run = RUN_ID_PATTERN.test(req.params.id) ? await storage.updateRun(req.params.id, changes) : null;
+        if (!run) {
+            return res.status(404).json({ error: `Run ${req.params.id} not found` });
+        }
+        res.json(run);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Monitoring schedules
+app.get('/api/schedules', (req, res) => {
+    res.json(listSchedules());
+});
+
+app.get('/api/schedules/:id', (req, res) => {
+    const schedule = getSchedule(req.params.id);
+    if (!schedule) {
+        return res.status(404).json({ error: `Schedule ${req.params.id} not found` });
+    }
+    res.json(schedule);
+});
+
+app.post('/api/schedules', (req, res) => {
+    try {
+        res.status(201).json(createSchedule(req.body));
+    } catch (error) {
+        badRequest(res, error);
+    }
+});
 
-    return {
-        latency,
-        success,
-        errorMessage,
-        responseData,
-        priceValue,
-        responseSize,
-        errorType,
-        isAccurate,
-        referencePrice: coinGeckoReference,
-        deviation
-    };
-}
+app.post('/api/schedules/:id/pause', (req, res) => {
+    const schedule = setScheduleStatus(req.params.id, 'paused');
+    if (!schedule) {
+        return res.status(404).json({ error: `Schedule ${req.params.id} not found` });
+    }
+    res.json(schedule);
+});
 
-// ====================================
-// TEST 2: WALLET BALANCE FETCHING (Enhanced with GoldRush)
-// ====================================
+app.post('/api/schedules/:id/resume', (req, res) => {
+    const schedule = setScheduleStatus(req.params.id, 'active');
+    if (!schedule) {
+        return res.status(404).json({ error: `Schedule ${req.params.id} not found` });
+    }
+    res.json(schedule);
+});
 
-async function testWalletBalance(provider, walletAddress) {
-    const startTime = performance.now();
-    let success = false;
-    let errorMessage = null;
-    let statusCode = null;
-    let responseData = null;
-
-    try {
-        let response;
-
-        if (provider === 'alchemy') {
-            response = await fetch(
-                `https://eth-mainnet.g.alchemy.com/v2/${process.env.ALCHEMY_API_KEY}`,
-                {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({
-                        jsonrpc: '2.0',
-                        method: 'alchemy_getTokenBalances',
-                        params: [walletAddress, 'DEFAULT_TOKENS'],
-                        id: 1
-                    })
-                }
-            );
-            
-        } else if (provider === 'mobula') {
-            response = await fetch(
-                `https://api.mobula.io/api/1/wallet/portfolio?wallet=${walletAddress}&blockchains=ethereum`,
-                {
-                    headers: {
-                        'Authorization': process.env.MOBULA_API_KEY,
-                        'Content-Type': 'application/json'
-                    }
-                }
-            );
-            
-        } else if (provider === 'codex') {
-            response = await fetch('https://graph.codex.io/graphql', {
-                method: 'POST',
-                headers: {
-                    'Authorization': process.env.CODEX_API_KEY,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    query: `{
-                        balances(input: {
-                            walletAddress: "${walletAddress}"
-                            networks: [1]
-                            removeScams: true
-                            limit: 10
-                        }) {
-                            items {
-                                balance
-                                balanceUsd
-                                token {
-                                    symbol
-                                    name
-                                }
-                            }
-                        }
-                    }`
-                })
-            });
-        } else if (provider === 'goldrush') {
-            // GoldRush/Covalent API - balances_v2 endpoint
-            // Returns all token balances with metadata
-            response = await fetch(
-                `https://api.covalenthq.com/v1/eth-mainnet/address/${walletAddress}/balances_v2/`,
-                {
-                    headers: {
-                        'Authorization': `Bearer ${process.env.GOLDRUSH_API_KEY}`
-                    }
-                }
-            );
-        }
+app.delete('/api/schedules/:id', (req, res) => {
+    if (!deleteSchedule(req.params.id)) {
+        return res.status(404).json({ error: `Schedule ${req.params.id} not found` });
+    }
+    res.status(204).end();
+});
 
-        statusCode = response.status;
-        const data = await response.json();
-        responseData = data;
-        success = response.ok && !data.error;
-        
-        if (!success) {
-            errorMessage = data.error || data.message || `HTTP ${response.status}`;
-        }
+// Alert rules
+app.get('/api/alerts', (req, res) => {
+    res.json(listAlertRules());
+});
+
+app.get('/api/alerts/events', (req, res) => {
+    res.json(listAlertEvents(req.query.ruleId));
+});
 
+app.post('/api/alerts/evaluate', async (req, res) => {
+    try {
+        await evaluateAlerts();
+        res.json(listAlertRules());
     } catch (error) {
-        errorMessage = error.message;
+        res.status(500).json({ error: error.message });
     }
+});
 
-    const endTime = performance.now();
-    const latency = endTime - startTime;
-    
-    const responseSize = responseData ? JSON.stringify(responseData).length : 0;
-    const errorType = classifyError(errorMessage, statusCode);
-
-    return {
-        latency,
-        success,
-        errorMessage,
-        responseSize,
-        errorType
-    };
-}
+app.get('/api/alerts/:id', (req, res) => {
+    const rule = getAlertRule(req.params.id);
+    if (!rule) {
+        return res.status(404).json({ error: `Alert rule ${req.params.id} not found` });
+    }
+    res.json(rule);
+});
 
-// ====================================
-// API ENDPOINTS
-// ====================================
+app.post('/api/alerts', (req, res) => {
+    try {
+        res.status(201).json(createAlertRule(req.body));
+    } catch (error) {
+        badRequest(res, error);
+    }
+});
 
-// Run price benchmark
-app.post('/api/run-price-benchmark', async (req, res) => {
-    console.log('\n🔄 Starting PRICE benchmark with CoinGecko reference...');
-    console.log('Testing: Token price fetching for USDT and ETH');
-    console.log('Providers: Alchemy, Mobula, Codex, CoinGecko (reference), GoldRush');
-    console.log('Iterations: 10 per token per provider\n');
-    
-    const providers = ['alchemy', 'mobula', 'codex', 'coingecko', 'goldrush'];
-    const tokens = ['USDT', 'ETH'];
-    const iterations = 10;
-    
-    const testStartTime = Date.now();
-    
-    for (const token of tokens) {
-        console.log(`\n📊 Testing ${token}...`);
-        
-        for (let i = 0; i < iterations; i++) {
-            // First, get CoinGecko reference price
-            console.log(`  Iteration ${i+1}/${iterations}`);
-            const coinGeckoRef = await getCoinGeckoReferencePrice(token);
-            
-            if (coinGeckoRef) {
-                console.log(`  ✓ CoinGecko reference: $${coinGeckoRef.toFixed(4)}`);
-            } else {
-                console.log(`  ⚠ CoinGecko reference unavailable`);
-            }
-            
-            // Test each provider
-            for (const provider of providers) {
-                const result = await testTokenPrice(provider, token, coinGeckoRef);
-                
-                const priceStr = result.priceValue !== null ? `$${result.priceValue.toFixed(4)}` : 'N/A';
-                const accurateStr = result.isAccurate === true ? '✓' : result.isAccurate === false ? '✗' : '-';
-                const deviationStr = result.deviation !== null ? `${result.deviation > 0 ? '+' : ''}${result.deviation.toFixed(2)}%` : 'N/A';
-                
-                console.log(`    ${provider.padEnd(10)} ${result.latency.toFixed(0).padStart(4)}ms - ${result.success ? '✓' : '✗'} - ${priceStr} - Accurate: ${accurateStr} - Deviation: ${deviationStr}`);
-                
-                // Store in Supabase with ALL fields including reference price and deviation
-                await supabase.from('benchmark_results').insert({
-                    provider,
-                    test_type: `price_${token}`,
-                    latency: result.latency,
-                    success: result.success,
-                    error_message: result.errorMessage,
-                    price_value: result.priceValue,
-                    response_size: result.responseSize,
-                    error_type: result.errorType,
-                    is_accurate: result.isAccurate,
-                    reference_price: result.referencePrice,
-                    deviation: result.deviation
-                });
+app.post('/api/alerts/:id/pause', (req, res) => {
+    const rule = setAlertRuleStatus(req.params.id, 'paused');
+    if (!rule) {
+        return res.status(404).json({ error: `Alert rule ${req.params.id} not found` });
+    }
+    res.json(rule);
+});
 
-                await new Promise(r => setTimeout(r, 100));
-            }
-        }
-        
-        console.log(`✓ ${token} complete\n`);
+app.post('/api/alerts/:id/resume', (req, res) => {
+    const rule = setAlertRuleStatus(req.params.id, 'active');
+    if (!rule) {
+        return res.status(404).json({ error: `Alert rule ${req.params.id} not found` });
     }
-    
-    const testEndTime = Date.now();
-    const totalDuration = (testEndTime - testStartTime) / 1000;
-    const totalRequests = providers.length * tokens.length * iterations;
-    const throughput = totalRequests / totalDuration;
-    
-    console.log(`✅ Price benchmark complete!`);
-    console.log(`Total requests: ${totalRequests}`);
-    console.log(`Duration: ${totalDuration.toFixed(2)}s`);
-    console.log(`Throughput: ${throughput.toFixed(2)} req/s\n`);
-    
-    res.json({ 
-        success: true, 
-        message: 'Price benchmark complete',
-        totalRequests,
-        duration: totalDuration,
-        throughput
-    });
+    res.json(rule);
 });
 
-// Run wallet balance benchmark
-app.post('/api/run-wallet-benchmark', async (req, res) => {
-    const { walletAddress } = req.body;
-    
-    if (!walletAddress) {
-        return res.status(400).json({ error: 'Wallet address required' });
+// Send a test notification to the rule's channels
+app.post('/api/alerts/:id/test', async (req, res) => {
+    let event;
+    try {
+        event = await testAlertRule(req.params.id);
+    } catch (error) {
+        return res.status(502).json({ error: `Test notification failed: ${error.message}` });
     }
+    if (!event) {
+        return res.status(404).json({ error: `Alert rule ${req.params.id} not found` });
+    }
+    res.json(event);
+});
 
-    console.log('\n🔄 Starting WALLET BALANCE benchmark...');
-    console.log('Testing: Wallet token holdings');
-    console.log('Wallet:', walletAddress);
-    console.log('Providers: Alchemy, Mobula, Codex, GoldRush');
-    console.log('Iterations: 5 per provider\n');
-    
-    const providers = ['alchemy', 'mobula', 'codex', 'goldrush'];
-    const iterations = 5;
-    
-    const testStartTime = Date.now();
-    
-    for (const provider of providers) {
-        console.log(`Testing ${provider}...`);
-        
-        for (let i = 0; i < iterations; i++) {
-            const result = await testWalletBalance(provider, walletAddress);
-            
-            console.log(`  ${provider} #${i+1}: ${result.latency.toFixed(0)}ms - ${result.success ? '✓' : '✗ ' + result.errorMessage}`);
-            
-            // Store in Supabase
-            await supabase.from('benchmark_results').insert({
-                provider,
-                test_type: 'wallet_balance',
-                latency: result.latency,
-                success: result.success,
-                error_message: result.errorMessage,
-                response_size: result.responseSize,
-                error_type: result.errorType
-            });
+app.delete('/api/alerts/:id', (req, res) => {
+    if (!deleteAlertRule(req.params.id)) {
+        return res.status(404).json({ error: `Alert rule ${req.params.id} not found` });
+    }
+    res.status(204).end();
+});
 
-            await new Promise(r => setTimeout(r, 200));
-        }
-        
-        console.log(`✓ ${provider} complete\n`);
+// Audit log of API changes (lib/audit.js), newest first
+app.get('/api/audit', requireRole('operator'), (req, res) => {
+    let options;
+    try {
+        options = parseAuditQuery(req.query);
+    } catch (error) {
+        return badRequest(res, error);
     }
-    
-    const testEndTime = Date.now();
-    const totalDuration = (testEndTime - testStartTime) / 1000;
-    const totalRequests = providers.length * iterations;
-    const throughput = totalRequests / totalDuration;
 
-    console.log(`✅ Wallet balance benchmark complete!`);
-    console.log(`Total requests: ${totalRequests}`);
-    console.log(`Duration: ${totalDuration.toFixed(2)}s`);
-    console.log(`Throughput: ${throughput.toFixed(2)} req/s\n`);
-    
-    res.json({ 
-        success: true, 
-        message: 'Wallet balance benchmark complete',
-        totalRequests,
-        duration: totalDuration,
-        throughput
-    });
+    try {
+        res.json(readAuditLog(options));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
 });
 
-// Get summary data
-app.get('/api/summary', async (req, res) => {
-    const timeRange = req.query.range || '24h';
-    let hours = 24;
-    if (timeRange === '1h') hours = 1;
-    else if (timeRange === '6h') hours = 6;
-    else if (timeRange === '7d') hours = 168;
+// Latencies per provider fed to the bootstrap; enough for stable intervals, cheap to resample
+const BOOTSTRAP_SAMPLE_SIZE = 2000;
+const BOOTSTRAP_RESAMPLES = 1000;
+
+// Summary fields of one stats row from storage.summarize / summarizeByTestType
+function summaryStats(row, monthlyRequests) {
+    const requests = Number(row.requests);
+    const failed = Number(row.failed);
+    const withAccuracy = Number(row.with_accuracy);
+    const costedRequests = Number(row.costed_requests);
+    const totalCost = Number(row.total_cost_usd);
+    const accurateSuccesses = Number(row.accurate_successes);
+    const avgCost = costedRequests > 0 ? totalCost / costedRequests : null;
+
+    return {
+        requests,
+        failed,
+        success_rate: ((requests - failed) / requests) * 100,
+        avg_latency: row.avg_latency,
+        min_latency: row.min_latency,
+        max_latency: row.max_latency,
+        stddev_latency: row.stddev_latency,
+        p50_latency: row.p50_latency,
+        p90_latency: row.p90_latency,
+        p95_latency: row.p95_latency,
+        p99_latency: row.p99_latency,
+        p999_latency: row.p999_latency,
+        accuracy_rate: withAccuracy > 0 ? (Number(row.accurate) / withAccuracy) * 100 : 0,
+        avg_response_size: row.avg_response_size,
+        avg_deviation: row.avg_deviation,
+        // Age of quoted prices; null for providers that don't report an update time
+        avg_staleness_ms: row.avg_staleness_ms,
+        max_staleness_ms: row.max_staleness_ms,
+        // Tolerances behind accuracy_rate; min < max means it mixes tokens graded differently
+        tolerance_bps: row.min_tolerance_bps !== null
+            ? { min: row.min_tolerance_bps, max: row.max_tolerance_bps }
+            : null,
+        // Wallet correctness, over wallet rows graded against a reference
+        wallet_checks: Number(row.wallet_checks),
+        avg_missing_tokens: row.avg_missing_tokens,
+        avg_spam_tokens: row.avg_spam_tokens,
+        avg_balance_mismatches: row.avg_balance_mismatches,
+        avg_usd_deviation: row.avg_usd_deviation,
+        // Cost from the provider's pricing model (lib/costs.js); null without one
+        total_cost_usd: costedRequests > 0 ? totalCost : null,
+        avg_cost_usd: avgCost,
+        // Failed and inaccurate calls are paid for too, so they raise this
+        cost_per_accurate_success_usd: costedRequests > 0 && accurateSuccesses > 0 ? totalCost / accurateSuccesses : null,
+        projected_monthly_cost_usd: projectMonthlyCost(row.provider, avgCost, monthlyRequests)
+    };
+}
 
-    const since = new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+// Registered providers, narrowed by a provider filter
+function filteredProviders(filters, capability) {
+    const providers = getProviderNames(capability);
+    return filters.providers ? providers.filter(p => filters.providers.includes(p)) : providers;
+}
 
-    const { data, error } = await supabase
-        .from('benchmark_results')
-        .select('*')
-        .gte('timestamp', since)
-        .order('timestamp', { ascending: true });
+// Get summary data
+app.get('/api/summary', async (req, res) => {
+    let options;
+    let monthlyRequests;
+    try {
+        [options, monthlyRequests] = parseAll(
+            () => parseReadOptions(req.query),
+            () => parseMonthlyRequests(req.query.monthly_requests)
+        );
+    } catch (error) {
+        return badRequest(res, error);
+    }
+    const { since, until, filters } = options;
 
-    if (error) {
+    let stats;
+    let testTypeStats;
+    let sample;
+    try {
+        [stats, testTypeStats, sample] = await Promise.all([
+            storage.summarize({ since, until, filters }),
+            storage.summarizeByTestType({ since, until, filters }),
+            storage.latencySample({ since, until, limit: BOOTSTRAP_SAMPLE_SIZE, filters })
+        ]);
+    } catch (error) {
         return res.status(500).json({ error: error.message });
     }
 
     const summary = {};
-    const providers = ['alchemy', 'mobula', 'codex', 'coingecko', 'goldrush'];
+    const providers = filteredProviders(filters);
 
     providers.forEach(provider => {
-        const providerData = data.filter(d => d.provider === provider);
+        const row = stats.find(s => s.provider === provider);
         
-        if (providerData.length === 0) {
+        if (!row || Number(row.requests) === 0) {
             summary[provider] = {
                 provider,
                 requests: 0,
                 failed: 0,
                 success_rate: 0,
                 avg_latency: 0,
+                min_latency: 0,
+                max_latency: 0,
+                stddev_latency: 0,
                 p50_latency: 0,
+                p90_latency: 0,
                 p95_latency: 0,
+                p99_latency: 0,
+                p999_latency: 0,
+                latency_ci: null,
                 accuracy_rate: 0,
                 avg_response_size: 0,
-                avg_deviation: 0
+                avg_deviation: 0,
+                avg_staleness_ms: null,
+                max_staleness_ms: null,
+                tolerance_bps: null,
+                wallet_checks: 0,
+                avg_missing_tokens: null,
+                avg_spam_tokens: null,
+                avg_balance_mismatches: null,
+                avg_usd_deviation: null,
+                total_cost_usd: null,
+                avg_cost_usd: null,
+                cost_per_accurate_success_usd: null,
+                projected_monthly_cost_usd: projectMonthlyCost(provider, null, monthlyRequests),
+                by_test_type: {}
             };
             return;
         }
 
-        const latencies = providerData.map(d => d.latency).sort((a, b) => a - b);
-        const failed = providerData.filter(d => !d.success).length;
-        const accurate = providerData.filter(d => d.is_accurate === true).length;
-        const totalWithAccuracy = providerData.filter(d => d.is_accurate !== null).length;
-        const avgResponseSize = providerData.reduce((sum, d) => sum + (d.response_size || 0), 0) / providerData.length;
-        
-        // Calculate average deviation
-        const deviations = providerData.filter(d => d.deviation !== null).map(d => Math.abs(d.deviation));
-        const avgDeviation = deviations.length > 0 
-            ? deviations.reduce((a, b) => a + b, 0) / deviations.length 
-            : 0;
+        const latencies = sample.filter(s => s.provider === provider).map(s => s.latency);
+        const byTestType = {};
+        testTypeStats
+            .filter(s => s.provider === provider)
+            .forEach(s => {
+                byTestType[s.test_type] = summaryStats(s, monthlyRequests);
+            });
 
         summary[provider] = {
             provider,
-            requests: providerData.length,
-            failed,
-            success_rate: ((providerData.length - failed) / providerData.length) * 100,
-            avg_latency: latencies.reduce((a, b) => a + b, 0) / latencies.length,
-            p50_latency: latencies[Math.floor(latencies.length * 0.5)],
-            p95_latency: latencies[Math.floor(latencies.length * 0.95)],
-            accuracy_rate: totalWithAccuracy > 0 ? (accurate / totalWithAccuracy) * 100 : 0,
-            avg_response_size: avgResponseSize,
-            avg_deviation: avgDeviation
+            ...summaryStats(row, monthlyRequests),
+            // 95% bootstrap intervals; non-overlapping intervals mean a real difference between providers
+            latency_ci: bootstrapCI(latencies, {
+                avg: mean,
+                p50: sorted => percentile(sorted, 0.5),
+                p95: sorted => percentile(sorted, 0.95)
+            }, { resamples: BOOTSTRAP_RESAMPLES }),
+            by_test_type: byTestType
         };
     });
 
     res.json(Object.values(summary));
 });
 
-// Get accuracy comparison data (now includes CoinGecko as reference + GoldRush)
+// Pricing models behind cost_usd and the summary's cost columns
+app.get('/api/costs', (req, res) => {
+    res.json({
+        default_monthly_requests: DEFAULT_MONTHLY_REQUESTS,
+        models: listCostModels()
+    });
+});
+
+// Today's request budgets and usage per provider (lib/budgets.js)
+app.get('/api/budgets', (req, res) => {
+    res.json(budgetStatus());
+});
+
+// Weighted composite score and ranking per provider, overall and per test type
+app.get('/api/scorecard', async (req, res) => {
+    let options;
+    let weights;
+    try {
+        [options, weights] = parseAll(
+            () => parseReadOptions(req.query),
+            () => parseWeights(req.query.weights)
+        );
+    } catch (error) {
+        return badRequest(res, error);
+    }
+    const { since, until, filters } = options;
+
+    let stats;
+    let testTypeStats;
+    try {
+        [stats, testTypeStats] = await Promise.all([
+            storage.summarize({ since, until, filters }),
+            storage.summarizeByTestType({ since, until, filters })
+        ]);
+    } catch (error) {
+        return res.status(500).json({ error: error.message });
+    }
+
+    const providers = filteredProviders(filters);
+    const scorecard = buildScorecard(
+        stats.filter(row => providers.includes(row.provider)),
+        testTypeStats.filter(row => providers.includes(row.provider)),
+        weights
+    );
+
+    res.json({
+        since,
+        until,
+        weights,
+        ...scorecard
+    });
+});
+
+// Get accuracy comparison data (providers plus the consensus reference)
 app.get('/api/accuracy-comparison', async (req, res) => {
-    const timeRange = req.query.range || '24h';
-    let hours = 24;
-    if (timeRange === '1h') hours = 1;
-    else if (timeRange === '6h') hours = 6;
-    else if (timeRange === '7d') hours = 168;
-
-    const since = new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
-
-    const { data, error } = await supabase
-        .from('benchmark_results')
-        .select('*')
-        .gte('timestamp', since)
-        .like('test_type', 'price_%')
-        .not('price_value', 'is', null)
-        .order('timestamp', { ascending: true });
-
-    if (error) {
+    let options;
+    try {
+        options = parseReadOptions(req.query);
+    } catch (error) {
+        return badRequest(res, error);
+    }
+    const { since, until, bucketSeconds, filters } = options;
+
+    let rows;
+    try {
+        rows = await storage.priceBuckets({ since, until, bucketSeconds, filters });
+    } catch (error) {
         return res.status(500).json({ error: error.message });
     }
 
     // Group by token and time bucket
     const grouped = {};
+    const registered = filteredProviders(filters, 'price');
     
-    data.forEach(row => {
-        const time = new Date(row.timestamp);
-        time.setMinutes(Math.floor(time.getMinutes() / 5) * 5, 0, 0);
-        const bucket = time.toISOString();
-        const token = row.test_type;
-        
-        const key = `${bucket}_${token}`;
+    rows.forEach(row => {
+        const key = `${row.bucket}_${row.test_type}`;
         if (!grouped[key]) {
-            grouped[key] = { 
-                time: bucket, 
-                token, 
-                alchemy: [], 
-                mobula: [], 
-                codex: [], 
-                coingecko: [],
-                goldrush: [],
-                reference: [] 
-            };
+            grouped[key] = { time: row.bucket, token: row.test_type, prices: {}, referenceSum: 0, referenceCount: 0 };
         }
         
-        grouped[key][row.provider].push(row.price_value);
+        if (registered.includes(row.provider)) {
+            grouped[key].prices[row.provider] = row.price_sum / Number(row.price_count);
+        }
         
         // Track reference prices from all providers for variance calculation
-        if (row.reference_price) {
-            grouped[key].reference.push(row.reference_price);
-        }
+        grouped[key].referenceSum += row.reference_sum;
+        grouped[key].referenceCount += Number(row.reference_count);
     });
 
     const result = Object.values(grouped).map(bucket => {
-        const prices = {};
-        ['alchemy', 'mobula', 'codex', 'coingecko', 'goldrush'].forEach(provider => {
-            if (bucket[provider].length > 0) {
-                prices[provider] = bucket[provider].reduce((a, b) => a + b, 0) / bucket[provider].length;
-            }
-        });
+        const prices = { ...bucket.prices };
         
-        // Calculate variance against CoinGecko reference
-        const referencePrice = bucket.reference.length > 0 
-            ? bucket.reference.reduce((a, b) => a + b, 0) / bucket.reference.length 
+        // Calculate variance against the consensus reference
+        const referencePrice = bucket.referenceCount > 0 
+            ? bucket.referenceSum / bucket.referenceCount 
             : null;
         
         if (referencePrice) {
@@ -707,34 +1359,29 @@ app.get('/api/accuracy-comparison', async (req, res) => {
 
 // Get error breakdown
 app.get('/api/error-breakdown', async (req, res) => {
-    const timeRange = req.query.range || '24h';
-    let hours = 24;
-    if (timeRange === '1h') hours = 1;
-    else if (timeRange === '6h') hours = 6;
-    else if (timeRange === '7d') hours = 168;
-
-    const since = new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
-
-    const { data, error } = await supabase
-        .from('benchmark_results')
-        .select('*')
-        .gte('timestamp', since)
-        .order('timestamp', { ascending: true });
+    let options;
+    try {
+        options = parseReadOptions(req.query);
+    } catch (error) {
+        return badRequest(res, error);
+    }
+    const { since, until, filters } = options;
 
-    if (error) {
+    let rows;
+    try {
+        rows = await storage.errorBreakdown({ since, until, filters });
+    } catch (error) {
         return res.status(500).json({ error: error.message });
     }
 
     const breakdown = {};
-    const providers = ['alchemy', 'mobula', 'codex', 'coingecko', 'goldrush'];
+    const providers = filteredProviders(filters);
 
     providers.forEach(provider => {
-        const providerData = data.filter(d => d.provider === provider);
         const errorCounts = {};
         
-        providerData.forEach(row => {
-            const errorType = row.error_type || 'success';
-            errorCounts[errorType] = (errorCounts[errorType] || 0) + 1;
+        rows.filter(row => row.provider === provider).forEach(row => {
+            errorCounts[row.error_type] = Number(row.count);
         });
         
         breakdown[provider] = errorCounts;
@@ -743,71 +1390,107 @@ app.get('/api/error-breakdown', async (req, res) => {
     res.json(breakdown);
 });
 
+// Get average DNS / connect / TLS / TTFB / download / parse time per provider and connection mode
+app.get('/api/latency-breakdown', async (req, res) => {
+    let options;
+    try {
+        options = parseReadOptions(req.query);
+    } catch (error) {
+        return badRequest(res, error);
+    }
+    const { since, until, filters } = options;
+
+    let rows;
+    try {
+        rows = await storage.phaseBreakdown({ since, until, filters });
+    } catch (error) {
+        return res.status(500).json({ error: error.message });
+    }
+
+    const providers = filteredProviders(filters);
+    res.json(rows
+        .filter(row => providers.includes(row.provider))
+        .map(row => ({
+            ...row,
+            requests: Number(row.requests),
+            reused: Number(row.reused)
+        })));
+});
+
+// Graph metric -> latency column of the bucket stats
+const LATENCY_METRICS = {
+    'avg-latency': 'avg_latency',
+    'min-latency': 'min_latency',
+    'max-latency': 'max_latency',
+    'stddev-latency': 'stddev_latency',
+    'p50-latency': 'p50_latency',
+    'p90-latency': 'p90_latency',
+    'p95-latency': 'p95_latency',
+    'p99-latency': 'p99_latency',
+    'p999-latency': 'p999_latency'
+};
+const GRAPH_METRICS = [...Object.keys(LATENCY_METRICS), 'failed-requests', 'success-rate', 'accuracy-rate', 'deviation', 'staleness', 'throughput'];
+
 // Get graph data with proper time series
 app.get('/api/graph/:metric', async (req, res) => {
     const metric = req.params.metric;
-    const timeRange = req.query.range || '24h';
-    
-    let hours = 24;
-    if (timeRange === '1h') hours = 1;
-    else if (timeRange === '6h') hours = 6;
-    else if (timeRange === '7d') hours = 168;
-
-    const since = new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
-
-    const { data, error } = await supabase
-        .from('benchmark_results')
-        .select('*')
-        .gte('timestamp', since)
-        .order('timestamp', { ascending: true });
+    if (!GRAPH_METRICS.includes(metric)) {
+        return badRequest(res, `Unknown metric ${metric}. Expected one of: ${GRAPH_METRICS.join(', ')}`);
+    }
+    let options;
+    try {
+        options = parseReadOptions(req.query);
+    } catch (error) {
+        return badRequest(res, error);
+    }
+    const { since, until, bucketSeconds, filters } = options;
 
-    if (error) {
+    let rows;
+    try {
+        rows = await storage.latencyBuckets({ since, until, bucketSeconds, filters });
+    } catch (error) {
         return res.status(500).json({ error: error.message });
     }
 
-    // Group by 5-minute buckets
+    // One stats row per (bucket, provider)
     const grouped = {};
     
-    data.forEach(row => {
-        const time = new Date(row.timestamp);
-        time.setMinutes(Math.floor(time.getMinutes() / 5) * 5, 0, 0);
-        const bucket = time.toISOString();
-        
-        if (!grouped[bucket]) {
-            grouped[bucket] = { alchemy: [], mobula: [], codex: [], coingecko: [], goldrush: [] };
+    rows.forEach(row => {
+        if (!grouped[row.bucket]) {
+            grouped[row.bucket] = {};
         }
-        
-        grouped[bucket][row.provider].push(row);
+        grouped[row.bucket][row.provider] = row;
     });
 
     const result = Object.keys(grouped).sort().map(time => {
         const bucket = { time };
         
-        ['alchemy', 'mobula', 'codex', 'coingecko', 'goldrush'].forEach(provider => {
-            const providerData = grouped[time][provider];
+        filteredProviders(filters).forEach(provider => {
+            const stats = grouped[time][provider];
             
-            if (providerData.length === 0) {
+            if (!stats) {
                 bucket[provider] = null;
                 return;
             }
 
-            if (metric === 'failed-requests') {
-                bucket[provider] = providerData.filter(d => !d.success).length;
-            } else if (metric === 'avg-latency') {
-                const sum = providerData.reduce((acc, d) => acc + d.latency, 0);
-                bucket[provider] = sum / providerData.length;
-            } else if (metric === 'p95-latency') {
-                const latencies = providerData.map(d => d.latency).sort((a, b) => a - b);
-                bucket[provider] = latencies[Math.floor(latencies.length * 0.95)] || latencies[latencies.length - 1];
+            const requests = Number(stats.requests);
+            const failed = Number(stats.failed);
+            const withAccuracy = Number(stats.with_accuracy);
+
+            if (LATENCY_METRICS[metric]) {
+                bucket[provider] = stats[LATENCY_METRICS[metric]];
+            } else if (metric === 'failed-requests') {
+                bucket[provider] = failed;
             } else if (metric === 'success-rate') {
-                const successCount = providerData.filter(d => d.success).length;
-                bucket[provider] = (successCount / providerData.length) * 100;
+                bucket[provider] = ((requests - failed) / requests) * 100;
             } else if (metric === 'accuracy-rate') {
-                const accurateCount = providerData.filter(d => d.is_accurate === true).length;
-                const totalWithAccuracy = providerData.filter(d => d.is_accurate !== null).length;
-                bucket[provider] = totalWithAccuracy > 0 ? (accurateCount / totalWithAccuracy) * 100 : null;
+                bucket[provider] = withAccuracy > 0 ? (Number(stats.accurate) / withAccuracy) * 100 : null;
+            } else if (metric === 'deviation') {
+                bucket[provider] = withAccuracy > 0 ? stats.avg_deviation : null;
+            } else if (metric === 'staleness') {
+                bucket[provider] = stats.avg_staleness_ms;
             } else if (metric === 'throughput') {
-                bucket[provider] = providerData.length;
+                bucket[provider] = requests;
             }
         });
         
@@ -817,6 +1500,66 @@ app.get('/api/graph/:metric', async (req, res) => {
     res.json(result);
 });
 
+// Token universe for price benchmarks
+app.get('/api/tokens', (req, res) => {
+    res.json(listTokens());
+});
+
+app.get('/api/tokens/:id', (req, res) => {
+    const token = getToken(req.params.id);
+    if (!token) {
+        return res.status(404).json({ error: `Token ${req.params.id} not found` });
+    }
+    res.json(token);
+});
+
+app.post('/api/tokens', (req, res) => {
+    try {
+        res.status(201).json(addToken(req.body));
+    } catch (error) {
+        badRequest(res, error);
+    }
+});
+
+app.put('/api/tokens/:id', (req, res) => {
+    try {
+        const token = updateToken(req.params.id, req.body);
+        if (!token) {
+            return res.status(404).json({ error: `Token ${req.params.id} not found` });
+        }
+        res.json(token);
+    } catch (error) {
+        badRequest(res, error);
+    }
+});
+
+app.delete('/api/tokens/:id', (req, res) => {
+    if (!removeToken(req.params.id)) {
+        return res.status(404).json({ error: `Token ${req.params.id} not found` });
+    }
+    res.status(204).end();
+});
+
+// List registered providers and their capabilities
+app.get('/api/providers', (req, res) => {
+    res.json(listProviders().map(adapter => ({
+        name: adapter.name,
+        label: adapter.label,
+        capabilities: adapter.capabilities,
+        configured: isConfigured(adapter)
+    })));
+});
+
+// Default reference consensus runs grade accuracy against (lib/reference.js)
+app.get('/api/reference', (req, res) => {
+    res.json(DEFAULT_REFERENCE);
+});
+
+// Key name and role of the caller
+app.get('/api/whoami', (req, res) => {
+    res.json({ ...req.caller, authEnabled: authEnabled() });
+});
+
 // Health check
 app.get('/api/health', (req, res) => {
     res.json({
@@ -829,6 +1572,47 @@ app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
+// Scheduled runs go through the same validation and job queue as the run routes
+startScheduler({
+    price: {
+        validate: schedule => parseRunOptions('price', schedule.params),
+        submit: (schedule, queued) => {
+            const options = parseRunOptions('price', schedule.params);
+            queued(createJob('price', options, context => runPriceBenchmark(options, context), { trigger: `schedule:${schedule.id}` }));
+        }
+    },
+    wallet: {
+        validate: schedule => {
+            const { addresses } = schedule;
+            if (!Array.isArray(addresses) || addresses.length === 0) {
+                throw new Error('Wallet schedules need a non-empty addresses array');
+            }
+            const problems = addresses.map((address, i) => addressProblem(`addresses[${i}]`, address)).filter(Boolean);
+            if (problems.length > 0) {
+                throw validationError(problems);
+            }
+            parseRunOptions('wallet', schedule.params);
+        },
+        submit: (schedule, queued) => {
+            const options = parseRunOptions('wallet', schedule.params);
+            schedule.addresses.forEach(walletAddress => queued(createJob(
+                'wallet',
+                { walletAddress, ...options },
+                context => runWalletBenchmark(walletAddress, options, context),
+                { trigger: `schedule:${schedule.id}` }
+            )));
+        }
+    }
+});
+
+// Every job is recorded as a run; its result rows carry the run id
+onJobStarted(job => startRun(storage, job));
+onJobFinished(job => finishRun(storage, job));
+
+// Alert rules are checked on a timer and whenever a benchmark job finishes
+startAlerts(storage);
+onJobFinished(() => evaluateAlerts().catch(error => console.error('Alert evaluation failed:', error.message)));
+
 app.listen(PORT, () => {
     console.log('═══════════════════════════════════════════════');
     console.log('   🚀 API Benchmark Server (Enhanced + GoldRush)');
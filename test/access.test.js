@@ -0,0 +1,141 @@
+// test/access.test.js - API keys, roles, rate limits, daily budgets and the audit log
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+const OPERATOR_KEY = 'operator-key-0123456789';
+const VIEWER_KEY = 'viewer-key-0123456789';
+
+// lib/auth.js, lib/budgets.js and lib/audit.js read their files on require
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'access-'));
+fs.writeFileSync(path.join(dir, 'api-keys.json'), JSON.stringify([
+    { name: 'alice', role: 'operator', keySha256: crypto.createHash('sha256').update(OPERATOR_KEY).digest('hex') },
+    { name: 'dashboard', role: 'viewer', key: VIEWER_KEY, rateLimitPerMinute: 3 }
+]));
+fs.writeFileSync(path.join(dir, 'budgets.json'), JSON.stringify({ codex: 2, mobula: 0, goldrush: 5 }));
+process.env.API_KEYS_FILE = path.join(dir, 'api-keys.json');
+process.env.BUDGETS_FILE = path.join(dir, 'budgets.json');
+process.env.BUDGET_USAGE_FILE = path.join(dir, 'budget-usage.json');
+process.env.AUDIT_LOG_FILE = path.join(dir, 'audit.jsonl');
+
+const { apiAuth, requireRole } = require('../lib/auth');
+const { hasBudget, spendBudget, exhaustedProviders, budgetStatus } = require('../lib/budgets');
+const { auditLog, parseAuditQuery, readAuditLog } = require('../lib/audit');
+const { runLoadTest } = require('../lib/load-test');
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+    const app = express();
+    app.use('/api', auditLog);
+    app.use('/api', apiAuth);
+    app.get('/api/health', (req, res) => res.json({ status: 'ok' }));
+    app.get('/api/whoami', (req, res) => res.json(req.caller));
+    app.get('/api/audit', requireRole('operator'), (req, res) => res.json(readAuditLog(parseAuditQuery(req.query))));
+    app.post('/api/runs', (req, res) => {
+        res.locals.audit = { runId: 'run-1' };
+        res.status(202).json({ ok: true });
+    });
+
+    await new Promise(resolve => {
+        server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+    server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+async function call(method, route, headers = {}) {
+    const response = await fetch(`${baseUrl}${route}`, { method, headers });
+    return { status: response.status, headers: response.headers, body: await response.json() };
+}
+
+test('keys identify the caller and roles gate the methods', async () => {
+    assert.equal((await call('GET', '/api/health')).status, 200);
+
+    const missing = await call('GET', '/api/whoami');
+    assert.equal(missing.status, 401);
+    assert.equal(missing.headers.get('www-authenticate'), 'Bearer');
+    assert.equal((await call('GET', '/api/whoami', { 'X-API-Key': 'not-a-key-at-all' })).status, 401);
+
+    const viewer = await call('GET', '/api/whoami', { 'X-API-Key': VIEWER_KEY });
+    assert.deepEqual(viewer.body, { name: 'dashboard', role: 'viewer' });
+    assert.equal((await call('POST', '/api/runs', { 'X-API-Key': VIEWER_KEY })).status, 403);
+
+    const operator = await call('POST', '/api/runs', { Authorization: `Bearer ${OPERATOR_KEY}` });
+    assert.equal(operator.status, 202);
+});
+
+test('a key over its rate limit gets 429 with Retry-After', async () => {
+    // The viewer key allows 3 per minute and made 2 requests above
+    assert.equal((await call('GET', '/api/whoami', { 'X-API-Key': VIEWER_KEY })).status, 200);
+
+    const limited = await call('GET', '/api/whoami', { 'X-API-Key': VIEWER_KEY });
+    assert.equal(limited.status, 429);
+    assert.ok(Number(limited.headers.get('retry-after')) > 0);
+});
+
+test('changes are audit logged with their actor, reads only by operators', async () => {
+    const headers = { 'X-API-Key': OPERATOR_KEY };
+    const entries = (await call('GET', '/api/audit', headers)).body;
+
+    assert.deepEqual(entries.map(e => [e.actor, e.method, e.status]), [
+        ['alice', 'POST', 202],
+        ['dashboard', 'POST', 403]
+    ]);
+    assert.equal(entries[0].runId, 'run-1');
+    assert.deepEqual((await call('GET', '/api/audit?actor=dashboard', headers)).body.map(e => e.status), [403]);
+    assert.throws(() => parseAuditQuery({ limit: '0' }), /limit must be an integer between 1 and 1000/);
+});
+
+test('daily budgets count requests and report exhausted providers', () => {
+    assert.equal(hasBudget('alchemy'), true);
+    assert.deepEqual(exhaustedProviders(['codex', 'mobula', 'alchemy']), ['mobula']);
+
+    spendBudget('codex');
+    assert.equal(hasBudget('codex'), true);
+    spendBudget('codex', 2);
+    assert.equal(hasBudget('codex'), false);
+
+    const status = budgetStatus();
+    assert.deepEqual(status.providers.codex, { limit: 2, used: 3, remaining: 0 });
+    assert.equal(status.day, new Date().toISOString().slice(0, 10));
+    assert.ok(Date.parse(status.resetsAt) > Date.now());
+});
+
+test('a load test ramp stops once the provider has spent its daily budget', async () => {
+    const sent = [];
+    const reports = await runLoadTest({
+        providers: ['goldrush', 'alchemy'],
+        mode: 'concurrency',
+        levels: [1, 2, 3],
+        stepDurationMs: 50,
+        rateLimitThreshold: 1,
+        stopOnRateLimit: false,
+        canSend: hasBudget,
+        execute: async provider => {
+            spendBudget(provider);
+            sent.push(provider);
+            await new Promise(resolve => setTimeout(resolve, 5));
+            return { success: true, errorType: 'success', latency: 5 };
+        },
+        onStepResults: async () => {},
+        signal: new AbortController().signal,
+        progress: () => {}
+    });
+
+    assert.equal(sent.filter(p => p === 'goldrush').length, 5);
+    assert.equal(reports[0].stop_reason, 'budget_exhausted');
+    assert.ok(reports[0].steps.length < 3);
+    // No budget for alchemy: its ramp runs every level
+    assert.equal(reports[1].stop_reason, null);
+    assert.equal(reports[1].steps.length, 3);
+});
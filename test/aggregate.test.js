@@ -0,0 +1,146 @@
+// test/aggregate.test.js - Aggregation and read filters of the local JSONL backend
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createJsonlStorage } = require('../lib/storage/jsonl');
+const { percentile } = require('../lib/stats');
+
+const SINCE = '2025-01-01T00:00:00.000Z';
+
+let dir;
+let storage;
+
+// Ten price_USDT rows for alchemy (one rate-limited), four wallet rows for mobula
+test.before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'aggregate-'));
+    storage = createJsonlStorage({ dir });
+
+    for (let i = 0; i < 10; i++) {
+        const failed = i === 9;
+        await storage.insertResult({
+            timestamp: `2025-01-01T00:0${i}:00.000Z`,
+            provider: 'alchemy',
+            test_type: 'price_USDT',
+            latency: (i + 1) * 10,
+            success: !failed,
+            error_type: failed ? 'rate_limit' : 'success',
+            price_value: failed ? null : 1 + i / 1000,
+            reference_price: failed ? null : 1,
+            deviation: failed ? null : i / 10,
+            is_accurate: failed ? null : i < 5,
+            response_size: 100,
+            staleness_ms: failed ? null : 1000,
+            cost_usd: 0.001
+        });
+    }
+    for (let i = 0; i < 4; i++) {
+        await storage.insertResult({
+            timestamp: `2025-01-01T00:3${i}:00.000Z`,
+            provider: 'mobula',
+            test_type: 'wallet_balance',
+            latency: 200,
+            success: true,
+            error_type: 'success',
+            wallet_reference: 'fixture',
+            missing_tokens: i,
+            response_size: 500
+        });
+    }
+});
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('summarize computes counts, latency percentiles, accuracy and cost', async () => {
+    const rows = await storage.summarize({ since: SINCE });
+    const alchemy = rows.find(r => r.provider === 'alchemy');
+    const latencies = Array.from({ length: 10 }, (_, i) => (i + 1) * 10);
+
+    assert.equal(alchemy.requests, 10);
+    assert.equal(alchemy.failed, 1);
+    assert.equal(alchemy.avg_latency, 55);
+    assert.equal(alchemy.p95_latency, percentile(latencies, 0.95));
+    assert.equal(alchemy.accurate, 5);
+    assert.equal(alchemy.with_accuracy, 9);
+    assert.ok(Math.abs(alchemy.avg_deviation - 0.4) < 1e-9);
+    assert.equal(alchemy.avg_staleness_ms, 1000);
+    assert.equal(alchemy.costed_requests, 10);
+    assert.ok(Math.abs(alchemy.total_cost_usd - 0.01) < 1e-12);
+    assert.equal(alchemy.accurate_successes, 5);
+
+    const mobula = rows.find(r => r.provider === 'mobula');
+    assert.equal(mobula.wallet_checks, 4);
+    assert.equal(mobula.avg_missing_tokens, 1.5);
+    assert.equal(mobula.with_accuracy, 0);
+    assert.equal(mobula.costed_requests, 0);
+    // Ungraded rows are not accurate successes
+    assert.equal(mobula.accurate_successes, 0);
+});
+
+test('errorBreakdown counts rows per provider and error type', async () => {
+    const rows = await storage.errorBreakdown({ since: SINCE });
+    const count = (provider, type) => rows.find(r => r.provider === provider && r.error_type === type)?.count;
+
+    assert.equal(count('alchemy', 'success'), 9);
+    assert.equal(count('alchemy', 'rate_limit'), 1);
+    assert.equal(count('mobula', 'success'), 4);
+});
+
+test('latencyBuckets groups rows into time buckets, oldest first', async () => {
+    const rows = await storage.latencyBuckets({ since: SINCE, bucketSeconds: 5 * 60, filters: { providers: ['alchemy'] } });
+
+    assert.deepEqual(rows.map(r => [r.bucket, r.requests]), [
+        ['2025-01-01T00:00:00.000Z', 5],
+        ['2025-01-01T00:05:00.000Z', 5]
+    ]);
+    assert.equal(rows[0].avg_latency, 30);
+});
+
+test('filters and the time window narrow every aggregate', async () => {
+    const byTestType = await storage.summarizeByTestType({ since: SINCE, filters: { testTypes: ['wallet'] } });
+    assert.deepEqual(byTestType.map(r => [r.provider, r.test_type, r.requests]), [['mobula', 'wallet_balance', 4]]);
+
+    const byToken = await storage.summarize({ since: SINCE, filters: { tokens: ['USDT'] } });
+    assert.deepEqual(byToken.map(r => r.provider), ['alchemy']);
+
+    const windowed = await storage.summarize({ since: SINCE, until: '2025-01-01T00:05:00.000Z' });
+    assert.deepEqual(windowed.map(r => [r.provider, r.requests]), [['alchemy', 5]]);
+});
+
+test('priceBuckets sums quotes and references per bucket', async () => {
+    const rows = await storage.priceBuckets({ since: SINCE, bucketSeconds: 60 * 60 });
+
+    assert.equal(rows.length, 1);
+    assert.equal(rows[0].price_count, 9);
+    assert.equal(rows[0].reference_count, 9);
+    assert.ok(Math.abs(rows[0].price_sum - (9 + 0.036)) < 1e-9);
+});
+
+test('recentOutcomes returns only the latest outcomes per provider, newest first', async () => {
+    const rows = await storage.recentOutcomes({ since: SINCE, limit: 2, filters: { providers: ['alchemy'] } });
+    assert.deepEqual(rows, [
+        { provider: 'alchemy', success: false, error_type: 'rate_limit' },
+        { provider: 'alchemy', success: true, error_type: 'success' }
+    ]);
+
+    const windowed = await storage.recentOutcomes({ since: SINCE, until: '2025-01-01T00:09:00.000Z', limit: 1 });
+    assert.deepEqual(windowed, [{ provider: 'alchemy', success: true, error_type: 'success' }]);
+});
+
+test('a cut-off last line from a crash mid-append is dropped on load', async t => {
+    t.mock.method(console, 'error', () => {});
+    const crashed = fs.mkdtempSync(path.join(os.tmpdir(), 'aggregate-crash-'));
+    t.after(() => fs.rmSync(crashed, { recursive: true, force: true }));
+    fs.copyFileSync(path.join(dir, 'schema.json'), path.join(crashed, 'schema.json'));
+    fs.writeFileSync(
+        path.join(crashed, 'benchmark_results.jsonl'),
+        fs.readFileSync(path.join(dir, 'benchmark_results.jsonl'), 'utf8') + '{"provider":"alch'
+    );
+
+    const reloaded = createJsonlStorage({ dir: crashed });
+    assert.equal((await reloaded.queryResults()).length, 14);
+
+    await reloaded.insertResult({ provider: 'codex', test_type: 'price_USDT', latency: 10, success: true });
+    assert.equal((await createJsonlStorage({ dir: crashed }).queryResults()).length, 15);
+});
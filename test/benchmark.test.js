@@ -0,0 +1,256 @@
+// test/benchmark.test.js - End to end: server.js benchmarking the mock provider
+// server, results read back through the API
+const fs = require('fs');
+const os = require('os');
+const net = require('net');
+const path = require('path');
+const { spawn } = require('child_process');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.TOKENS_FILE = path.join(__dirname, 'tokens.json');
+
+const { startMockServer } = require('../mock/provider-server');
+
+const WALLET = '0xd8dA6BF26964aF9D7eEd9e03E53415D37aA96045';
+
+let mock;
+let server;
+let baseUrl;
+let dir;
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer().listen(0, '127.0.0.1', () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+        probe.on('error', reject);
+    });
+}
+
+async function api(method, route, body) {
+    const response = await fetch(`${baseUrl}${route}`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+async function runJob(route, body) {
+    const started = await api('POST', route, body);
+    assert.equal(started.status, 202, JSON.stringify(started.body));
+
+    for (let attempt = 0; attempt < 200; attempt++) {
+        const { body: job } = await api('GET', `/api/jobs/${started.body.jobId}`);
+        if (!['queued', 'running'].includes(job.status)) {
+            assert.equal(job.status, 'completed', JSON.stringify(job));
+            return job;
+        }
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    throw new Error(`Job ${started.body.jobId} did not finish`);
+}
+
+test.before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'benchmark-'));
+    mock = await startMockServer({
+        scenario: {
+            providers: {
+                mobula: { driftBps: 300 },
+                goldrush: { sequence: ['429', 'ok', '500'] },
+                alchemy: { sequence: ['401'] }
+            }
+        }
+    });
+
+    const port = await freePort();
+    baseUrl = `http://127.0.0.1:${port}`;
+    server = spawn(process.execPath, ['server.js'], {
+        cwd: path.join(__dirname, '..'),
+        env: {
+            ...process.env,
+            PORT: String(port),
+            PROVIDER_BASE_URL: mock.url,
+            HTTP_FIXTURES: '',
+            STORAGE_BACKEND: 'jsonl',
+            STORAGE_DIR: path.join(dir, 'data'),
+            ALERTS_FILE: path.join(dir, 'alerts.json'),
+            SCHEDULES_FILE: path.join(dir, 'schedules.json'),
+            COSTS_FILE: path.join(dir, 'costs.json'),
+            API_KEYS_FILE: path.join(dir, 'api-keys.json'),
+            BUDGETS_FILE: path.join(dir, 'budgets.json'),
+            WALLET_FIXTURES_FILE: path.join(__dirname, 'wallet-fixtures.json'),
+            WALLET_RPC_URL: '',
+            REFERENCE_SOURCES: 'coingecko',
+            ALERT_INTERVAL_MS: '0',
+            ALCHEMY_API_KEY: 'test-key',
+            MOBULA_API_KEY: 'test-key',
+            CODEX_API_KEY: 'test-key',
+            GOLDRUSH_API_KEY: 'test-key'
+        },
+        stdio: ['ignore', 'ignore', 'inherit']
+    });
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            await api('GET', '/api/health');
+            break;
+        } catch (error) {
+            if (attempt > 100) throw error;
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+    }
+});
+
+test.after(async () => {
+    if (server) server.kill();
+    if (mock) await mock.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('price benchmark: failures are classified and drift is graded inaccurate', async () => {
+    await runJob('/api/run-price-benchmark', {
+        providers: ['alchemy', 'mobula', 'codex', 'goldrush'],
+        tokens: ['USDT', 'ETH'],
+        iterations: 2,
+        delayMs: 0
+    });
+
+    const { body: errors } = await api('GET', '/api/error-breakdown?test_type=price');
+    assert.deepEqual(errors.alchemy, { auth_error: 1, success: 3 });
+    assert.deepEqual(errors.goldrush, { rate_limit: 1, server_error: 1, success: 2 });
+    assert.deepEqual(errors.codex, { success: 4 });
+
+    const { body: summary } = await api('GET', '/api/summary?test_type=price');
+    const row = provider => summary.find(s => s.provider === provider);
+
+    assert.equal(row('codex').accuracy_rate, 100);
+    // 3% off: outside both the stablecoin (0.5%) and blue-chip (2%) tolerances
+    assert.equal(row('mobula').by_test_type.price_USDT.accuracy_rate, 0);
+    assert.equal(row('mobula').by_test_type.price_ETH.accuracy_rate, 0);
+    assert.ok(Math.abs(row('mobula').avg_deviation - 3) < 1e-6);
+    assert.equal(row('goldrush').failed, 2);
+});
+
+test('wallet benchmark: every provider matches the fixture portfolio', async () => {
+    await runJob('/api/run-wallet-benchmark', { walletAddress: WALLET, iterations: 1, delayMs: 0 });
+
+    const { body: summary } = await api('GET', '/api/summary?test_type=wallet');
+    ['alchemy', 'mobula', 'codex', 'goldrush'].forEach(provider => {
+        const row = summary.find(s => s.provider === provider);
+        assert.equal(row.wallet_checks, 1, provider);
+        assert.equal(row.accuracy_rate, 100, provider);
+        assert.equal(row.avg_missing_tokens, 0, provider);
+    });
+});
+
+test('invalid input is rejected with a 400 listing every problem', async () => {
+    const bad = await api('POST', '/api/run-wallet-benchmark', { walletAddress: '0xd8dA6BF26964aF9D7eEd9e03E53415D37aA9604', iterations: 0 });
+    assert.equal(bad.status, 400);
+    assert.equal(bad.body.problems.length, 2);
+    assert.match(bad.body.problems[1], /^walletAddress .* is not a valid ethereum address/);
+    assert.equal(bad.body.error, bad.body.problems.join('; '));
+
+    const summary = await api('GET', '/api/summary?range=2w&monthly_requests=0');
+    assert.equal(summary.status, 400);
+    assert.equal(summary.body.problems.length, 2);
+    assert.match(summary.body.problems[1], /^monthly_requests must be an integer/);
+
+    const token = await api('POST', '/api/tokens', { symbol: 'BONK', chain: 'solana', address: '0xdac17f958d2ee523a2206206994597c13d831ec7' });
+    assert.equal(token.status, 400);
+    assert.deepEqual(token.body.problems, ['Token address "0xdac17f958d2ee523a2206206994597c13d831ec7" is not a valid Solana address (base58, 32 bytes)']);
+});
+
+test('dataset benchmarks agree across providers', async () => {
+    await runJob('/api/run-metadata-benchmark', { tokens: ['USDT'], iterations: 1, delayMs: 0 });
+    await runJob('/api/run-transfers-benchmark', { walletAddress: WALLET, iterations: 1, delayMs: 0 });
+
+    const { body: summary } = await api('GET', '/api/summary?test_type=metadata,transfers');
+    summary.filter(s => s.requests > 0).forEach(row => {
+        assert.equal(row.failed, 0, row.provider);
+        assert.equal(row.accuracy_rate, 100, row.provider);
+    });
+});
+
+test('runs: every job is recorded and its rows can be read and compared by run id', async () => {
+    const first = await runJob('/api/run-price-benchmark', {
+        providers: ['codex', 'mobula'],
+        tokens: ['ETH'],
+        iterations: 2,
+        delayMs: 0,
+        notes: 'baseline'
+    });
+    const second = await runJob('/api/run-price-benchmark', {
+        providers: ['codex', 'mobula'],
+        tokens: ['ETH'],
+        iterations: 2,
+        delayMs: 0
+    });
+
+    const { body: runs } = await api('GET', '/api/runs?kind=price&limit=2');
+    assert.deepEqual(runs.map(run => run.id), [second.id, first.id]);
+
+    const { body: run } = await api('GET', `/api/runs/${first.id}`);
+    assert.equal(run.status, 'completed');
+    assert.equal(run.notes, 'baseline');
+    assert.equal(run.params.notes, undefined);
+    assert.deepEqual(run.params.providers, ['codex', 'mobula']);
+    assert.equal(run.app_version, require('../package.json').version);
+    assert.equal(run.node_version, process.version);
+    assert.ok(run.finished_at >= run.started_at);
+    // The reference quotes are stored as the source's reference_<token> rows, cost included
+    assert.deepEqual(run.summary.map(s => [s.provider, s.requests]), [['coingecko', 2], ['codex', 2], ['mobula', 2]]);
+
+    const { body: referenceRows } = await api('GET', `/api/summary?run_id=${first.id}&test_type=reference`);
+    assert.deepEqual(referenceRows.filter(s => s.requests > 0).map(s => [s.provider, s.requests]), [['coingecko', 2]]);
+
+    const { body: filtered } = await api('GET', `/api/summary?run_id=${second.id}`);
+    assert.equal(filtered.find(s => s.provider === 'codex').requests, 2);
+
+    const { status, body: comparison } = await api('GET', `/api/runs/compare?a=${first.id}&b=${second.id}`);
+    assert.equal(status, 200);
+    assert.equal(comparison.a.id, first.id);
+    const codex = comparison.providers.find(p => p.provider === 'codex');
+    assert.equal(codex.deltas.success_rate.delta, 0);
+    assert.equal(codex.deltas.success_rate.significance.significant, false);
+    assert.equal(codex.deltas.p50_latency.significance.test, 'mann-whitney-u');
+
+    const { body: edited } = await api('PATCH', `/api/runs/${second.id}`, { notes: 'after upgrade' });
+    assert.equal(edited.notes, 'after upgrade');
+
+    assert.equal((await api('GET', '/api/runs/compare?a=nope')).status, 400);
+    assert.equal((await api('GET', '/api/runs/00000000-0000-4000-8000-000000000000')).status, 404);
+});
+
+test('circuit breaker: a provider that keeps failing is skipped for the rest of the run', async () => {
+    await fetch(`${mock.url}/__mock/scenario`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ providers: { goldrush: { sequence: ['503', '503', '503'] } } })
+    });
+
+    try {
+        const job = await runJob('/api/run-price-benchmark', {
+            providers: ['codex', 'goldrush'],
+            tokens: ['ETH'],
+            iterations: 4,
+            delayMs: 0,
+            retries: 1,
+            retryDelayMs: 0,
+            breakerThreshold: 1
+        });
+
+        // First call: 503, retried once (503 again); the circuit then stays open
+        assert.equal(job.result.skipped, 3);
+        assert.deepEqual(job.result.circuits, { goldrush: { state: 'open', failures: 1, skipped: 3 } });
+        assert.equal(job.progress.skipped, 3);
+
+        const { body: errors } = await api('GET', `/api/error-breakdown?run_id=${job.id}`);
+        assert.deepEqual(errors.goldrush, { server_error: 1 });
+        assert.deepEqual(errors.codex, { success: 4 });
+    } finally {
+        await fetch(`${mock.url}/__mock/reset`, { method: 'POST' });
+    }
+});
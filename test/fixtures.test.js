@@ -0,0 +1,65 @@
+// test/fixtures.test.js - Recording provider responses and replaying them offline
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.TOKENS_FILE = path.join(__dirname, 'tokens.json');
+
+const { startMockServer } = require('../mock/provider-server');
+const { getProvider } = require('../providers');
+const { timedRequest } = require('../lib/http-timing');
+
+const WALLET = '0xd8da6bf26964af9d7eed9e03e53415d37aa96045';
+
+let dir;
+
+test.before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fixtures-'));
+    process.env.HTTP_FIXTURES_DIR = dir;
+});
+
+test.after(() => {
+    delete process.env.HTTP_FIXTURES;
+    delete process.env.PROVIDER_BASE_URL;
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('record, then replay without the provider and with another key', async () => {
+    const mock = await startMockServer();
+    process.env.PROVIDER_BASE_URL = mock.url;
+    process.env.ALCHEMY_API_KEY = 'recording-secret-key';
+
+    process.env.HTTP_FIXTURES = 'record';
+    const { url, options } = getProvider('alchemy').buildWalletRequest(WALLET);
+    const recorded = await timedRequest(url, options);
+    await mock.close();
+
+    const files = fs.readdirSync(dir, { recursive: true }).filter(f => f.endsWith('.json'));
+    assert.equal(files.length, 1);
+    const stored = fs.readFileSync(path.join(dir, files[0]), 'utf8');
+    assert.ok(!stored.includes('recording-secret-key'), 'API key is redacted');
+    assert.ok(stored.includes('/v2/<redacted>'));
+
+    process.env.HTTP_FIXTURES = 'replay';
+    process.env.ALCHEMY_API_KEY = 'another-key-entirely';
+    const request = getProvider('alchemy').buildWalletRequest(WALLET);
+    const replayed = await timedRequest(request.url, request.options);
+
+    assert.equal(replayed.status, 200);
+    assert.equal(replayed.body, recorded.body);
+    assert.deepEqual(replayed.timings, recorded.timings);
+});
+
+test('replay fails for a request that was never recorded', async () => {
+    process.env.HTTP_FIXTURES = 'replay';
+    const { url, options } = getProvider('goldrush').buildWalletRequest(WALLET);
+
+    await assert.rejects(timedRequest(url, options), /^Error: No fixture for GET .*balances_v2\/ \(HTTP_FIXTURES=replay\)$/);
+});
+
+test('an unknown HTTP_FIXTURES mode is refused', async () => {
+    process.env.HTTP_FIXTURES = 'rewind';
+    await assert.rejects(timedRequest('http://127.0.0.1:9/'), /HTTP_FIXTURES must be one of: record, replay/);
+});
@@ -0,0 +1,78 @@
+// test/grading.test.js - Error classification, price accuracy and the consensus reference
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { classifyError, validatePriceAccuracy, calculateDeviation, applyReference } = require('../lib/grading');
+const { buildConsensus } = require('../lib/reference');
+
+test('classifyError uses the network code, then the status, then the body', () => {
+    assert.equal(classifyError({ code: 'ETIMEDOUT' }), 'timeout');
+    assert.equal(classifyError({ code: 'ECONNREFUSED' }), 'network_error');
+    assert.equal(classifyError({ code: 'ECONNRESET' }), 'network_error');
+
+    assert.equal(classifyError({ statusCode: 429 }), 'rate_limit');
+    assert.equal(classifyError({ statusCode: 401 }), 'auth_error');
+    assert.equal(classifyError({ statusCode: 403 }), 'auth_error');
+    assert.equal(classifyError({ statusCode: 404 }), 'not_found');
+    assert.equal(classifyError({ statusCode: 408 }), 'timeout');
+    assert.equal(classifyError({ statusCode: 422 }), 'client_error');
+    assert.equal(classifyError({ statusCode: 500, body: { error: 'Internal server error' } }), 'server_error');
+    assert.equal(classifyError({ statusCode: 503, body: null }), 'server_error');
+
+    // Messages no longer decide: a 404 token name or "json" in a message is just text
+    assert.equal(classifyError({ statusCode: 400, body: { message: 'Token 0x404 not found in json index' } }), 'client_error');
+
+    assert.equal(classifyError({ statusCode: 200, parseFailed: true }), 'parse_error');
+    assert.equal(classifyError({ statusCode: 200, body: { errors: [{ message: 'x', extensions: { code: 'UNAUTHENTICATED' } }] } }), 'auth_error');
+    assert.equal(classifyError({ statusCode: 200, body: { errors: [{ message: 'Too many requests', extensions: { code: 'RATE_LIMITED' } }] } }), 'rate_limit');
+    assert.equal(classifyError({ statusCode: 200, body: { errors: [{ message: 'Cannot query field' }] } }), 'provider_error');
+    assert.equal(classifyError({ statusCode: 200, body: { error: true, error_code: 429, error_message: 'Slow down' } }), 'rate_limit');
+    assert.equal(classifyError({ statusCode: 200, body: { error: 'Something else' } }), 'provider_error');
+    assert.equal(classifyError(), 'unknown_error');
+});
+
+test('validatePriceAccuracy applies the tolerance in basis points', () => {
+    assert.equal(validatePriceAccuracy(1.004, 1, 50), true);
+    assert.equal(validatePriceAccuracy(1.006, 1, 50), false);
+    assert.equal(validatePriceAccuracy(0.996, 1, 50), true);
+    assert.equal(validatePriceAccuracy(3100, 3000, 500), true);
+    assert.equal(validatePriceAccuracy(0, 1, 500), false);
+    assert.equal(validatePriceAccuracy(1, null, 500), false);
+});
+
+test('calculateDeviation is signed percent from the reference', () => {
+    assert.ok(Math.abs(calculateDeviation(1.02, 1) - 2) < 1e-9);
+    assert.ok(Math.abs(calculateDeviation(2970, 3000) + 1) < 1e-9);
+    assert.equal(calculateDeviation(1, 0), null);
+});
+
+test('applyReference grades a result or leaves it ungraded', () => {
+    const graded = applyReference({ priceValue: 1.01, toleranceBps: 50 }, { price: 1, sources: ['coingecko'], method: 'median' });
+    assert.equal(graded.isAccurate, false);
+    assert.ok(Math.abs(graded.deviation - 1) < 1e-9);
+    assert.deepEqual(graded.referenceSources, ['coingecko']);
+
+    const ungraded = applyReference({ priceValue: 1.01, toleranceBps: 50 }, null);
+    assert.equal(ungraded.isAccurate, null);
+    assert.equal(ungraded.deviation, null);
+    assert.equal(ungraded.referencePrice, null);
+});
+
+test('buildConsensus excludes the provider under test and needs minSources', () => {
+    const quotes = [
+        { source: 'coingecko', price: 1.0 },
+        { source: 'mobula', price: 1.2 },
+        { source: 'codex', price: 1.1 }
+    ];
+    const options = { method: 'median', excludeSelf: true, minSources: 1 };
+
+    assert.deepEqual(buildConsensus(quotes, options, 'mobula'), { price: 1.05, sources: ['coingecko', 'codex'], method: 'median' });
+    assert.equal(buildConsensus(quotes, options, 'alchemy').price, 1.1);
+    assert.equal(buildConsensus(quotes, { ...options, minSources: 3 }, 'mobula'), null);
+    assert.equal(buildConsensus(quotes, { ...options, excludeSelf: false, minSources: 3 }, 'mobula').price, 1.1);
+});
+
+test('buildConsensus trimmed_mean drops the outer quotes', () => {
+    const quotes = [1, 1.01, 1.02, 0.99, 5].map((price, i) => ({ source: `s${i}`, price }));
+    const consensus = buildConsensus(quotes, { method: 'trimmed_mean', excludeSelf: true, minSources: 1 }, 'other');
+    assert.ok(Math.abs(consensus.price - 1.01) < 1e-9);
+});
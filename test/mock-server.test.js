@@ -0,0 +1,102 @@
+// test/mock-server.test.js - Scenario validation and failure injection of the mock provider server
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.TOKENS_FILE = path.join(__dirname, 'tokens.json');
+
+const { startMockServer, normalizeScenario } = require('../mock/provider-server');
+
+const USDT = '0xdac17f958d2ee523a2206206994597c13d831ec7';
+
+let mock;
+
+test.before(async () => {
+    mock = await startMockServer();
+});
+
+test.after(() => mock.close());
+
+function setScenario(scenario) {
+    return fetch(`${mock.url}/__mock/scenario`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(scenario)
+    });
+}
+
+function mobulaPrice() {
+    return fetch(`${mock.url}/mobula/api/2/token/price?address=${USDT}&blockchain=Ethereum`);
+}
+
+test('normalizeScenario lists every problem', () => {
+    assert.throws(
+        () => normalizeScenario({ latencyMs: -1, failures: { 429: 2, teapot: 0.1 }, sequence: ['ok', 418], providers: { nope: {} } }),
+        error => {
+            const problems = error.message.split('; ');
+            assert.deepEqual(problems, [
+                'latencyMs must be a non-negative number',
+                'failures.429 must be between 0 and 1',
+                'failures.teapot is not a failure outcome (expected 429, 401, 500, 502, 503, malformed, graphql_error, hang)',
+                'failures must add up to at most 1',
+                'sequence: unknown outcome "418" (expected ok, 429, 401, 500, 502, 503, malformed, graphql_error, hang)',
+                'providers.nope: unknown provider (expected alchemy, mobula, codex, coingecko, goldrush)'
+            ]);
+            return true;
+        }
+    );
+});
+
+test('PUT /__mock/scenario rejects an invalid scenario with 400', async () => {
+    const response = await setScenario({ driftBps: 'high' });
+    assert.equal(response.status, 400);
+    assert.deepEqual(await response.json(), { error: 'driftBps must be a number' });
+});
+
+test('a sequence scripts outcomes in order, then requests succeed', async () => {
+    await setScenario({ sequence: ['429', '401', '500', '503', 'malformed'] });
+
+    const rateLimited = await mobulaPrice();
+    assert.equal(rateLimited.status, 429);
+    assert.equal(rateLimited.headers.get('retry-after'), '1');
+    assert.equal((await rateLimited.json()).message, 'Rate limit exceeded');
+
+    assert.equal((await mobulaPrice()).status, 401);
+    assert.equal((await mobulaPrice()).status, 500);
+
+    const unavailable = await mobulaPrice();
+    assert.equal(unavailable.status, 503);
+    assert.match(await unavailable.text(), /^<html>/);
+
+    const malformed = await mobulaPrice();
+    assert.equal(malformed.status, 200);
+    await assert.rejects(malformed.json(), SyntaxError);
+
+    const ok = await mobulaPrice();
+    assert.equal(ok.status, 200);
+    assert.equal((await ok.json()).data.priceUSD, 1);
+
+    const counts = await (await fetch(`${mock.url}/__mock/requests`)).json();
+    assert.deepEqual(counts.mobula, { 429: 1, 401: 1, 500: 1, 503: 1, malformed: 1, ok: 1 });
+});
+
+test('per-provider drift and latency apply to that provider only', async () => {
+    await setScenario({ providers: { mobula: { driftBps: 300, latencyMs: 150 } } });
+
+    const start = performance.now();
+    const drifted = await (await mobulaPrice()).json();
+    assert.ok(performance.now() - start >= 140);
+    assert.ok(Math.abs(drifted.data.priceUSD - 1.03) < 1e-9);
+
+    const reference = await (await fetch(`${mock.url}/coingecko/api/v3/simple/token_price/ethereum?contract_addresses=${USDT}&vs_currencies=usd`)).json();
+    assert.equal(reference[USDT].usd, 1);
+});
+
+test('POST /__mock/reset restores the startup scenario', async () => {
+    await setScenario({ failures: { 500: 1 } });
+    assert.equal((await mobulaPrice()).status, 500);
+
+    await fetch(`${mock.url}/__mock/reset`, { method: 'POST' });
+    assert.equal((await mobulaPrice()).status, 200);
+    assert.deepEqual(await (await fetch(`${mock.url}/__mock/requests`)).json(), { mobula: { ok: 1 } });
+});
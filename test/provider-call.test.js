@@ -0,0 +1,196 @@
+// test/provider-call.test.js - Error model, retries and circuit breaking of provider calls
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.TOKENS_FILE = path.join(__dirname, 'tokens.json');
+
+const { startMockServer } = require('../mock/provider-server');
+const { callProvider } = require('../lib/provider-call');
+const { runLoadTest } = require('../lib/load-test');
+const { createCircuitBreaker } = require('../lib/circuit-breaker');
+
+const USDT = '0xdac17f958d2ee523a2206206994597c13d831ec7';
+
+let mock;
+
+test.before(async () => {
+    mock = await startMockServer();
+});
+
+test.after(() => mock.close());
+
+async function scenario(sequence) {
+    await fetch(`${mock.url}/__mock/scenario`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ sequence })
+    });
+}
+
+function mobulaPrice(settings = {}) {
+    return callProvider(`${mock.url}/mobula/api/2/token/price?address=${USDT}&blockchain=Ethereum`, { method: 'GET' }, {
+        timeoutMs: 2000,
+        connectionMode: 'cold',
+        ...settings
+    });
+}
+
+test('every failure outcome gets a status-driven error type and a readable message', async () => {
+    const expected = {
+        '429': ['rate_limit', 429, 'Rate limit exceeded'],
+        '401': ['auth_error', 401, 'Unauthorized: invalid API key'],
+        '500': ['server_error', 500, 'Internal server error'],
+        '503': ['server_error', 503, 'HTTP 503 Service Unavailable'],
+        malformed: ['parse_error', 200, 'Response is not valid JSON'],
+        graphql_error: ['server_error', 200, 'Mock: internal error']
+    };
+
+    for (const [outcome, [errorType, statusCode, errorMessage]] of Object.entries(expected)) {
+        await scenario([outcome]);
+        const result = await mobulaPrice();
+        assert.equal(result.success, false, outcome);
+        assert.deepEqual([result.errorType, result.statusCode, result.errorMessage], [errorType, statusCode, errorMessage], outcome);
+        assert.equal(result.retries, 0, outcome);
+    }
+
+    await scenario([]);
+    const ok = await mobulaPrice();
+    assert.equal(ok.success, true);
+    assert.equal(ok.errorType, 'success');
+    assert.ok(ok.timings.parse >= 0);
+});
+
+test('a request without a response is a timeout or network error', async () => {
+    await scenario(['hang']);
+    const hung = await mobulaPrice({ timeoutMs: 200 });
+    assert.equal(hung.errorType, 'timeout');
+    assert.equal(hung.statusCode, null);
+
+    const refused = await callProvider('http://127.0.0.1:1/', { method: 'GET' }, { timeoutMs: 2000 });
+    assert.equal(refused.errorType, 'network_error');
+});
+
+test('a cancelled job aborts the request in flight and the wait before a retry', async () => {
+    await scenario(['hang']);
+    const hung = new AbortController();
+    setTimeout(() => hung.abort(), 100);
+    let started = Date.now();
+    const aborted = await mobulaPrice({ signal: hung.signal });
+    assert.equal(aborted.success, false);
+    assert.equal(aborted.retries, 0);
+    assert.ok(Date.now() - started < 1000);
+
+    await scenario(['500', 'ok']);
+    const waiting = new AbortController();
+    setTimeout(() => waiting.abort(), 100);
+    started = Date.now();
+    const stopped = await mobulaPrice({ retry: { retries: 3, retryDelayMs: 5000 }, signal: waiting.signal });
+    assert.equal(stopped.errorType, 'server_error');
+    assert.ok(Date.now() - started < 1000);
+});
+
+test('cancelling a load test aborts its requests and the wait between rps ticks', async t => {
+    t.mock.method(console, 'log', () => {});
+    await scenario(['hang']);
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 100);
+    const stored = [];
+    const started = Date.now();
+
+    const reports = await runLoadTest({
+        providers: ['mobula'],
+        mode: 'rps',
+        levels: [1, 2],
+        stepDurationMs: 10000,
+        rateLimitThreshold: 1,
+        stopOnRateLimit: false,
+        execute: () => mobulaPrice({ timeoutMs: 10000, signal: controller.signal }),
+        onStepResults: async (provider, results) => stored.push(...results),
+        signal: controller.signal,
+        progress: () => {}
+    });
+
+    assert.ok(Date.now() - started < 1000);
+    assert.deepEqual(reports[0].steps, []);
+    assert.deepEqual(stored, []);
+});
+
+test('cancelling a wallet job aborts its reference RPC call', async () => {
+    // Read when the module loads, so point it at the mock before requiring
+    process.env.WALLET_RPC_URL = `${mock.url}/alchemy/v2/demo`;
+    const { fetchWalletReference } = require('../lib/wallet-reference');
+
+    await scenario(['hang']);
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 100);
+    const started = Date.now();
+
+    await assert.rejects(
+        fetchWalletReference('0x000000000000000000000000000000000000dEaD', [], { timeoutMs: 10000, signal: controller.signal }),
+        { code: 'ABORT_ERR' }
+    );
+    assert.ok(Date.now() - started < 1000);
+});
+
+test('transient failures are retried with backoff, permanent ones are not', async () => {
+    await scenario(['500', '503', 'ok']);
+    const recovered = await mobulaPrice({ retry: { retries: 3, retryDelayMs: 10 } });
+    assert.equal(recovered.success, true);
+    assert.equal(recovered.retries, 2);
+
+    await scenario(['500', '500', '500']);
+    const exhausted = await mobulaPrice({ retry: { retries: 1, retryDelayMs: 10 } });
+    assert.equal(exhausted.errorType, 'server_error');
+    assert.equal(exhausted.retries, 1);
+
+    await scenario(['401', 'ok']);
+    const auth = await mobulaPrice({ retry: { retries: 3, retryDelayMs: 10 } });
+    assert.equal(auth.errorType, 'auth_error');
+    assert.equal(auth.retries, 0);
+
+    // The mock's 429 sends Retry-After: 1, which wins over retryDelayMs
+    await scenario(['429', 'ok']);
+    const started = Date.now();
+    const limited = await mobulaPrice({ retry: { retries: 1, retryDelayMs: 0 } });
+    assert.equal(limited.success, true);
+    assert.ok(Date.now() - started >= 1000);
+});
+
+test('the circuit opens after consecutive failures and half-opens after the cooldown', () => {
+    let clock = 0;
+    const changes = [];
+    const breaker = createCircuitBreaker({
+        threshold: 2,
+        cooldownMs: 1000,
+        now: () => clock,
+        onChange: (provider, state) => changes.push(`${provider}:${state}`)
+    });
+
+    breaker.record('codex', false);
+    breaker.record('codex', true);
+    breaker.record('codex', false);
+    assert.equal(breaker.allow('codex'), true);
+    breaker.record('codex', false);
+
+    assert.equal(breaker.allow('codex'), false);
+    assert.equal(breaker.allow('mobula'), true);
+    assert.equal(breaker.skipped(), 1);
+
+    clock = 1000;
+    assert.equal(breaker.allow('codex'), true);
+    breaker.record('codex', false);
+    assert.equal(breaker.allow('codex'), false);
+
+    clock = 2000;
+    assert.equal(breaker.allow('codex'), true);
+    breaker.record('codex', true);
+    assert.equal(breaker.allow('codex'), true);
+
+    assert.deepEqual(changes, ['codex:open', 'codex:half_open', 'codex:open', 'codex:half_open', 'codex:closed']);
+    assert.deepEqual(breaker.report(), { codex: { state: 'closed', failures: 0, skipped: 2 } });
+
+    const disabled = createCircuitBreaker({ threshold: 0, cooldownMs: 1000 });
+    for (let i = 0; i < 10; i++) disabled.record('codex', false);
+    assert.equal(disabled.allow('codex'), true);
+});
@@ -0,0 +1,118 @@
+// test/providers.test.js - Every built-in adapter against the mock provider server:
+// request building with a base URL override, and extraction of each capability
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// Fixed token list (USDT and ETH), whatever config/tokens.json holds
+process.env.TOKENS_FILE = path.join(__dirname, 'tokens.json');
+
+const { startMockServer } = require('../mock/provider-server');
+const { baseUrlFor, getProvider, listProviders, extractPrice, extractPriceTimestamp, extractHoldings } = require('../providers');
+const { getToken, resolveNetwork } = require('../lib/tokens');
+const { extractDataset } = require('../lib/datasets');
+const { timedRequest } = require('../lib/http-timing');
+
+const WALLET = '0xd8da6bf26964af9d7eed9e03e53415d37aa96045';
+const KEYS = ['ALCHEMY_API_KEY', 'MOBULA_API_KEY', 'CODEX_API_KEY', 'GOLDRUSH_API_KEY'];
+
+let mock;
+
+test.before(async () => {
+    mock = await startMockServer({ scenario: { quoteAgeMs: 5000 } });
+    process.env.PROVIDER_BASE_URL = mock.url;
+    KEYS.forEach(name => { process.env[name] = 'test-key'; });
+});
+
+test.after(async () => {
+    delete process.env.PROVIDER_BASE_URL;
+    await mock.close();
+});
+
+async function call({ url, options }) {
+    const response = await timedRequest(url, { ...options, timeoutMs: 5000 });
+    assert.equal(response.status, 200, `${url}: ${response.body}`);
+    return JSON.parse(response.body);
+}
+
+test('base URL overrides: per provider beats PROVIDER_BASE_URL', () => {
+    assert.equal(baseUrlFor('mobula'), `${mock.url}/mobula`);
+
+    process.env.MOBULA_BASE_URL = 'http://gateway.internal/mobula-eu';
+    try {
+        const token = getToken('USDT');
+        const { url } = getProvider('mobula').buildPriceRequest(token, 'Ethereum');
+        assert.equal(url, `http://gateway.internal/mobula-eu/api/2/token/price?address=${token.address}&blockchain=Ethereum`);
+    } finally {
+        delete process.env.MOBULA_BASE_URL;
+    }
+});
+
+test('capabilityChains: Alchemy metadata is EVM-only, its Solana prices are not', () => {
+    const alchemy = getProvider('alchemy');
+    const bonk = { id: 'BONK', chain: 'solana', address: 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263', networks: {} };
+
+    assert.equal(resolveNetwork(alchemy, bonk, 'metadata'), null);
+    assert.equal(resolveNetwork(alchemy, bonk, 'price'), 'solana-mainnet');
+    assert.equal(resolveNetwork(alchemy, getToken('USDT'), 'metadata'), 'eth-mainnet');
+});
+
+for (const adapter of listProviders('price')) {
+    test(`${adapter.name}: price and quote timestamp`, async () => {
+        for (const [tokenId, expected] of [['USDT', 1], ['ETH', 3000]]) {
+            const token = getToken(tokenId);
+            const data = await call(adapter.buildPriceRequest(token, resolveNetwork(adapter, token)));
+
+            assert.ok(Math.abs(extractPrice(adapter.name, data, token) - expected) < 1e-6, `${tokenId} price`);
+            const timestamp = extractPriceTimestamp(adapter.name, data, token);
+            if (adapter.extractPriceTimestamp) {
+                assert.ok(Math.abs(Date.now() - timestamp - 5000) < 3000, `${tokenId} quote age`);
+            }
+        }
+    });
+}
+
+for (const adapter of listProviders('wallet')) {
+    test(`${adapter.name}: wallet holdings`, async () => {
+        const data = await call(adapter.buildWalletRequest(WALLET));
+        const holdings = extractHoldings(adapter.name, data);
+        const usdt = holdings.find(h => h.address === getToken('USDT').address.toLowerCase());
+
+        assert.equal(holdings.length, 2);
+        assert.equal(usdt.balance, '1000000000');
+    });
+}
+
+for (const adapter of listProviders('metadata')) {
+    test(`${adapter.name}: token metadata`, async () => {
+        const token = getToken('USDT');
+        const data = await call(adapter.buildMetadataRequest(token, resolveNetwork(adapter, token)));
+        assert.deepEqual(extractDataset('metadata', adapter.name, data), { name: 'Tether USD', symbol: 'USDT', decimals: 6 });
+    });
+}
+
+for (const adapter of listProviders('ohlcv')) {
+    test(`${adapter.name}: hourly candles`, async () => {
+        const token = getToken('ETH');
+        const to = Date.now();
+        const params = { interval: '1h', from: to - 6 * 60 * 60 * 1000, to };
+        const data = await call(adapter.buildOhlcvRequest(token, resolveNetwork(adapter, token), params));
+        const candles = extractDataset('ohlcv', adapter.name, data, params);
+
+        assert.ok(candles.length >= 5, `${candles.length} candles`);
+        candles.forEach(candle => assert.ok(Math.abs(candle.close - 3000) < 1e-6));
+    });
+}
+
+for (const adapter of listProviders('transfers')) {
+    test(`${adapter.name}: transfer history`, async () => {
+        const data = await call(adapter.buildTransfersRequest(WALLET, { limit: 10 }));
+        const transfers = extractDataset('transfers', adapter.name, data);
+
+        assert.equal(transfers.length, 6);
+        transfers.forEach(transfer => {
+            assert.match(transfer.hash, /^0x[0-9a-f]{64}$/);
+            assert.ok(transfer.from === WALLET || transfer.to === WALLET);
+        });
+    });
+}
@@ -0,0 +1,93 @@
+// test/runs.test.js - Significance tests and run-to-run comparison
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalCdf, mannWhitneyU, twoProportionTest } = require('../lib/stats');
+const { compareRuns, parseCompareQuery, parseRunUpdate } = require('../lib/runs');
+
+const RUN_A = '11111111-1111-4111-8111-111111111111';
+const RUN_B = '22222222-2222-4222-8222-222222222222';
+
+function close(actual, expected, tolerance = 1e-4) {
+    assert.ok(Math.abs(actual - expected) < tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+}
+
+test('normalCdf matches the standard normal table', () => {
+    close(normalCdf(0), 0.5);
+    close(normalCdf(1.96), 0.975);
+    close(normalCdf(-1), 0.158655);
+});
+
+test('mannWhitneyU separates shifted samples and not identical ones', () => {
+    const separated = mannWhitneyU([1, 2, 3, 4, 5], [6, 7, 8, 9, 10]);
+    assert.equal(separated.u, 0);
+    close(separated.p_value, 0.009024);
+
+    const same = mannWhitneyU([1, 2, 3], [1, 2, 3]);
+    assert.equal(same.u, 4.5);
+    close(same.p_value, 1);
+
+    assert.equal(mannWhitneyU([1], [2, 3]), null);
+    assert.deepEqual(mannWhitneyU([5, 5], [5, 5]), { u: 2, z: 0, p_value: 1 });
+});
+
+test('twoProportionTest compares success rates', () => {
+    const result = twoProportionTest(90, 100, 70, 100);
+    close(result.z, 3.535534);
+    close(result.p_value, 0.000407);
+
+    assert.equal(twoProportionTest(1, 0, 1, 1), null);
+    assert.deepEqual(twoProportionTest(10, 10, 5, 5), { z: 0, p_value: 1 });
+});
+
+test('compareRuns reports deltas against run a with significance', () => {
+    const stats = (requests, failed, avgLatency) => ({
+        provider: 'codex',
+        requests,
+        failed,
+        accurate: requests - failed,
+        with_accuracy: requests - failed,
+        avg_latency: avgLatency,
+        p50_latency: avgLatency,
+        p95_latency: avgLatency * 2,
+        costed_requests: 0,
+        total_cost_usd: 0
+    });
+    const sample = (from, count) => Array.from({ length: count }, (_, i) => ({ provider: 'codex', latency: from + i }));
+
+    const comparison = compareRuns(
+        { run: { id: RUN_A }, stats: [stats(100, 0, 110)], sample: sample(100, 20) },
+        { run: { id: RUN_B }, stats: [stats(100, 20, 220), { ...stats(10, 0, 50), provider: 'mobula' }], sample: sample(200, 20) }
+    );
+
+    assert.equal(comparison.alpha, 0.05);
+    assert.deepEqual(comparison.providers.map(p => p.provider), ['codex', 'mobula']);
+
+    const codex = comparison.providers[0];
+    assert.equal(codex.deltas.avg_latency.delta, 110);
+    assert.equal(codex.deltas.avg_latency.delta_pct, 100);
+    assert.equal(codex.deltas.avg_latency.significance.test, 'mann-whitney-u');
+    assert.equal(codex.deltas.avg_latency.significance.significant, true);
+    assert.equal(codex.deltas.success_rate.delta, -20);
+    assert.equal(codex.deltas.success_rate.significance.test, 'two-proportion-z');
+    assert.equal(codex.deltas.success_rate.significance.significant, true);
+    assert.equal(codex.deltas.accuracy_rate.delta, 0);
+    assert.equal(codex.deltas.accuracy_rate.significance.significant, false);
+    assert.deepEqual(codex.deltas.avg_cost_usd, { delta: null, delta_pct: null, significance: null });
+
+    // Only in run b: nothing to compare against
+    assert.equal(comparison.providers[1].a, null);
+    assert.equal(comparison.providers[1].deltas, null);
+});
+
+test('run query and body parsing reports every problem', () => {
+    assert.deepEqual(parseCompareQuery({ a: RUN_A, b: RUN_B }), { a: RUN_A, b: RUN_B, alpha: 0.05 });
+    assert.throws(
+        () => parseCompareQuery({ a: 'x', alpha: '2' }),
+        /Invalid run id "x" for a; b \(run id\) is required; alpha must be a number between 0 and 1/
+    );
+
+    assert.deepEqual(parseRunUpdate({ notes: ' rerun ' }), { notes: 'rerun' });
+    assert.deepEqual(parseRunUpdate({ notes: null }), { notes: null });
+    assert.throws(() => parseRunUpdate({}), /notes is required/);
+    assert.throws(() => parseRunUpdate({ notes: 'x'.repeat(1001) }), /at most 1000/);
+});
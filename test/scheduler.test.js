@@ -0,0 +1,51 @@
+// test/scheduler.test.js - Cron expressions and schedule firings
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// lib/scheduler.js reads its file path on require
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scheduler-'));
+process.env.SCHEDULES_FILE = path.join(dir, 'schedules.json');
+
+const { parseCron, nextRun } = require('../lib/cron');
+const { startScheduler, createSchedule, getSchedule, deleteSchedule } = require('../lib/scheduler');
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('impossible day and month combinations are rejected without searching', () => {
+    const started = Date.now();
+    assert.throws(() => parseCron('0 0 31 2 *'), /never matches/);
+    assert.throws(() => parseCron('0 0 31 4,6,9,11 *'), /never matches/);
+    assert.ok(Date.now() - started < 100);
+
+    // Feb 29 exists in leap years, and a day of week can match on its own
+    assert.equal(nextRun('0 0 29 2 *', new Date(2025, 0, 1)).getFullYear(), 2028);
+    assert.equal(nextRun('0 0 31 2 1', new Date(2025, 0, 1)).getTime(), new Date(2025, 1, 3).getTime());
+});
+
+test('a firing that fails partway keeps the jobs it already queued', t => {
+    t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: new Date(2025, 0, 1, 12, 0, 30) });
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'error', () => {});
+
+    let created = 0;
+    startScheduler({
+        wallet: {
+            validate: () => {},
+            submit: (schedule, queued) => schedule.addresses.forEach(() => {
+                if (created === 2) throw new Error('Job queue is full');
+                queued({ id: `job-${++created}` });
+            })
+        }
+    });
+
+    const schedule = createSchedule({ kind: 'wallet', cron: '* * * * *', jitterMs: 0, addresses: ['a', 'b', 'c'] });
+    t.mock.timers.tick(30 * 1000);
+
+    const fired = getSchedule(schedule.id);
+    assert.deepEqual(fired.lastJobIds, ['job-1', 'job-2']);
+    assert.equal(fired.lastError, 'Job queue is full');
+    deleteSchedule(schedule.id);
+});
@@ -0,0 +1,52 @@
+// test/tokens.test.js - Token validation and loading a tokens file with bad entries
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const USDC = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48';
+
+// lib/tokens.js reads its file on require
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tokens-'));
+const file = path.join(dir, 'tokens.json');
+const BAD_ENTRY = { id: 'BAD', symbol: 'BAD', chain: 'ethereum', address: USDC.replace('A0b', 'a0B') };
+fs.writeFileSync(file, JSON.stringify([
+    { id: 'USDC', symbol: 'USDC', chain: 'ethereum', address: USDC },
+    BAD_ENTRY,
+    'not a token'
+]));
+process.env.TOKENS_FILE = file;
+
+const errors = [];
+const consoleError = console.error;
+console.error = message => errors.push(message);
+const { listTokens, addToken, removeToken } = require('../lib/tokens');
+console.error = consoleError;
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('invalid entries in the tokens file are logged and skipped, then saved back as they were', () => {
+    assert.deepEqual(listTokens().map(t => t.id), ['USDC']);
+    assert.equal(errors.length, 2);
+    assert.match(errors[0], /Skipping token "BAD" in .*tokens\.json: Token address .* has an invalid EIP-55 checksum/);
+    assert.match(errors[1], /Skipping token #3 in .*tokens\.json: Token must be an object/);
+
+    addToken({ symbol: 'DAI', chain: 'ethereum', address: '0x6b175474e89094c44da98b954eedeac495271d0f' });
+    removeToken('DAI');
+    assert.deepEqual(JSON.parse(fs.readFileSync(file, 'utf8')).slice(1), [BAD_ENTRY, 'not a token']);
+});
+
+test('a token with several bad fields lists every problem', () => {
+    assert.throws(() => addToken({ symbol: '', chain: 'solana', address: USDC, networks: { codex: 'a b', goldrush: 'x/y' }, toleranceBps: 0 }), error => {
+        assert.deepEqual(error.problems, [
+            'Token symbol is required',
+            'Token id "" must be 1-32 letters, digits, "_" or "-"',
+            `Token address "${USDC}" is not a valid Solana address (base58, 32 bytes)`,
+            'Token networks.codex must be an integer or 1-64 letters, digits, "_" or "-"',
+            'Token networks.goldrush must be an integer or 1-64 letters, digits, "_" or "-"',
+            'Token toleranceBps must be a number between 0 (exclusive) and 10000'
+        ]);
+        return true;
+    });
+});
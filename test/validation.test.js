@@ -0,0 +1,98 @@
+// test/validation.test.js - Address validation and injection-safe provider requests
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.TOKENS_FILE = path.join(__dirname, 'tokens.json');
+
+const { keccak256 } = require('../lib/keccak');
+const { toChecksumAddress, addressProblem } = require('../lib/validation');
+const { parseRunOptions, parseLoadOptions } = require('../lib/run-options');
+const { getProvider } = require('../providers');
+
+const WALLET = '0xd8dA6BF26964aF9D7eEd9e03E53415D37aA96045';
+const USDC_MINT = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+
+test('keccak256 matches the Ethereum test vectors', () => {
+    assert.equal(keccak256(''), 'c5d2460186f7233c927e7db2dcc703c0e500b653ca82273b7bfad8045d85a470');
+    assert.equal(keccak256('abc'), '4e03657aea45a94fc7d47ba826c8d667c0d1e6e33a64a036ec44f58fa12d6c45');
+});
+
+test('EVM addresses need 40 hex digits and, in mixed case, a valid EIP-55 checksum', () => {
+    assert.equal(toChecksumAddress(WALLET.toLowerCase()), WALLET);
+    assert.equal(toChecksumAddress('0x5aaeb6053f3e94c9b9a09f33669435e7ef1beaed'), '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed');
+
+    assert.equal(addressProblem('walletAddress', WALLET), null);
+    assert.equal(addressProblem('walletAddress', WALLET.toLowerCase()), null);
+    assert.equal(addressProblem('walletAddress', '0x' + WALLET.slice(2).toUpperCase()), null);
+
+    assert.match(addressProblem('walletAddress', WALLET.replace('dA6', 'Da6')), /invalid EIP-55 checksum \(expected 0xd8dA6BF2/);
+    assert.match(addressProblem('walletAddress', '0x123'), /not a valid ethereum address/);
+    assert.match(addressProblem('walletAddress', `${WALLET}"}) { x }`), /not a valid ethereum address/);
+    assert.equal(addressProblem('walletAddress', undefined), 'walletAddress is required');
+});
+
+test('Solana addresses must be base58 public keys of 32 bytes', () => {
+    assert.equal(addressProblem('address', USDC_MINT, 'solana'), null);
+    assert.equal(addressProblem('address', '11111111111111111111111111111111', 'solana'), null);
+
+    assert.match(addressProblem('address', USDC_MINT.replace('E', '0'), 'solana'), /not a valid Solana address/);
+    assert.match(addressProblem('address', USDC_MINT.slice(0, 30), 'solana'), /not a valid Solana address/);
+    assert.match(addressProblem('address', WALLET, 'solana'), /not a valid Solana address/);
+});
+
+test('run parsing reports bad addresses and reference fields along with every other problem', () => {
+    assert.equal(parseRunOptions('wallet', { walletAddress: WALLET }, { wallet: true }).walletAddress, WALLET);
+
+    try {
+        parseRunOptions('transfers', { walletAddress: 'vitalik.eth', iterations: 0 }, { wallet: true });
+        assert.fail('expected a validation error');
+    } catch (error) {
+        assert.deepEqual(error.problems, [
+            'iterations must be an integer between 1 and 500',
+            'walletAddress "vitalik.eth" is not a valid ethereum address (0x followed by 40 hex digits)'
+        ]);
+        assert.equal(error.message, error.problems.join('; '));
+    }
+
+    try {
+        parseRunOptions('price', { reference: { sources: 'coingecko', excludeSelf: 'no', minSource: 2 } });
+        assert.fail('expected a validation error');
+    } catch (error) {
+        assert.deepEqual(error.problems, [
+            'Unknown reference field "minSource" (expected sources, method, excludeSelf, minSources)',
+            'reference.sources must be a non-empty array',
+            'reference.excludeSelf must be true or false'
+        ]);
+    }
+    assert.equal(parseRunOptions('price', { reference: { excludeSelf: false } }).reference.excludeSelf, false);
+
+    assert.throws(() => parseLoadOptions({ kind: 'wallet' }), /walletAddress is required/);
+    assert.throws(() => parseLoadOptions({ kind: 'balance', mode: 'burst', providers: ['nope'] }), error => {
+        assert.deepEqual(error.problems, [
+            'kind must be "price" or "wallet"',
+            'mode must be one of: concurrency, rps',
+            'Unknown provider: nope'
+        ]);
+        return true;
+    });
+});
+
+test('provider requests carry inputs as GraphQL variables and encoded query parameters', () => {
+    const hostile = 'abc" }) { __schema { types { name } } } #&x=1';
+    const token = { id: 'X', symbol: 'X', chain: 'ethereum', address: hostile, networks: {} };
+
+    const codex = JSON.parse(getProvider('codex').buildPriceRequest(token, 1).options.body);
+    assert.ok(!codex.query.includes(hostile));
+    assert.deepEqual(codex.variables, { inputs: [{ address: hostile, networkId: 1 }] });
+
+    const wallet = JSON.parse(getProvider('codex').buildWalletRequest(hostile).options.body);
+    assert.equal(wallet.variables.input.walletAddress, hostile);
+
+    const mobula = new URL(getProvider('mobula').buildWalletRequest(hostile).url);
+    assert.equal(mobula.searchParams.get('wallet'), hostile);
+    assert.equal(mobula.searchParams.get('blockchains'), 'ethereum');
+
+    const goldrush = new URL(getProvider('goldrush').buildWalletRequest(hostile).url);
+    assert.equal(decodeURIComponent(goldrush.pathname.split('/')[4]), hostile);
+});